@@ -1,5 +1,31 @@
-import { Stack } from "expo-router";
+import { Stack, useRouter } from "expo-router";
+import { Pressable, Text } from "react-native";
+
+// Long-pressing the title opens the hidden developer settings
+function ChatTitle() {
+  const router = useRouter();
+  return (
+    <Pressable
+      onLongPress={() => router.push("/dev-settings")}
+      delayLongPress={1500}
+      accessibilityRole="header"
+    >
+      <Text style={{ fontSize: 17, fontWeight: "600" }}>Tribe Chat</Text>
+    </Pressable>
+  );
+}
 
 export default function RootLayout() {
-  return <Stack />;
+  return (
+    <Stack>
+      <Stack.Screen
+        name="index"
+        options={{ headerTitle: () => <ChatTitle /> }}
+      />
+      <Stack.Screen
+        name="dev-settings"
+        options={{ title: "Developer Settings" }}
+      />
+    </Stack>
+  );
 }
@@ -0,0 +1,9 @@
+// app/dev-settings.tsx
+import { useRouter } from "expo-router";
+import DevSettingsScreen from "../src/screens/DevSettingsScreen";
+
+export default function DevSettings() {
+  const router = useRouter();
+  // Back to the chat, which resyncs against the new server
+  return <DevSettingsScreen onSwitched={() => router.back()} />;
+}
@@ -23,6 +23,7 @@ module.exports = {
         "expo-constants",
         "expo-linking",
         "expo-font",
+        "expo-image-picker",
         "expo-router",
         "expo-modules-core",
       ].join("|") +
@@ -6,6 +6,11 @@ jest.mock("react-native-reanimated", () =>
   require("react-native-reanimated/mock"),
 );
 
+// AsyncStorage has no native module in Jest; persisted stores use the mock
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock"),
+);
+
 // RN 0.79: prevent DevMenu/TurboModule errors in Jest
 jest.mock("react-native/src/private/devmenu/DevMenu", () => ({}));
 
@@ -0,0 +1,181 @@
+// src/api/client.js
+import axios from "axios";
+
+import {
+  API_ERROR_KINDS,
+  ApiError,
+  REQUEST_ID_HEADER,
+  toApiError,
+} from "./errors";
+import { getMockServer } from "./mock";
+import {
+  getRateLimitDelay,
+  recordRateLimit,
+  waitForRateLimit,
+} from "./rateLimit";
+import { getActiveEnvironment } from "../state/environmentStore";
+
+export const DEFAULT_TIMEOUT = 10000;
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000;
+
+let requestCounter = 0;
+export const createRequestId = () =>
+  `${Date.now().toString(36)}-${(++requestCounter).toString(36)}`;
+
+// Resolves after `ms`, or rejects as canceled as soon as `signal` aborts
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(
+        new ApiError("Request canceled", { kind: API_ERROR_KINDS.CANCELED }),
+      );
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener?.("abort", onAbort);
+  });
+
+/**
+ * @typedef {Object} ApiClientOptions
+ * @property {string|(() => string)} [baseURL] a function is read per
+ *   request, so the base URL can change at runtime
+ * @property {number} [timeout] per-request timeout in ms
+ * @property {number} [retries] retries for 5xx and 429 responses
+ * @property {number} [retryDelay] ms between retries
+ * @property {Object} [headers]
+ * @property {() => (Function|undefined)} [getAdapter] per-request axios
+ *   adapter override, e.g. the in-process mock server
+ */
+
+/**
+ * Request config accepted by every client method: any axios option plus
+ * `retries` to override the client's retry policy. Pass an
+ * AbortController's `signal` to cancel, including between retries.
+ * @typedef {import("axios").AxiosRequestConfig & {retries?:number}} RequestOptions
+ */
+
+/**
+ * Create an API client. Every request carries an `X-Request-ID`, retries
+ * transient 5xx responses and rejects with an `ApiError`. Requests hold
+ * while the server's rate-limit window is open, and a 429 is retried once
+ * its `Retry-After` has passed.
+ * @param {ApiClientOptions} [options]
+ */
+export const createApiClient = ({
+  baseURL,
+  timeout = DEFAULT_TIMEOUT,
+  retries = MAX_RETRIES,
+  retryDelay = RETRY_DELAY,
+  headers,
+  getAdapter,
+} = {}) => {
+  const instance = axios.create({
+    baseURL: typeof baseURL === "function" ? undefined : baseURL,
+    timeout,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+
+  instance.interceptors.request.use((config) => {
+    if (typeof baseURL === "function") config.baseURL = baseURL();
+    const adapter = getAdapter?.();
+    if (adapter) config.adapter = adapter;
+    config.headers = config.headers || {};
+    if (!config.headers[REQUEST_ID_HEADER]) {
+      config.headers[REQUEST_ID_HEADER] = createRequestId();
+    }
+    return config;
+  });
+
+  // Log + surface useful error data
+  instance.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      const apiError = toApiError(error);
+      if (!apiError.canceled) {
+        console.error("API Error:", {
+          url: error.config?.url,
+          method: error.config?.method,
+          status: apiError.status,
+          kind: apiError.kind,
+          requestId: apiError.requestId,
+          message: error.message,
+        });
+      }
+      return Promise.reject(apiError);
+    },
+  );
+
+  const holdWhileRateLimited = (signal) =>
+    waitForRateLimit(signal).catch(() => {
+      throw new ApiError("Request canceled", {
+        kind: API_ERROR_KINDS.CANCELED,
+      });
+    });
+
+  const withRetry = async (send, maxRetries, signal) => {
+    for (let attempt = 0; ; attempt++) {
+      if (getRateLimitDelay() > 0) await holdWhileRateLimited(signal);
+      try {
+        const response = await send();
+        recordRateLimit(response);
+        return response;
+      } catch (error) {
+        const apiError = toApiError(error);
+        recordRateLimit(apiError.response);
+        const canRetry =
+          (apiError.kind === API_ERROR_KINDS.SERVER ||
+            apiError.kind === API_ERROR_KINDS.RATE_LIMITED) &&
+          attempt < maxRetries &&
+          !signal?.aborted;
+        if (!canRetry) throw apiError;
+        // A 429 waits out its window at the top of the next attempt
+        if (apiError.kind === API_ERROR_KINDS.SERVER) {
+          await wait(retryDelay, signal);
+        }
+      }
+    }
+  };
+
+  // Only hand axios a config when there is one, so calls stay `get(url)`
+  const request = (method, url, data, options = {}) => {
+    const { retries: maxRetries = retries, ...config } = options;
+    const args = [url];
+    if (data !== undefined) args.push(data);
+    if (Object.keys(config).length > 0) {
+      if (data === undefined && (method === "post" || method === "patch")) {
+        args.push(undefined);
+      }
+      args.push(config);
+    }
+    return withRetry(
+      () => instance[method](...args),
+      maxRetries,
+      config.signal,
+    );
+  };
+
+  return {
+    /** @param {string} url @param {RequestOptions} [options] */
+    get: (url, options) => request("get", url, undefined, options),
+    /** @param {string} url @param {*} [data] @param {RequestOptions} [options] */
+    post: (url, data, options) => request("post", url, data, options),
+    /** @param {string} url @param {*} [data] @param {RequestOptions} [options] */
+    patch: (url, data, options) => request("patch", url, data, options),
+    /** @param {string} url @param {RequestOptions} [options] */
+    delete: (url, options) => request("delete", url, undefined, options),
+  };
+};
+
+// Shared by messages, participants and info; follows the active environment
+export const apiClient = createApiClient({
+  baseURL: () => getActiveEnvironment().apiUrl,
+  getAdapter: () =>
+    getActiveEnvironment().mock ? getMockServer().adapter : undefined,
+});
+
+export default apiClient;
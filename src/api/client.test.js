@@ -0,0 +1,178 @@
+// src/api/client.test.js
+import { API_ERROR_KINDS, getErrorKind, toApiError } from "./errors";
+
+describe("api client", () => {
+  let instance;
+  let createApiClient;
+  let requestInterceptor;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    instance = {
+      get: jest.fn(),
+      post: jest.fn(),
+      patch: jest.fn(),
+      delete: jest.fn(),
+      interceptors: {
+        request: { use: jest.fn((fn) => (requestInterceptor = fn)) },
+        response: { use: jest.fn() },
+      },
+    };
+    jest.doMock("axios", () => ({
+      __esModule: true,
+      default: { create: jest.fn(() => instance) },
+    }));
+
+    ({ createApiClient } = require("./client"));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const serverError = () =>
+    Object.assign(new Error("Bad Gateway"), { response: { status: 502 } });
+
+  it("tags each request with its own request id", () => {
+    createApiClient();
+    const first = requestInterceptor({ headers: {} });
+    const second = requestInterceptor({ headers: {} });
+
+    expect(first.headers["X-Request-ID"]).toBeTruthy();
+    expect(second.headers["X-Request-ID"]).not.toBe(
+      first.headers["X-Request-ID"],
+    );
+  });
+
+  it("resolves a function base URL on every request", () => {
+    let baseURL = "https://a.test/api";
+    createApiClient({ baseURL: () => baseURL });
+
+    expect(requestInterceptor({ headers: {} }).baseURL).toBe(baseURL);
+    baseURL = "http://localhost:4000/api";
+    expect(requestInterceptor({ headers: {} }).baseURL).toBe(baseURL);
+  });
+
+  it("retries 5xx responses and passes options through to axios", async () => {
+    const client = createApiClient({ retryDelay: 0 });
+    instance.get
+      .mockRejectedValueOnce(serverError())
+      .mockResolvedValueOnce({ data: "ok" });
+
+    const controller = new AbortController();
+    await expect(
+      client.get("/info", { signal: controller.signal }),
+    ).resolves.toEqual({ data: "ok" });
+    expect(instance.get).toHaveBeenCalledTimes(2);
+    expect(instance.get).toHaveBeenLastCalledWith("/info", {
+      signal: controller.signal,
+    });
+  });
+
+  it("rejects with a typed error once retries run out", async () => {
+    const client = createApiClient({ retries: 1, retryDelay: 0 });
+    instance.post.mockRejectedValue(serverError());
+
+    await expect(client.post("/messages/new", {})).rejects.toMatchObject({
+      name: "ApiError",
+      kind: API_ERROR_KINDS.SERVER,
+      status: 502,
+      retryable: true,
+    });
+    expect(instance.post).toHaveBeenCalledTimes(2);
+  });
+
+  it("does not retry client errors or per-request opt-outs", async () => {
+    const client = createApiClient({ retryDelay: 0 });
+    instance.patch.mockRejectedValue(
+      Object.assign(new Error("Conflict"), { response: { status: 409 } }),
+    );
+    instance.delete.mockRejectedValue(serverError());
+
+    await expect(client.patch("/messages/m1", {})).rejects.toMatchObject({
+      kind: API_ERROR_KINDS.CONFLICT,
+    });
+    await expect(
+      client.delete("/messages/m1", { retries: 0 }),
+    ).rejects.toMatchObject({ name: "ApiError", status: 502 });
+    expect(instance.patch).toHaveBeenCalledTimes(1);
+    expect(instance.delete).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits out Retry-After before retrying a 429", async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      const client = createApiClient({ retryDelay: 0 });
+      instance.get
+        .mockRejectedValueOnce(
+          Object.assign(new Error("Too Many Requests"), {
+            response: { status: 429, headers: { "retry-after": "3" } },
+          }),
+        )
+        .mockResolvedValueOnce({ data: "ok" });
+
+      const pending = client.get("/messages/latest");
+      await jest.advanceTimersByTimeAsync(2900);
+      expect(instance.get).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(200);
+      await expect(pending).resolves.toEqual({ data: "ok" });
+      expect(instance.get).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("stops retrying when the request is aborted", async () => {
+    const client = createApiClient({ retryDelay: 10000 });
+    const controller = new AbortController();
+    instance.get.mockRejectedValue(serverError());
+
+    const pending = client.get("/messages/latest", {
+      signal: controller.signal,
+    });
+    await Promise.resolve();
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ canceled: true });
+    expect(instance.get).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("api errors", () => {
+  it.each([
+    [{ response: { status: 503 } }, API_ERROR_KINDS.SERVER],
+    [{ response: { status: 429 } }, API_ERROR_KINDS.RATE_LIMITED],
+    [{ response: { status: 409 } }, API_ERROR_KINDS.CONFLICT],
+    [{ response: { status: 404 } }, API_ERROR_KINDS.NOT_FOUND],
+    [{ response: { status: 422 } }, API_ERROR_KINDS.CLIENT],
+    [{ code: "ECONNABORTED" }, API_ERROR_KINDS.TIMEOUT],
+    [{ code: "ERR_NETWORK" }, API_ERROR_KINDS.NETWORK],
+    [{ code: "ERR_CANCELED" }, API_ERROR_KINDS.CANCELED],
+    [new Error("Message text is required"), API_ERROR_KINDS.UNKNOWN],
+  ])("classifies %o", (error, kind) => {
+    expect(getErrorKind(error)).toBe(kind);
+  });
+
+  it("keeps transport details when adding context", () => {
+    const error = toApiError(
+      Object.assign(new Error("Forbidden"), {
+        response: { status: 403 },
+        config: { headers: { "X-Request-ID": "req-1" } },
+      }),
+      "Failed to delete message",
+    );
+
+    expect(error).toMatchObject({
+      message: "Failed to delete message: Forbidden",
+      kind: API_ERROR_KINDS.CLIENT,
+      status: 403,
+      requestId: "req-1",
+      response: { status: 403 },
+      retryable: false,
+    });
+  });
+});
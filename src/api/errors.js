@@ -0,0 +1,153 @@
+// src/api/errors.js
+
+/**
+ * What went wrong with a request, independent of the transport details.
+ * @typedef {"network"|"timeout"|"canceled"|"server"|"rate_limited"|"conflict"|"not_found"|"client"|"unknown"} ApiErrorKind
+ */
+export const API_ERROR_KINDS = {
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  CANCELED: "canceled",
+  SERVER: "server", // 5xx
+  RATE_LIMITED: "rate_limited", // 429
+  CONFLICT: "conflict", // 409, usually a session change in progress
+  NOT_FOUND: "not_found", // 404
+  CLIENT: "client", // any other 4xx
+  UNKNOWN: "unknown",
+};
+
+// Kinds that may succeed if the same request is simply sent again later
+const RETRYABLE_KINDS = [
+  API_ERROR_KINDS.NETWORK,
+  API_ERROR_KINDS.TIMEOUT,
+  API_ERROR_KINDS.SERVER,
+  API_ERROR_KINDS.RATE_LIMITED,
+];
+
+export const REQUEST_ID_HEADER = "X-Request-ID";
+
+/**
+ * Error thrown by every API call. `response` and `code` are kept so older
+ * `error.response?.status` checks keep working.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{kind?:ApiErrorKind, status?:number|null, code?:string|null,
+   *   requestId?:string|null, response?:Object, cause?:unknown}} [details]
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = details.kind || API_ERROR_KINDS.UNKNOWN;
+    this.status = details.status ?? null;
+    this.code = details.code ?? null;
+    this.requestId = details.requestId ?? null;
+    this.response = details.response;
+    this.cause = details.cause;
+    this.canceled = this.kind === API_ERROR_KINDS.CANCELED;
+    this.retryable = RETRYABLE_KINDS.includes(this.kind);
+  }
+}
+
+const NETWORK_CODES = ["ERR_NETWORK", "NETWORK_ERROR"];
+const TIMEOUT_CODES = ["ECONNABORTED", "ETIMEDOUT"];
+
+/**
+ * Classify any error (axios, fetch, ApiError or plain) into an ApiErrorKind.
+ * @returns {ApiErrorKind}
+ */
+export const getErrorKind = (error) => {
+  if (!error) return API_ERROR_KINDS.UNKNOWN;
+  if (error instanceof ApiError) return error.kind;
+
+  if (
+    error.code === "ERR_CANCELED" ||
+    error.name === "CanceledError" ||
+    error.name === "AbortError"
+  ) {
+    return API_ERROR_KINDS.CANCELED;
+  }
+
+  const status = error.response?.status;
+  if (status) {
+    if (status === 409) return API_ERROR_KINDS.CONFLICT;
+    if (status === 429) return API_ERROR_KINDS.RATE_LIMITED;
+    if (status === 404) return API_ERROR_KINDS.NOT_FOUND;
+    if (status >= 500) return API_ERROR_KINDS.SERVER;
+    if (status >= 400) return API_ERROR_KINDS.CLIENT;
+    return API_ERROR_KINDS.UNKNOWN;
+  }
+
+  if (TIMEOUT_CODES.includes(error.code)) return API_ERROR_KINDS.TIMEOUT;
+  if (
+    NETWORK_CODES.includes(error.code) ||
+    error.isAxiosError ||
+    error.message?.includes("Network request failed")
+  ) {
+    return API_ERROR_KINDS.NETWORK;
+  }
+
+  return API_ERROR_KINDS.UNKNOWN;
+};
+
+/**
+ * Wrap any error as an ApiError, optionally prefixing the message with what
+ * we were doing ("Failed to send message: ...").
+ * @returns {ApiError}
+ */
+export const toApiError = (error, context) => {
+  if (error instanceof ApiError && !context) return error;
+
+  const message = error?.message || "Request failed";
+  return new ApiError(context ? `${context}: ${message}` : message, {
+    kind: getErrorKind(error),
+    status: error?.status ?? error?.response?.status ?? null,
+    code: error?.code ?? null,
+    requestId:
+      error?.requestId ?? error?.config?.headers?.[REQUEST_ID_HEADER] ?? null,
+    response: error?.response,
+    cause: error instanceof ApiError ? error.cause : error,
+  });
+};
+
+const isKind = (error, ...kinds) => kinds.includes(getErrorKind(error));
+
+// Timeouts count as network trouble, as they always have in this app
+export const isNetworkError = (error) =>
+  isKind(error, API_ERROR_KINDS.NETWORK, API_ERROR_KINDS.TIMEOUT);
+export const isServerError = (error) => isKind(error, API_ERROR_KINDS.SERVER);
+export const isCanceledError = (error) =>
+  isKind(error, API_ERROR_KINDS.CANCELED);
+export const isConflictError = (error) =>
+  isKind(error, API_ERROR_KINDS.CONFLICT);
+export const isRateLimitedError = (error) =>
+  isKind(error, API_ERROR_KINDS.RATE_LIMITED);
+export const isRetryableError = (error) => isKind(error, ...RETRYABLE_KINDS);
+
+/** User-facing text for an error, by kind. */
+export const getErrorMessage = (error) => {
+  switch (getErrorKind(error)) {
+    case API_ERROR_KINDS.NETWORK:
+    case API_ERROR_KINDS.TIMEOUT:
+      return "Network connection failed. Please check your internet connection.";
+    case API_ERROR_KINDS.SERVER:
+      return "Server temporarily unavailable. Please try again in a moment.";
+    case API_ERROR_KINDS.RATE_LIMITED:
+      return "Too many requests. Please wait a moment before trying again.";
+    case API_ERROR_KINDS.CANCELED:
+      return "Request canceled.";
+    default:
+      if (error?.response?.status === 400) {
+        return (
+          error.response.data?.message ||
+          "Invalid request. Please check your input."
+        );
+      }
+      return (
+        error?.response?.data?.message ||
+        error?.message ||
+        "An unexpected error occurred."
+      );
+  }
+};
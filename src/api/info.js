@@ -1,12 +1,10 @@
 // src/api/info.js
-import axios from "axios";
+import { apiClient } from "./client";
 
-const BASE_URL = "https://dummy-chat-server.tribechat.com/api";
-
-export const fetchServerInfo = async () => {
+export const fetchServerInfo = async (options) => {
   try {
-    const res = await axios.get(`${BASE_URL}/info`);
-    return res.data; // { sessionUuid, apiVersion }
+    const res = await apiClient.get("/info", options);
+    return res.data; // { sessionUuid, apiVersion, serverTime? }
   } catch (err) {
     console.error("❌ Failed to fetch server info:", err);
     throw err;
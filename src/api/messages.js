@@ -1,72 +1,52 @@
 // src/api/messages.js
-import axios from "axios";
-
-const BASE_URL = "https://dummy-chat-server.tribechat.com/api";
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000;
-
-// Single axios client (consistent headers/interceptors)
-const apiClient = axios.create({
-  baseURL: BASE_URL,
-  timeout: 10000,
-  headers: { "Content-Type": "application/json" },
-});
+import { apiClient } from "./client";
+import {
+  API_ERROR_KINDS,
+  ApiError,
+  getErrorMessage,
+  isCanceledError,
+  isNetworkError,
+  isServerError,
+  toApiError,
+} from "./errors";
+import { getActiveEnvironment } from "../state/environmentStore";
+import { normalizeAttachments } from "../utils/attachments";
 
-// Log + surface useful error data
-apiClient.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    console.error("API Error:", {
-      url: error.config?.url,
-      method: error.config?.method,
-      status: error.response?.status,
-      message: error.message,
-    });
-    return Promise.reject(error);
-  },
-);
+const UPLOAD_TIMEOUT = 60000;
 
-// Retry wrapper for transient 5xx
-const withRetry = async (fn, retries = MAX_RETRIES) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0 && error.response?.status >= 500) {
-      await new Promise((r) => setTimeout(r, RETRY_DELAY));
-      return withRetry(fn, retries - 1);
-    }
-    throw error;
-  }
-};
+// Predicates now live in ./errors; re-exported for existing callers
+export { getErrorMessage, isNetworkError, isServerError };
 
 // ===== Message fetchers =====
-export const fetchLatestMessages = async () => {
+// Each fetcher takes optional RequestOptions, e.g. `{ signal }` to cancel
+export const fetchLatestMessages = async (options) => {
   try {
-    const res = await withRetry(() => apiClient.get("/messages/latest"));
-    return res.data;
+    const res = await apiClient.get("/messages/latest", options);
+    return transformMessages(res.data);
   } catch (err) {
-    console.error("❌ Failed to fetch latest messages:", err);
-    throw new Error(`Failed to fetch messages: ${err.message}`);
+    if (!isCanceledError(err)) {
+      console.error("❌ Failed to fetch latest messages:", err);
+    }
+    throw toApiError(err, "Failed to fetch messages");
   }
 };
 
-export const fetchAllMessages = () =>
-  withRetry(async () => (await apiClient.get("/messages/all")).data);
+export const fetchAllMessages = async (options) =>
+  transformMessages((await apiClient.get("/messages/all", options)).data);
 
-export const fetchOlderMessages = (refMessageUuid) =>
-  withRetry(
-    async () => (await apiClient.get(`/messages/older/${refMessageUuid}`)).data,
+export const fetchOlderMessages = async (refMessageUuid, options) =>
+  transformMessages(
+    (await apiClient.get(`/messages/older/${refMessageUuid}`, options)).data,
   );
 
-export const fetchUpdatedMessages = async (since) => {
+export const fetchUpdatedMessages = async (since, options) => {
   try {
-    const res = await withRetry(() =>
-      apiClient.get(`/messages/updates/${since}`),
-    );
-    return res.data;
+    const res = await apiClient.get(`/messages/updates/${since}`, options);
+    return transformMessages(res.data);
   } catch (err) {
     console.error("❌ Failed to fetch updated messages:", err);
-    return [];
+    // An empty result would let the sync cursor move past what we missed
+    throw toApiError(err, "Failed to fetch message updates");
   }
 };
 
@@ -76,18 +56,21 @@ export const fetchUpdatedMessages = async (since) => {
  * Back-compat:
  *  - sendMessage("hello")
  *  - sendMessage({ text: "hello", replyToMessage: "<uuid>" })
- * @param {string|{text:string, replyToMessage?:string}} arg
+ *  - sendMessage({ text: "", image: "<uploaded url>" })
+ * @param {string|{text:string, replyToMessage?:string, image?:string}} arg
+ * @param {Object} [options] RequestOptions, e.g. `{ signal }`
  * @returns {Promise<Object>} message
  */
-export const sendMessage = async (arg) => {
+export const sendMessage = async (arg, options) => {
   const payload = typeof arg === "string" ? { text: arg } : (arg ?? {});
   payload.text = (payload.text || "").trim();
 
-  if (!payload.text) throw new Error("Message text is required");
+  if (!payload.text && !payload.image)
+    throw new Error("Message text is required");
 
   try {
-    const res = await withRetry(() => apiClient.post("/messages/new", payload));
-    const message = res.data;
+    const res = await apiClient.post("/messages/new", payload, options);
+    const message = transformMessage(res.data);
 
     // Normalize: ensure reply metadata exists if we provided it
     if (payload.replyToMessage && !message.replyToMessage) {
@@ -96,31 +79,129 @@ export const sendMessage = async (arg) => {
 
     return message;
   } catch (err) {
-    console.error("❌ Failed to send message:", err);
-    throw new Error(`Failed to send message: ${err.message}`);
+    if (!isCanceledError(err)) {
+      console.error("❌ Failed to send message:", err);
+    }
+    throw toApiError(err, "Failed to send message");
+  }
+};
+
+// ===== Image uploads =====
+/**
+ * Upload a local image and get back its hosted URL for `sendMessage`.
+ * @param {{uri:string, name?:string, type?:string}} file
+ * @param {{onProgress?:(fraction:number)=>void, signal?:AbortSignal}} [options]
+ * @returns {Promise<{url:string}>}
+ */
+export const uploadImage = async (file, { onProgress, signal } = {}) => {
+  if (!file?.uri) throw new Error("Image file is required");
+
+  const form = new FormData();
+  form.append("file", {
+    uri: file.uri,
+    name: file.name || file.uri.split("/").pop() || "image.jpg",
+    type: file.type || "image/jpeg",
+  });
+
+  try {
+    const res = await apiClient.post(getActiveEnvironment().uploadUrl, form, {
+      headers: { "Content-Type": "multipart/form-data" },
+      timeout: UPLOAD_TIMEOUT,
+      // Re-sending a large body is left to the outbox
+      retries: 0,
+      signal,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) onProgress(event.loaded / event.total);
+      },
+    });
+
+    const url = res.data?.url;
+    if (!url) throw new Error("Upload response is missing the image URL");
+    return { ...res.data, url };
+  } catch (err) {
+    if (isCanceledError(err)) {
+      throw new ApiError("Upload canceled", {
+        kind: API_ERROR_KINDS.CANCELED,
+        code: err.code,
+        cause: err,
+      });
+    }
+    console.error("❌ Failed to upload image:", err);
+    throw toApiError(err, "Failed to upload image");
+  }
+};
+
+// ===== Edit / delete own messages =====
+/**
+ * Edit the text of an existing message.
+ * @param {string} uuid
+ * @param {string} text
+ * @param {Object} [options] RequestOptions, e.g. `{ signal }`
+ * @returns {Promise<Object>} updated message
+ */
+export const editMessage = async (uuid, text, options) => {
+  if (!uuid) throw new Error("Message ID is required");
+  const trimmed = (text || "").trim();
+  if (!trimmed) throw new Error("Message text is required");
+
+  try {
+    const res = await apiClient.patch(
+      `/messages/${uuid}`,
+      { text: trimmed },
+      options,
+    );
+    return res.data;
+  } catch (err) {
+    if (!isCanceledError(err)) {
+      console.error("❌ Failed to edit message:", err);
+    }
+    throw toApiError(err, "Failed to edit message");
+  }
+};
+
+/**
+ * Delete a message. The server keeps a tombstone that shows up in
+ * `/messages/updates/:since` for other clients.
+ * @param {string} uuid
+ * @param {Object} [options] RequestOptions, e.g. `{ signal }`
+ * @returns {Promise<Object>} server response (deleted message when provided)
+ */
+export const deleteMessage = async (uuid, options) => {
+  if (!uuid) throw new Error("Message ID is required");
+
+  try {
+    const res = await apiClient.delete(`/messages/${uuid}`, options);
+    return res.data;
+  } catch (err) {
+    if (!isCanceledError(err)) {
+      console.error("❌ Failed to delete message:", err);
+    }
+    throw toApiError(err, "Failed to delete message");
   }
 };
 
 // ===== Reactions (includes graceful mock) =====
-export const sendReaction = async (messageId, emoji, isAdding = true) => {
+export const sendReaction = async (
+  messageId,
+  emoji,
+  isAdding = true,
+  { signal } = {},
+) => {
   if (!messageId || !emoji)
     throw new Error("Message ID and emoji are required");
 
   try {
-    return withRetry(async () => {
-      if (isAdding) {
-        const response = await apiClient.post(
+    const response = isAdding
+      ? await apiClient.post(
           `/messages/${messageId}/reactions`,
           { emoji },
-        );
-        return response.data;
-      }
-      const response = await apiClient.delete(
-        `/messages/${messageId}/reactions`,
-        { data: { emoji } },
-      );
-      return response.data;
-    });
+          { signal },
+        )
+      : await apiClient.delete(`/messages/${messageId}/reactions`, {
+          data: { emoji },
+          signal,
+        });
+    return response.data;
   } catch (error) {
     if (error.response?.status === 404 || error.response?.status === 405) {
       console.warn(
@@ -145,8 +226,10 @@ export const sendReaction = async (messageId, emoji, isAdding = true) => {
         },
       };
     }
-    console.error("❌ Failed to send reaction:", error);
-    throw new Error(`Failed to send reaction: ${error.message}`);
+    if (!isCanceledError(error)) {
+      console.error("❌ Failed to send reaction:", error);
+    }
+    throw toApiError(error, "Failed to send reaction");
   }
 };
 
@@ -168,14 +251,18 @@ export const getMessageReactions = async (messageId) => {
       return { reactions: [], messageId };
     }
     console.error("❌ Failed to get message reactions:", error);
-    throw new Error(`Failed to get reactions: ${error.message}`);
+    throw toApiError(error, "Failed to get reactions");
   }
 };
 
 // ===== Validation + transforms =====
 export const validateMessage = (message) => {
   const required = ["uuid", "text", "createdAt", "participant"];
-  const missing = required.filter((f) => !message[f]);
+  // Image-only messages legitimately have empty text
+  const hasAttachments = !!message.image || message.attachments?.length > 0;
+  const missing = required.filter(
+    (f) => !message[f] && !(f === "text" && hasAttachments),
+  );
   if (missing.length)
     throw new Error(`Message missing required fields: ${missing.join(", ")}`);
   return true;
@@ -191,6 +278,7 @@ export const transformMessage = (serverMessage) => {
         ? new Date(serverMessage.editedAt).getTime()
         : null,
       reactions: serverMessage.reactions || [],
+      attachments: normalizeAttachments(serverMessage),
       status: serverMessage.status || "sent",
     };
   } catch (e) {
@@ -207,34 +295,6 @@ export const transformMessages = (messages) => {
   return messages.map(transformMessage).filter(Boolean);
 };
 
-// ===== Error helpers =====
-export const isNetworkError = (error) =>
-  !error.response ||
-  error.code === "NETWORK_ERROR" ||
-  error.code === "ECONNABORTED";
-
-export const isServerError = (error) =>
-  error.response && error.response.status >= 500;
-
-export const getErrorMessage = (error) => {
-  if (isNetworkError(error))
-    return "Network connection failed. Please check your internet connection.";
-  if (isServerError(error))
-    return "Server temporarily unavailable. Please try again in a moment.";
-  if (error.response?.status === 400)
-    return (
-      error.response.data?.message ||
-      "Invalid request. Please check your input."
-    );
-  if (error.response?.status === 429)
-    return "Too many requests. Please wait a moment before trying again.";
-  return (
-    error.response?.data?.message ||
-    error.message ||
-    "An unexpected error occurred."
-  );
-};
-
 // ===== Dev helpers =====
 export const mockDelay = (delay = 500) =>
   new Promise((r) => setTimeout(r, delay));
@@ -247,6 +307,9 @@ export default {
   fetchOlderMessages,
   fetchUpdatedMessages,
   sendMessage,
+  editMessage,
+  deleteMessage,
+  uploadImage,
   sendReaction,
   addReaction,
   removeReaction,
@@ -10,8 +10,12 @@ describe("messages api", () => {
     mockClient = {
       get: jest.fn(),
       post: jest.fn(),
+      patch: jest.fn(),
       delete: jest.fn(),
-      interceptors: { response: { use: jest.fn() } }, // <- IMPORTANT
+      interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }, // <- IMPORTANT
+      },
     };
 
     // Provide a concrete axios mock that always returns mockClient
@@ -33,5 +37,89 @@ describe("messages api", () => {
     expect(api).toBeTruthy();
   });
 
+  test("editMessage patches the trimmed text", async () => {
+    mockClient.patch.mockResolvedValue({ data: { uuid: "m1", text: "Hi" } });
+    await expect(api.editMessage("m1", "  Hi  ")).resolves.toEqual({
+      uuid: "m1",
+      text: "Hi",
+    });
+    expect(mockClient.patch).toHaveBeenCalledWith("/messages/m1", {
+      text: "Hi",
+    });
+  });
+
+  test("editMessage rejects empty text without calling the server", async () => {
+    await expect(api.editMessage("m1", "   ")).rejects.toThrow(
+      "Message text is required",
+    );
+    expect(mockClient.patch).not.toHaveBeenCalled();
+  });
+
+  test("deleteMessage keeps the response status on failure", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const error = Object.assign(new Error("Forbidden"), {
+      response: { status: 403 },
+    });
+    mockClient.delete.mockRejectedValue(error);
+
+    await expect(api.deleteMessage("m1")).rejects.toMatchObject({
+      response: { status: 403 },
+    });
+    expect(mockClient.delete).toHaveBeenCalledWith("/messages/m1");
+  });
+
   // ... your other tests here (sendMessage, addReaction, etc.) ...
+
+  test("uploadImage posts the file and reports progress", async () => {
+    const onProgress = jest.fn();
+    mockClient.post.mockImplementation(async (url, form, config) => {
+      config.onUploadProgress({ loaded: 50, total: 200 });
+      return { data: { url: "https://cdn/a.jpg" } };
+    });
+
+    await expect(
+      api.uploadImage({ uri: "file:///a.jpg" }, { onProgress }),
+    ).resolves.toEqual({ url: "https://cdn/a.jpg" });
+    expect(mockClient.post.mock.calls[0][0]).toMatch(/\/uploads$/);
+    expect(onProgress).toHaveBeenCalledWith(0.25);
+  });
+
+  test("uploadImage flags canceled uploads", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    mockClient.post.mockRejectedValue(
+      Object.assign(new Error("canceled"), { code: "ERR_CANCELED" }),
+    );
+
+    await expect(
+      api.uploadImage({ uri: "file:///a.jpg" }),
+    ).rejects.toMatchObject({ canceled: true, message: "Upload canceled" });
+  });
+
+  test("sendMessage allows an image without text", async () => {
+    mockClient.post.mockResolvedValue({ data: { uuid: "m1" } });
+    await api.sendMessage({ text: "", image: "https://cdn/a.jpg" });
+    expect(mockClient.post).toHaveBeenCalledWith("/messages/new", {
+      text: "",
+      image: "https://cdn/a.jpg",
+    });
+  });
+
+  test("sendReaction forwards the queue's abort signal", async () => {
+    const { signal } = new AbortController();
+    mockClient.post.mockResolvedValue({ data: {} });
+    mockClient.delete.mockResolvedValue({ data: {} });
+
+    await api.sendReaction("m1", "👍", true, { signal });
+    await api.sendReaction("m1", "👍", false, { signal });
+
+    expect(mockClient.post).toHaveBeenCalledWith(
+      "/messages/m1/reactions",
+      { emoji: "👍" },
+      { signal },
+    );
+    expect(mockClient.delete).toHaveBeenCalledWith("/messages/m1/reactions", {
+      data: { emoji: "👍" },
+      signal,
+    });
+  });
 });
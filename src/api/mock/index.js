@@ -0,0 +1,13 @@
+// src/api/mock/index.js
+import { createMockServer } from "./mockServer";
+
+export { createMockServer, MOCK_ORIGIN } from "./mockServer";
+export { createSeedData, MOCK_PARTICIPANTS } from "./seed";
+
+let mockServer = null;
+
+// The server behind the "mock" environment, created on first use
+export const getMockServer = () => {
+  if (!mockServer) mockServer = createMockServer();
+  return mockServer;
+};
@@ -0,0 +1,382 @@
+// src/api/mock/mockServer.js
+import { createSeedData } from "./seed";
+
+const PAGE_SIZE = 25;
+const OWN_PARTICIPANT = { uuid: "you", name: "You" };
+export const MOCK_ORIGIN = "mock://chat";
+
+const DEFAULT_LATENCY = { min: 150, max: 600 };
+
+// Statuses the mock can inject, with the body the real server sends
+const SIMULATED_ERRORS = {
+  409: { message: "Conflict: session is changing, try again" },
+  429: { message: "Too many requests" },
+  500: { message: "Internal server error" },
+  503: { message: "Service unavailable" },
+};
+
+// Seconds a simulated 429 asks clients to back off for
+const RETRY_AFTER_SECONDS = 5;
+
+let idCounter = 0;
+const nextId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}-${++idCounter}`;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Shaped like an AxiosError so the client's error taxonomy applies unchanged
+const createHttpError = (status, data, config, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    isAxiosError: true,
+    code: status >= 500 ? "ERR_BAD_RESPONSE" : "ERR_BAD_REQUEST",
+    config,
+    response: { status, data, headers, config },
+  });
+
+// Thrown by route handlers; the adapter turns it into an HTTP error response
+const routeError = (status, message) =>
+  Object.assign(new Error(message), { status, data: { message } });
+
+const createCanceledError = (config) =>
+  Object.assign(new Error("canceled"), {
+    name: "CanceledError",
+    code: "ERR_CANCELED",
+    config,
+  });
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("aborted"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener?.("abort", onAbort);
+  });
+
+/**
+ * In-process stand-in for the chat server. `adapter` plugs into axios, so
+ * the real API modules, retry policy and error handling all run unchanged.
+ *
+ * Options:
+ *  - latency: `{ min, max }` ms per request
+ *  - failureRates: `{ [status]: probability }` for random 409/429/5xx
+ *  - sessionRotationMs: start a new session (fresh seed) this often; 0 = never
+ *  - random, now: injectable for deterministic tests
+ */
+export const createMockServer = ({
+  latency = DEFAULT_LATENCY,
+  failureRates = {},
+  sessionRotationMs = 0,
+  seed = createSeedData,
+  random = Math.random,
+  now = Date.now,
+} = {}) => {
+  let options = { latency, failureRates, sessionRotationMs };
+  let state = null;
+  const forcedFailures = [];
+
+  const reset = () => {
+    const { participants, messages } = seed(now());
+    state = {
+      sessionUuid: nextId("mock-session"),
+      apiVersion: 1,
+      sessionStartedAt: now(),
+      participants,
+      messages, // oldest first
+    };
+  };
+
+  const rotateSession = () => {
+    reset();
+    console.log(`🧪 Mock server rotated session to ${state.sessionUuid}`);
+    return state.sessionUuid;
+  };
+
+  const findMessage = (uuid) => state.messages.find((m) => m.uuid === uuid);
+  const newestFirst = (messages) => [...messages].reverse();
+
+  const touch = (message) => {
+    message.updatedAt = Math.max(now(), message.updatedAt + 1);
+    return message;
+  };
+
+  const setReaction = (message, emoji, isAdding) => {
+    const reactions = message.reactions.map((r) => ({
+      ...r,
+      participants: [...r.participants],
+    }));
+    let reaction = reactions.find((r) => r.emoji === emoji);
+    if (!reaction) {
+      reaction = { emoji, participants: [], count: 0 };
+      reactions.push(reaction);
+    }
+    reaction.participants = isAdding
+      ? [...new Set([...reaction.participants, OWN_PARTICIPANT.uuid])]
+      : reaction.participants.filter((p) => p !== OWN_PARTICIPANT.uuid);
+    reaction.count = reaction.participants.length;
+
+    message.reactions = reactions.filter((r) => r.count > 0);
+    touch(message);
+  };
+
+  const requireMessage = (uuid) => {
+    const message = findMessage(uuid);
+    if (!message) throw routeError(404, "Message not found");
+    return message;
+  };
+
+  // [method, pattern, handler(params, body, config)] → response body
+  const routes = [
+    [
+      "get",
+      /^\/info$/,
+      () => ({
+        sessionUuid: state.sessionUuid,
+        apiVersion: state.apiVersion,
+        serverTime: now(),
+      }),
+    ],
+    ["get", /^\/messages\/all$/, () => newestFirst(state.messages)],
+    [
+      "get",
+      /^\/messages\/latest$/,
+      () => newestFirst(state.messages.slice(-PAGE_SIZE)),
+    ],
+    [
+      "get",
+      /^\/messages\/older\/([^/]+)$/,
+      ([uuid]) => {
+        const index = state.messages.findIndex((m) => m.uuid === uuid);
+        if (index === -1) throw routeError(404, "Message not found");
+        return newestFirst(
+          state.messages.slice(Math.max(0, index - PAGE_SIZE), index),
+        );
+      },
+    ],
+    [
+      "get",
+      /^\/messages\/updates\/(\d+)$/,
+      ([since]) => state.messages.filter((m) => m.updatedAt > Number(since)),
+    ],
+    [
+      "post",
+      /^\/messages\/new$/,
+      (_, body) => {
+        const text = (body?.text || "").trim();
+        if (!text && !body?.image) {
+          throw routeError(400, "Message text is required");
+        }
+        const replyTo = body.replyToMessage && findMessage(body.replyToMessage);
+        const createdAt = now();
+        const message = {
+          uuid: nextId("mock-message"),
+          text,
+          participant: OWN_PARTICIPANT,
+          createdAt,
+          updatedAt: createdAt,
+          attachments: body.image ? [{ type: "image", url: body.image }] : [],
+          reactions: [],
+          replyToMessage: replyTo
+            ? {
+                uuid: replyTo.uuid,
+                text: replyTo.text,
+                participant: replyTo.participant,
+              }
+            : null,
+        };
+        state.messages.push(message);
+        return message;
+      },
+    ],
+    [
+      "patch",
+      /^\/messages\/([^/]+)$/,
+      ([uuid], body) => {
+        const message = requireMessage(uuid);
+        message.text = (body?.text || "").trim();
+        message.editedAt = now();
+        return touch(message);
+      },
+    ],
+    [
+      "delete",
+      /^\/messages\/([^/]+)$/,
+      ([uuid]) => {
+        const message = requireMessage(uuid);
+        Object.assign(message, {
+          text: "",
+          attachments: [],
+          reactions: [],
+          deletedAt: now(),
+        });
+        return touch(message);
+      },
+    ],
+    [
+      "get",
+      /^\/messages\/([^/]+)\/reactions$/,
+      ([uuid]) => ({
+        messageId: uuid,
+        reactions: requireMessage(uuid).reactions,
+      }),
+    ],
+    [
+      "post",
+      /^\/messages\/([^/]+)\/reactions$/,
+      ([uuid], body) => {
+        const message = requireMessage(uuid);
+        setReaction(message, body?.emoji, true);
+        return { success: true, message };
+      },
+    ],
+    [
+      "delete",
+      /^\/messages\/([^/]+)\/reactions$/,
+      ([uuid], body) => {
+        const message = requireMessage(uuid);
+        setReaction(message, body?.emoji, false);
+        return { success: true, message };
+      },
+    ],
+    ["get", /^\/participants\/all$/, () => state.participants],
+    [
+      "get",
+      /^\/participants\/updates\/(\d+)$/,
+      ([since]) =>
+        state.participants.filter((p) => p.updatedAt > Number(since)),
+    ],
+    [
+      "post",
+      /^\/uploads$/,
+      (_, body, config) => {
+        // React Native's FormData exposes its parts; echo the local file back
+        const part = body?.getParts?.()?.[0];
+        config.onUploadProgress?.({ loaded: 1, total: 2 });
+        config.onUploadProgress?.({ loaded: 2, total: 2 });
+        return {
+          url: part?.uri || `${MOCK_ORIGIN}/uploads/${nextId("image")}.jpg`,
+        };
+      },
+    ],
+  ];
+
+  const pickFailure = () => {
+    if (forcedFailures.length > 0) return forcedFailures.shift();
+    for (const [status, rate] of Object.entries(options.failureRates)) {
+      if (rate > 0 && random() < rate) return Number(status);
+    }
+    return null;
+  };
+
+  /**
+   * Handle one request. Resolves `{ status, data }`; HTTP errors reject
+   * with `status` and `data` set so the adapter can shape them.
+   */
+  const handle = async ({ method = "get", path, body, config = {} }) => {
+    if (!state) reset();
+
+    const { min = 0, max = min } = options.latency || {};
+    const delay = min + Math.round(random() * Math.max(0, max - min));
+    if (delay > 0) await sleep(delay, config.signal);
+
+    if (
+      options.sessionRotationMs > 0 &&
+      now() - state.sessionStartedAt >= options.sessionRotationMs
+    ) {
+      rotateSession();
+    }
+
+    const failure = pickFailure();
+    if (failure) {
+      throw Object.assign(new Error("Simulated failure"), {
+        status: failure,
+        data: SIMULATED_ERRORS[failure] || { message: "Simulated failure" },
+        headers:
+          failure === 429
+            ? { "retry-after": String(RETRY_AFTER_SECONDS) }
+            : undefined,
+      });
+    }
+
+    const route = routes.find(
+      ([routeMethod, pattern]) =>
+        routeMethod === method.toLowerCase() && pattern.test(path),
+    );
+    if (!route) throw routeError(404, `No mock route for ${path}`);
+
+    const [, pattern, handler] = route;
+    const params = path.match(pattern).slice(1).map(decodeURIComponent);
+    // Hand out copies so callers can't mutate server state
+    return { status: 200, data: clone(handler(params, body, config)) };
+  };
+
+  const toPath = (config) => {
+    const url = /^[a-z]+:\/\//i.test(config.url || "")
+      ? config.url
+      : `${config.baseURL || ""}${config.url || ""}`;
+    return url
+      .replace(/^[a-z]+:\/\/[^/]+/i, "")
+      .replace(/^\/api/, "")
+      .split("?")[0];
+  };
+
+  const parseBody = (data) => {
+    if (typeof data !== "string") return data;
+    try {
+      return JSON.parse(data);
+    } catch (_error) {
+      return data;
+    }
+  };
+
+  /** axios adapter backed by `handle` */
+  const adapter = async (config) => {
+    try {
+      const { status, data } = await handle({
+        method: config.method,
+        path: toPath(config),
+        body: parseBody(config.data),
+        config,
+      });
+      return {
+        status,
+        statusText: "OK",
+        data,
+        headers: {},
+        config,
+        request: {},
+      };
+    } catch (error) {
+      if (config.signal?.aborted) throw createCanceledError(config);
+      if (error?.status)
+        throw createHttpError(error.status, error.data, config, error.headers);
+      throw error;
+    }
+  };
+
+  return {
+    adapter,
+    handle,
+    reset,
+    rotateSession,
+    /** Make the next `times` requests fail with `status` (409, 429, 5xx) */
+    failNext: (status, times = 1) => {
+      forcedFailures.push(...Array(times).fill(status));
+    },
+    configure: (next) => {
+      options = { ...options, ...next };
+    },
+    getOptions: () => options,
+    getState: () => {
+      if (!state) reset();
+      return state;
+    },
+  };
+};
+
+export default createMockServer;
@@ -0,0 +1,147 @@
+// src/api/mock/mockServer.test.js
+import { createMockServer, getMockServer } from ".";
+import { fetchServerInfo } from "../info";
+import {
+  fetchLatestMessages,
+  fetchOlderMessages,
+  fetchUpdatedMessages,
+  sendMessage,
+  sendReaction,
+  deleteMessage,
+} from "../messages";
+import { fetchAllParticipants } from "../participants";
+import { API_ERROR_KINDS } from "../errors";
+import { getRateLimitDelay } from "../rateLimit";
+import useEnvironmentStore from "../../state/environmentStore";
+
+describe("mock server", () => {
+  it("rotates the session and reseeds on schedule", async () => {
+    let time = 1_000_000;
+    const server = createMockServer({
+      latency: { min: 0 },
+      sessionRotationMs: 60000,
+      now: () => time,
+    });
+
+    const first = await server.handle({ path: "/info" });
+    await server.handle({
+      method: "post",
+      path: "/messages/new",
+      body: { text: "Hello" },
+    });
+
+    time += 60000;
+    const second = await server.handle({ path: "/info" });
+    const latest = await server.handle({ path: "/messages/latest" });
+
+    expect(second.data.sessionUuid).not.toBe(first.data.sessionUuid);
+    expect(latest.data.map((m) => m.text)).not.toContain("Hello");
+  });
+
+  it("stops listening for aborts once the latency has passed", async () => {
+    const server = createMockServer({ latency: { min: 1 } });
+    const controller = new AbortController();
+    const removeSpy = jest.spyOn(controller.signal, "removeEventListener");
+
+    await server.handle({
+      path: "/info",
+      config: { signal: controller.signal },
+    });
+
+    expect(removeSpy).toHaveBeenCalledWith("abort", expect.any(Function));
+  });
+
+  it("fails randomly at the configured rates", async () => {
+    const server = createMockServer({
+      latency: { min: 0 },
+      failureRates: { 429: 0.5 },
+      random: () => 0.4,
+    });
+
+    await expect(server.handle({ path: "/info" })).rejects.toMatchObject({
+      status: 429,
+    });
+    server.configure({ failureRates: {} });
+    await expect(server.handle({ path: "/info" })).resolves.toMatchObject({
+      status: 200,
+    });
+  });
+});
+
+describe("mock environment", () => {
+  const server = getMockServer();
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    useEnvironmentStore.setState({ environmentId: "mock" });
+    server.configure({ latency: { min: 0 }, failureRates: {} });
+    server.reset();
+  });
+
+  afterEach(() => {
+    useEnvironmentStore.setState({ environmentId: "production" });
+    jest.restoreAllMocks();
+  });
+
+  it("serves the real API modules with seeded data", async () => {
+    const info = await fetchServerInfo();
+    const participants = await fetchAllParticipants();
+    const latest = await fetchLatestMessages();
+    const older = await fetchOlderMessages(latest[latest.length - 1].uuid);
+
+    expect(info.sessionUuid).toMatch(/^mock-session/);
+    expect(participants.length).toBeGreaterThan(0);
+    expect(latest).toHaveLength(25);
+    expect(latest[0].createdAt).toBeGreaterThan(latest[1].createdAt);
+    expect(older.length).toBeGreaterThan(0);
+    expect(older[0].createdAt).toBeLessThan(
+      latest[latest.length - 1].createdAt,
+    );
+  });
+
+  it("reports sends, reactions and deletes through the updates feed", async () => {
+    const since = Date.now() - 1;
+    const sent = await sendMessage("From the mock");
+    const reacted = await sendReaction(sent.uuid, "👍");
+    const [latest] = await fetchLatestMessages();
+    await deleteMessage(latest.uuid);
+
+    expect(sent).toMatchObject({ text: "From the mock", status: "sent" });
+    expect(reacted.message.reactions).toEqual([
+      { emoji: "👍", participants: ["you"], count: 1 },
+    ]);
+
+    const updates = await fetchUpdatedMessages(since);
+    expect(updates).toHaveLength(1);
+    expect(updates[0]).toMatchObject({ uuid: sent.uuid, text: "" });
+    expect(updates[0].deletedAt).toBeTruthy();
+  });
+
+  it("surfaces injected failures as typed errors", async () => {
+    server.failNext(409);
+    await expect(fetchServerInfo()).rejects.toMatchObject({
+      kind: API_ERROR_KINDS.CONFLICT,
+      status: 409,
+    });
+
+    await expect(fetchServerInfo()).resolves.toHaveProperty("sessionUuid");
+  });
+
+  it("backs off for Retry-After when rate limited, then resends", async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      server.failNext(429);
+      const pending = sendMessage("Hi");
+      await jest.advanceTimersByTimeAsync(0);
+      expect(getRateLimitDelay()).toBeGreaterThan(4000);
+
+      await jest.advanceTimersByTimeAsync(5000);
+      await expect(pending).resolves.toMatchObject({ text: "Hi" });
+      expect(getRateLimitDelay()).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,125 @@
+// src/api/mock/seed.js
+
+const MINUTE = 60 * 1000;
+
+export const MOCK_PARTICIPANTS = [
+  {
+    uuid: "mock-ada",
+    name: "Ada Lovelace",
+    jobTitle: "Engineering Lead",
+    email: "ada@tribe.test",
+    bio: "Writes the algorithms, reviews the rest.",
+    avatarUrl: "",
+  },
+  {
+    uuid: "mock-grace",
+    name: "Grace Hopper",
+    jobTitle: "Backend Engineer",
+    email: "grace@tribe.test",
+    bio: "Debugging since before it was cool.",
+    avatarUrl: "",
+  },
+  {
+    uuid: "mock-alan",
+    name: "Alan Turing",
+    jobTitle: "Product Designer",
+    email: "alan@tribe.test",
+    bio: "",
+    avatarUrl: "",
+  },
+  {
+    uuid: "mock-katherine",
+    name: "Katherine Johnson",
+    jobTitle: "QA",
+    email: "katherine@tribe.test",
+    bio: "If it can break, I'll find out how.",
+    avatarUrl: "",
+  },
+];
+
+const SCRIPT = [
+  ["mock-ada", "Morning all! Standup in 10 👋"],
+  ["mock-grace", "On my way"],
+  ["mock-grace", "Deploy from last night looks healthy"],
+  ["mock-alan", "New onboarding mocks are in the design channel"],
+  ["mock-katherine", "Found a crash when sending an empty message offline"],
+  ["mock-ada", "Nice catch, can you file it?"],
+  ["mock-katherine", "Done, it's on the board"],
+  ["mock-grace", "I'll pick it up after lunch"],
+  ["mock-alan", "Anyone up for coffee?"],
+  ["mock-ada", "☕ yes please"],
+  ["mock-grace", "Reactions endpoint is live on staging"],
+  ["mock-katherine", "Testing it now"],
+  ["mock-katherine", "Works on iOS, checking Android"],
+  ["mock-alan", "Dark mode colors are updated too"],
+  ["mock-ada", "Let's ship it Friday"],
+  ["mock-grace", "Sounds good to me"],
+  ["mock-katherine", "Android is fine as well ✅"],
+  ["mock-alan", "Updated the icons, please take a look"],
+  ["mock-ada", "Looks great!"],
+  ["mock-grace", "Heads up: migrating the database at 6pm"],
+  ["mock-katherine", "Will there be downtime?"],
+  ["mock-grace", "A few minutes at most"],
+  ["mock-ada", "Thanks for the heads up"],
+  ["mock-alan", "Retro notes are up"],
+  ["mock-katherine", "Release candidate passes all checks"],
+  ["mock-ada", "🎉"],
+  ["mock-grace", "Migration done, everything is green"],
+  ["mock-alan", "See you all tomorrow"],
+  ["mock-ada", "Have a good evening!"],
+  ["mock-katherine", "Bye 👋"],
+];
+
+// A few reactions so chips and the details sheet have something to show
+const SEED_REACTIONS = {
+  0: [{ emoji: "👋", participants: ["mock-grace", "mock-alan"] }],
+  4: [{ emoji: "😬", participants: ["mock-ada"] }],
+  9: [{ emoji: "☕", participants: ["mock-alan", "mock-grace"] }],
+  14: [
+    { emoji: "🚀", participants: ["mock-grace", "mock-katherine"] },
+    { emoji: "👍", participants: ["mock-alan"] },
+  ],
+  25: [{ emoji: "🎉", participants: ["mock-grace", "mock-alan"] }],
+};
+
+const SEED_REPLIES = { 5: 4, 16: 12, 21: 20 };
+
+/**
+ * Deterministic seed data for the mock server: participants plus a short
+ * conversation ending just before `now`, oldest first.
+ */
+export const createSeedData = (now = Date.now()) => {
+  const participants = MOCK_PARTICIPANTS.map((p) => ({
+    ...p,
+    createdAt: now - 7 * 24 * 60 * MINUTE,
+    updatedAt: now - 7 * 24 * 60 * MINUTE,
+  }));
+  const byUuid = new Map(participants.map((p) => [p.uuid, p]));
+
+  const messages = [];
+  SCRIPT.forEach(([authorUuid, text], index) => {
+    const createdAt = now - (SCRIPT.length - index) * 37 * MINUTE;
+    const replyTo = messages[SEED_REPLIES[index]];
+    messages.push({
+      uuid: `mock-message-${index + 1}`,
+      text,
+      participant: byUuid.get(authorUuid),
+      createdAt,
+      updatedAt: createdAt,
+      attachments: [],
+      reactions: (SEED_REACTIONS[index] || []).map((r) => ({
+        ...r,
+        count: r.participants.length,
+      })),
+      replyToMessage: replyTo
+        ? {
+            uuid: replyTo.uuid,
+            text: replyTo.text,
+            participant: replyTo.participant,
+          }
+        : null,
+    });
+  });
+
+  return { participants, messages };
+};
@@ -1,11 +1,9 @@
 // src/api/participants.js
-import axios from "axios";
+import { apiClient } from "./client";
 
-const BASE_URL = "https://dummy-chat-server.tribechat.com/api";
-
-export const fetchAllParticipants = async () => {
+export const fetchAllParticipants = async (options) => {
   try {
-    const res = await axios.get(`${BASE_URL}/participants/all`);
+    const res = await apiClient.get("/participants/all", options);
     return res.data; // Array of TParticipant
   } catch (err) {
     console.error("❌ Failed to fetch participants:", err);
@@ -13,9 +11,9 @@ export const fetchAllParticipants = async () => {
   }
 };
 
-export const fetchUpdatedParticipants = async (since) => {
+export const fetchUpdatedParticipants = async (since, options) => {
   try {
-    const res = await axios.get(`${BASE_URL}/participants/updates/${since}`);
+    const res = await apiClient.get(`/participants/updates/${since}`, options);
     return res.data; // Array of updated TParticipant
   } catch (err) {
     console.error("❌ Failed to fetch updated participants:", err);
@@ -0,0 +1,119 @@
+// src/api/rateLimit.js
+import useRateLimitStore from "../state/rateLimitStore";
+
+// Pause used when a 429 arrives without any timing headers
+export const DEFAULT_RATE_LIMIT_DELAY = 5000;
+// Never trust a header to stop us for longer than this
+const MAX_RATE_LIMIT_DELAY = 5 * 60 * 1000;
+
+const readHeader = (headers, name) => {
+  if (!headers) return undefined;
+  const value =
+    typeof headers.get === "function"
+      ? headers.get(name)
+      : (headers[name.toLowerCase()] ?? headers[name]);
+  return value == null ? undefined : String(value);
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value.trim() === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// `X-RateLimit-Reset` comes as epoch seconds, epoch ms or seconds from now
+const parseReset = (value, now) => {
+  const number = toNumber(value);
+  if (number === null) return null;
+  if (number > 1e12) return number;
+  if (number > 1e9) return number * 1000;
+  return now + number * 1000;
+};
+
+// `Retry-After` is either delta seconds or an HTTP date
+const parseRetryAfter = (value, now) => {
+  if (value === undefined) return null;
+  const seconds = toNumber(value);
+  if (seconds !== null) return now + Math.max(0, seconds) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date;
+};
+
+/**
+ * Timing from rate-limit response headers.
+ * @returns {{retryAt:number|null, limit:number|null, remaining:number|null, resetAt:number|null}}
+ */
+export const parseRateLimitHeaders = (headers, now = Date.now()) => ({
+  retryAt: parseRetryAfter(readHeader(headers, "Retry-After"), now),
+  limit: toNumber(readHeader(headers, "X-RateLimit-Limit")),
+  remaining: toNumber(readHeader(headers, "X-RateLimit-Remaining")),
+  resetAt: parseReset(readHeader(headers, "X-RateLimit-Reset"), now),
+});
+
+/**
+ * Feed every HTTP response (successful or not) through here. A 429, or a
+ * quota that just hit zero, pauses all requests until the window resets.
+ * @returns {number} ms until requests may go out again
+ */
+export const recordRateLimit = (response, now = Date.now()) => {
+  if (!response) return getRateLimitDelay(now);
+
+  const { retryAt, limit, remaining, resetAt } = parseRateLimitHeaders(
+    response.headers,
+    now,
+  );
+  const store = useRateLimitStore.getState();
+  if (limit !== null || remaining !== null || resetAt !== null) {
+    store.updateQuota({ limit, remaining, resetAt });
+  }
+
+  let pauseUntil = null;
+  if (response.status === 429) {
+    pauseUntil = retryAt ?? resetAt ?? now + DEFAULT_RATE_LIMIT_DELAY;
+  } else if (remaining === 0 && resetAt) {
+    pauseUntil = resetAt;
+  }
+
+  if (pauseUntil !== null) {
+    const until = Math.min(pauseUntil, now + MAX_RATE_LIMIT_DELAY);
+    if (until > now) {
+      console.warn(
+        `🚦 Rate limited - pausing requests for ${Math.ceil((until - now) / 1000)}s`,
+      );
+      store.pauseUntil(until);
+    }
+  }
+
+  return getRateLimitDelay(now);
+};
+
+/** ms left in the current rate-limit window (0 when not limited) */
+export const getRateLimitDelay = (now = Date.now()) =>
+  Math.max(0, useRateLimitStore.getState().pausedUntil - now);
+
+export const isRateLimited = (now = Date.now()) => getRateLimitDelay(now) > 0;
+
+/**
+ * Resolve once the rate-limit window is over (re-checking in case it was
+ * extended meanwhile). Rejects with an AbortError when `signal` aborts.
+ */
+export const waitForRateLimit = async (signal) => {
+  let delay = getRateLimitDelay();
+  while (delay > 0) {
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(
+          Object.assign(new Error("Request canceled"), { name: "AbortError" }),
+        );
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener?.("abort", onAbort);
+        resolve();
+      }, delay);
+      if (signal?.aborted) onAbort();
+      else signal?.addEventListener?.("abort", onAbort);
+    });
+    delay = getRateLimitDelay();
+  }
+};
@@ -0,0 +1,111 @@
+// src/api/rateLimit.test.js
+import {
+  DEFAULT_RATE_LIMIT_DELAY,
+  getRateLimitDelay,
+  parseRateLimitHeaders,
+  recordRateLimit,
+  waitForRateLimit,
+} from "./rateLimit";
+import useRateLimitStore from "../state/rateLimitStore";
+
+describe("rate limit governor", () => {
+  const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    useRateLimitStore.getState().clearRateLimit();
+    jest.restoreAllMocks();
+  });
+
+  it("parses Retry-After as seconds or an HTTP date", () => {
+    expect(parseRateLimitHeaders({ "retry-after": "30" }, now).retryAt).toBe(
+      now + 30000,
+    );
+    expect(
+      parseRateLimitHeaders(
+        { "retry-after": "Mon, 01 Jan 2024 12:01:00 GMT" },
+        now,
+      ).retryAt,
+    ).toBe(now + 60000);
+  });
+
+  it("parses X-RateLimit-Reset as epoch seconds or a delta", () => {
+    const epoch = parseRateLimitHeaders(
+      {
+        "x-ratelimit-limit": "60",
+        "x-ratelimit-remaining": "0",
+        "x-ratelimit-reset": String(now / 1000 + 20),
+      },
+      now,
+    );
+    expect(epoch).toEqual({
+      retryAt: null,
+      limit: 60,
+      remaining: 0,
+      resetAt: now + 20000,
+    });
+    expect(
+      parseRateLimitHeaders({ "x-ratelimit-reset": "15" }, now).resetAt,
+    ).toBe(now + 15000);
+  });
+
+  it("pauses on a 429, preferring Retry-After over the default", () => {
+    recordRateLimit({ status: 429, headers: {} }, now);
+    expect(getRateLimitDelay(now)).toBe(DEFAULT_RATE_LIMIT_DELAY);
+
+    recordRateLimit({ status: 429, headers: { "retry-after": "10" } }, now);
+    expect(getRateLimitDelay(now)).toBe(10000);
+  });
+
+  it("pauses before a 429 once the quota is used up", () => {
+    recordRateLimit(
+      {
+        status: 200,
+        headers: { "x-ratelimit-remaining": "1", "x-ratelimit-reset": "30" },
+      },
+      now,
+    );
+    expect(getRateLimitDelay(now)).toBe(0);
+
+    recordRateLimit(
+      {
+        status: 200,
+        headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "30" },
+      },
+      now,
+    );
+    expect(getRateLimitDelay(now)).toBe(30000);
+    expect(useRateLimitStore.getState()).toMatchObject({ remaining: 0 });
+  });
+
+  it("never shortens a window that is already open", () => {
+    recordRateLimit({ status: 429, headers: { "retry-after": "20" } }, now);
+    recordRateLimit({ status: 429, headers: { "retry-after": "5" } }, now);
+    expect(getRateLimitDelay(now)).toBe(20000);
+  });
+
+  it("waits for the window to close and honors abort", async () => {
+    jest.useFakeTimers();
+    try {
+      recordRateLimit({ status: 429, headers: { "retry-after": "2" } });
+      const resolved = jest.fn();
+      waitForRateLimit().then(resolved);
+
+      await jest.advanceTimersByTimeAsync(1900);
+      expect(resolved).not.toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(200);
+      expect(resolved).toHaveBeenCalled();
+
+      recordRateLimit({ status: 429, headers: { "retry-after": "2" } });
+      const controller = new AbortController();
+      const pending = waitForRateLimit(controller.signal);
+      controller.abort();
+      await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
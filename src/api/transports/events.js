@@ -0,0 +1,42 @@
+// src/api/transports/events.js
+
+// Event types every transport delivers, whatever the wire format
+export const REALTIME_EVENTS = {
+  MESSAGE_CREATED: "message.created",
+  MESSAGE_UPDATED: "message.updated",
+  MESSAGE_DELETED: "message.deleted",
+  PARTICIPANT_CREATED: "participant.created",
+  PARTICIPANT_UPDATED: "participant.updated",
+  PARTICIPANT_DELETED: "participant.deleted", // left the chat
+  REACTION_UPDATED: "reaction.updated",
+  SESSION_CHANGED: "session.changed",
+};
+
+const KNOWN_TYPES = new Set(Object.values(REALTIME_EVENTS));
+
+/**
+ * Parse one frame into `{ type, data, id }`, or null when it isn't an
+ * event we handle (pings, malformed JSON, unknown types).
+ * @param {string|Object} raw
+ */
+export const parseRealtimeEvent = (raw) => {
+  let frame = raw;
+  if (typeof raw === "string") {
+    try {
+      frame = JSON.parse(raw);
+    } catch (_error) {
+      console.warn("⚠️ Ignoring malformed realtime frame");
+      return null;
+    }
+  }
+  if (!frame || typeof frame !== "object") return null;
+
+  const type = frame.type || frame.event;
+  if (!KNOWN_TYPES.has(type)) return null;
+
+  return {
+    type,
+    data: frame.data ?? frame.payload ?? null,
+    id: frame.id ?? null,
+  };
+};
@@ -0,0 +1,36 @@
+// src/api/transports/index.js
+import { createWebSocketTransport } from "./websocketTransport";
+import { createSseTransport } from "./sseTransport";
+import { getActiveEnvironment } from "../../state/environmentStore";
+
+export { REALTIME_EVENTS, parseRealtimeEvent } from "./events";
+
+// "sse" for deployments whose proxies block WebSockets; "polling" turns
+// push updates off entirely
+export const DEFAULT_TRANSPORT =
+  process.env.EXPO_PUBLIC_REALTIME_TRANSPORT || "websocket";
+
+// Transport to try next when one reports "unavailable"
+export const TRANSPORT_FALLBACKS = {
+  websocket: "sse",
+};
+
+// Endpoints come from the active environment when the transport is created
+const transportFactories = {
+  websocket: (options) =>
+    createWebSocketTransport({ url: getActiveEnvironment().wsUrl, ...options }),
+  sse: (options) =>
+    createSseTransport({ url: getActiveEnvironment().sseUrl, ...options }),
+};
+
+/**
+ * Create a realtime transport by name. Every transport exposes
+ * `connect({ onEvent, onStatusChange })`, `disconnect()` and `getStatus()`.
+ * Returns null for "polling", an unknown name or the mock environment.
+ */
+export const createTransport = (type = DEFAULT_TRANSPORT, options = {}) => {
+  // The mock server has no push channel; polling covers it
+  if (getActiveEnvironment().mock) return null;
+  const factory = transportFactories[type];
+  return factory ? factory(options) : null;
+};
@@ -0,0 +1,213 @@
+// src/api/transports/sseTransport.js
+import { parseRealtimeEvent } from "./events";
+
+const DEFAULT_MAX_RECONNECT_ATTEMPTS = 5;
+// responseText keeps the whole body; reconnect once it holds this much
+const DEFAULT_MAX_RESPONSE_LENGTH = 1024 * 1024;
+const defaultRetryDelay = (attempt) => Math.min(1000 * 2 ** attempt, 30000);
+
+/**
+ * Incremental parser for a `text/event-stream` body. Feed it the growing
+ * response text; it calls `onEvent({ id, event, data })` per complete event.
+ */
+export const createSseParser = (onEvent) => {
+  let buffer = "";
+  let fields = { id: null, event: null, data: [] };
+
+  const dispatch = () => {
+    if (fields.data.length > 0) {
+      onEvent({
+        id: fields.id,
+        event: fields.event || "message",
+        data: fields.data.join("\n"),
+      });
+    }
+    fields = { id: null, event: null, data: [] };
+  };
+
+  return (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r\n|\r|\n/);
+    // The last piece may be a partial line; keep it for the next chunk
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line === "") {
+        dispatch();
+        continue;
+      }
+      if (line.startsWith(":")) continue; // comment / keep-alive
+
+      const colon = line.indexOf(":");
+      const name = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+
+      if (name === "data") fields.data.push(value);
+      else if (name === "event") fields.event = value;
+      else if (name === "id") fields.id = value;
+    }
+  };
+};
+
+// SSE bodies are either a `{ type, data }` envelope or the bare payload
+const toRealtimeEvent = ({ id, event, data }) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch (_error) {
+    console.warn("⚠️ Ignoring malformed SSE event");
+    return null;
+  }
+
+  const isEnvelope = parsed && typeof parsed === "object" && parsed.type;
+  return parseRealtimeEvent(
+    isEnvelope ? { id, ...parsed } : { type: event, data: parsed, id },
+  );
+};
+
+/**
+ * Server-Sent Events over a streaming XMLHttpRequest (React Native has no
+ * EventSource). Resumes from the last event id, or from `getLastEventId()`
+ * on first connect, and reports "unavailable" once reconnects run out.
+ * Long-lived streams are quietly reopened after `maxResponseLength`
+ * characters so the XHR buffer stays bounded.
+ *
+ * Status: "idle" | "connecting" | "open" | "closed" | "unavailable"
+ */
+export const createSseTransport = ({
+  url,
+  XMLHttpRequestImpl = globalThis.XMLHttpRequest,
+  getLastEventId = () => null,
+  getRetryDelay = defaultRetryDelay,
+  maxReconnectAttempts = DEFAULT_MAX_RECONNECT_ATTEMPTS,
+  maxResponseLength = DEFAULT_MAX_RESPONSE_LENGTH,
+} = {}) => {
+  let xhr = null;
+  let handlers = {};
+  let status = "idle";
+  let attempts = 0;
+  let reconnectTimer = null;
+  let stopped = true;
+  let lastEventId = null;
+
+  const setStatus = (next) => {
+    if (status === next) return;
+    status = next;
+    handlers.onStatusChange?.(next);
+  };
+
+  const scheduleReconnect = () => {
+    if (attempts >= maxReconnectAttempts) {
+      console.warn("📡 Event stream unavailable - falling back to polling");
+      setStatus("unavailable");
+      return;
+    }
+
+    const delay = getRetryDelay(attempts);
+    attempts += 1;
+    reconnectTimer = setTimeout(open, delay);
+  };
+
+  // Stop listening before aborting, so the abort isn't seen as a drop
+  const closeRequest = () => {
+    if (!xhr) return;
+    xhr.onreadystatechange = null;
+    xhr.onprogress = null;
+    xhr.abort();
+    xhr = null;
+  };
+
+  const handleEnd = () => {
+    xhr = null;
+    if (stopped) return;
+    setStatus("closed");
+    scheduleReconnect();
+  };
+
+  // `recycling`: replacing a healthy stream, so the status stays "open"
+  const open = ({ recycling = false } = {}) => {
+    reconnectTimer = null;
+    if (stopped) return;
+
+    if (!url || typeof XMLHttpRequestImpl !== "function") {
+      setStatus("unavailable");
+      return;
+    }
+
+    if (!recycling) setStatus("connecting");
+
+    const request = new XMLHttpRequestImpl();
+    const feed = createSseParser((raw) => {
+      if (raw.id) lastEventId = raw.id;
+      const event = toRealtimeEvent(raw);
+      if (event) handlers.onEvent?.(event);
+    });
+    let seen = 0;
+
+    const readNew = () => {
+      // Error pages (e.g. a 503 from a proxy) are not event streams
+      if (request.status !== 200) return;
+
+      const text = request.responseText || "";
+      if (text.length > seen) {
+        feed(text.slice(seen));
+        seen = text.length;
+      }
+
+      // Resumes from the last event id; a partial event is sent again
+      if (seen >= maxResponseLength && xhr === request) {
+        closeRequest();
+        open({ recycling: true });
+      }
+    };
+
+    request.onreadystatechange = () => {
+      if (request.readyState === 2 || request.readyState === 3) {
+        if (request.status === 200) {
+          attempts = 0;
+          setStatus("open");
+        }
+        readNew();
+      } else if (request.readyState === 4) {
+        readNew();
+        if (xhr === request) handleEnd();
+      }
+    };
+    request.onprogress = readNew;
+    request.onerror = () => {};
+
+    request.open("GET", url);
+    request.setRequestHeader("Accept", "text/event-stream");
+    request.setRequestHeader("Cache-Control", "no-cache");
+    const resumeFrom = lastEventId ?? getLastEventId();
+    if (resumeFrom) request.setRequestHeader("Last-Event-ID", `${resumeFrom}`);
+    request.send();
+
+    xhr = request;
+  };
+
+  return {
+    name: "sse",
+
+    connect: (nextHandlers = {}) => {
+      handlers = nextHandlers;
+      stopped = false;
+      attempts = 0;
+      open();
+    },
+
+    disconnect: () => {
+      stopped = true;
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+      closeRequest();
+      setStatus("idle");
+    },
+
+    getStatus: () => status,
+  };
+};
+
+export default createSseTransport;
@@ -0,0 +1,196 @@
+// src/api/transports/sseTransport.test.js
+import { createSseParser, createSseTransport } from "./sseTransport";
+import { REALTIME_EVENTS } from "./events";
+
+// Minimal streaming XMLHttpRequest: tests push body text and end responses
+class FakeXHR {
+  static instances = [];
+
+  constructor() {
+    this.headers = {};
+    this.readyState = 0;
+    this.status = 0;
+    this.responseText = "";
+    this.aborted = false;
+    FakeXHR.instances.push(this);
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+    this.readyState = 1;
+  }
+
+  setRequestHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  send() {}
+
+  abort() {
+    this.aborted = true;
+  }
+
+  respond(status = 200) {
+    this.status = status;
+    this.readyState = 2;
+    this.onreadystatechange?.();
+  }
+
+  push(text) {
+    this.responseText += text;
+    this.readyState = 3;
+    this.onprogress?.();
+  }
+
+  end() {
+    this.readyState = 4;
+    this.onreadystatechange?.();
+  }
+}
+
+const latestRequest = () => FakeXHR.instances[FakeXHR.instances.length - 1];
+
+describe("createSseParser", () => {
+  it("emits events split across chunks and skips comments", () => {
+    const events = [];
+    const feed = createSseParser((event) => events.push(event));
+
+    feed(": keep-alive\n\nid: 1\nevent: message.created\nda");
+    expect(events).toEqual([]);
+
+    feed('ta: {"uuid":"m1"}\n\ndata: line one\r\ndata: line two\n\n');
+    expect(events).toEqual([
+      { id: "1", event: "message.created", data: '{"uuid":"m1"}' },
+      { id: null, event: "message", data: "line one\nline two" },
+    ]);
+  });
+});
+
+describe("sse transport", () => {
+  let transport;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    FakeXHR.instances = [];
+  });
+
+  afterEach(() => {
+    transport?.disconnect();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const connect = (options = {}) => {
+    const events = [];
+    const statuses = [];
+    transport = createSseTransport({
+      url: "https://chat.test/api/stream",
+      XMLHttpRequestImpl: FakeXHR,
+      getRetryDelay: () => 10,
+      ...options,
+    });
+    transport.connect({
+      onEvent: (event) => events.push(event),
+      onStatusChange: (status) => statuses.push(status),
+    });
+    return { events, statuses };
+  };
+
+  it("delivers envelope and named events once the stream opens", () => {
+    const { events, statuses } = connect();
+    const request = latestRequest();
+
+    expect(request.headers.Accept).toBe("text/event-stream");
+    request.respond(200);
+    expect(statuses).toEqual(["connecting", "open"]);
+
+    request.push(
+      'id: 1\ndata: {"type":"message.updated","data":{"uuid":"m1","text":"hi"}}\n\n' +
+        'id: 2\nevent: participant.updated\ndata: {"uuid":"p1"}\n\n' +
+        "data: not json\n\n",
+    );
+
+    expect(events).toEqual([
+      {
+        type: REALTIME_EVENTS.MESSAGE_UPDATED,
+        data: { uuid: "m1", text: "hi" },
+        id: "1",
+      },
+      {
+        type: REALTIME_EVENTS.PARTICIPANT_UPDATED,
+        data: { uuid: "p1" },
+        id: "2",
+      },
+    ]);
+  });
+
+  it("resumes from the last sync, then from the last event id", () => {
+    connect({ getLastEventId: () => 1700000000000 });
+    const first = latestRequest();
+    expect(first.headers["Last-Event-ID"]).toBe("1700000000000");
+
+    first.respond(200);
+    first.push('id: evt-7\nevent: message.deleted\ndata: {"uuid":"m1"}\n\n');
+    first.end();
+
+    expect(transport.getStatus()).toBe("closed");
+    jest.advanceTimersByTime(10);
+
+    expect(FakeXHR.instances).toHaveLength(2);
+    expect(latestRequest().headers["Last-Event-ID"]).toBe("evt-7");
+  });
+
+  it("gives up after the maximum reconnect attempts", () => {
+    const { statuses } = connect({ maxReconnectAttempts: 2 });
+
+    for (let i = 0; i < 3; i++) {
+      latestRequest().respond(503);
+      latestRequest().end();
+      jest.advanceTimersByTime(10);
+    }
+
+    expect(FakeXHR.instances).toHaveLength(3);
+    expect(statuses[statuses.length - 1]).toBe("unavailable");
+  });
+
+  it("ignores the body of an error response", () => {
+    const { events } = connect();
+    const request = latestRequest();
+
+    request.respond(503);
+    request.push('data: {"type":"message.deleted","data":{"uuid":"m1"}}\n\n');
+    request.end();
+
+    expect(events).toEqual([]);
+    expect(transport.getStatus()).toBe("closed");
+  });
+
+  it("reopens a long-lived stream before its buffer grows too large", () => {
+    const { events, statuses } = connect({ maxResponseLength: 64 });
+    const first = latestRequest();
+    first.respond(200);
+
+    first.push('id: 1\nevent: message.deleted\ndata: {"uuid":"m1"}\n\n');
+    expect(FakeXHR.instances).toHaveLength(1);
+    first.push('id: 2\nevent: message.deleted\ndata: {"uuid":"m2"}\n\n');
+
+    expect(first.aborted).toBe(true);
+    expect(FakeXHR.instances).toHaveLength(2);
+    expect(latestRequest().headers["Last-Event-ID"]).toBe("2");
+    expect(events.map((e) => e.data.uuid)).toEqual(["m1", "m2"]);
+    expect(statuses).toEqual(["connecting", "open"]);
+  });
+
+  it("aborts the open request on disconnect", () => {
+    connect();
+    const request = latestRequest();
+    request.respond(200);
+
+    transport.disconnect();
+
+    expect(request.aborted).toBe(true);
+    expect(transport.getStatus()).toBe("idle");
+  });
+});
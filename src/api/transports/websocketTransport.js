@@ -0,0 +1,116 @@
+// src/api/transports/websocketTransport.js
+import { parseRealtimeEvent } from "./events";
+
+const DEFAULT_MAX_RECONNECT_ATTEMPTS = 5;
+const defaultRetryDelay = (attempt) => Math.min(1000 * 2 ** attempt, 30000);
+
+/**
+ * Push updates over a WebSocket. Reconnects with backoff and reports
+ * "unavailable" once it gives up so callers can fall back to polling.
+ *
+ * Status: "idle" | "connecting" | "open" | "closed" | "unavailable"
+ */
+export const createWebSocketTransport = ({
+  url,
+  WebSocketImpl = globalThis.WebSocket,
+  getRetryDelay = defaultRetryDelay,
+  maxReconnectAttempts = DEFAULT_MAX_RECONNECT_ATTEMPTS,
+} = {}) => {
+  let socket = null;
+  let handlers = {};
+  let status = "idle";
+  let attempts = 0;
+  let reconnectTimer = null;
+  let stopped = true;
+
+  const setStatus = (next) => {
+    if (status === next) return;
+    status = next;
+    handlers.onStatusChange?.(next);
+  };
+
+  const scheduleReconnect = () => {
+    if (attempts >= maxReconnectAttempts) {
+      console.warn("📡 WebSocket unavailable - falling back to polling");
+      setStatus("unavailable");
+      return;
+    }
+
+    const delay = getRetryDelay(attempts);
+    attempts += 1;
+    reconnectTimer = setTimeout(open, delay);
+  };
+
+  const open = () => {
+    reconnectTimer = null;
+    if (stopped) return;
+
+    if (!url || typeof WebSocketImpl !== "function") {
+      setStatus("unavailable");
+      return;
+    }
+
+    setStatus("connecting");
+
+    try {
+      socket = new WebSocketImpl(url);
+    } catch (error) {
+      console.warn("📡 WebSocket connect failed:", error.message);
+      socket = null;
+      setStatus("closed");
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      attempts = 0;
+      setStatus("open");
+    };
+
+    socket.onmessage = (message) => {
+      const event = parseRealtimeEvent(message.data);
+      if (event) handlers.onEvent?.(event);
+    };
+
+    // onclose always follows onerror, so reconnecting is handled there
+    socket.onerror = () => {};
+
+    socket.onclose = () => {
+      socket = null;
+      if (stopped) return;
+      setStatus("closed");
+      scheduleReconnect();
+    };
+  };
+
+  return {
+    name: "websocket",
+
+    connect: (nextHandlers = {}) => {
+      handlers = nextHandlers;
+      stopped = false;
+      attempts = 0;
+      open();
+    },
+
+    disconnect: () => {
+      stopped = true;
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+      if (socket) {
+        socket.onopen = null;
+        socket.onmessage = null;
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+      setStatus("idle");
+    },
+
+    getStatus: () => status,
+  };
+};
+
+export default createWebSocketTransport;
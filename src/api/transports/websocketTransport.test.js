@@ -0,0 +1,107 @@
+// src/api/transports/websocketTransport.test.js
+import WebSocket from "ws";
+import { createWebSocketTransport } from "./websocketTransport";
+import { REALTIME_EVENTS } from "./events";
+
+// Local mock socket server standing in for the chat server's /ws endpoint
+const startMockServer = () =>
+  new Promise((resolve) => {
+    const server = new WebSocket.Server({ port: 0 }, () => resolve(server));
+  });
+
+const waitFor = (predicate, timeout = 2000) =>
+  new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeout)
+        return reject(new Error("Timed out waiting for condition"));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+
+describe("websocket transport", () => {
+  let server;
+  let transport;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    server = await startMockServer();
+  });
+
+  afterEach(async () => {
+    transport?.disconnect();
+    await new Promise((resolve) => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  const connect = (options = {}) => {
+    const events = [];
+    const statuses = [];
+    transport = createWebSocketTransport({
+      url: `ws://localhost:${server.address().port}`,
+      WebSocketImpl: WebSocket,
+      getRetryDelay: () => 10,
+      ...options,
+    });
+    transport.connect({
+      onEvent: (event) => events.push(event),
+      onStatusChange: (status) => statuses.push(status),
+    });
+    return { events, statuses };
+  };
+
+  it("delivers pushed events and ignores frames it doesn't know", async () => {
+    server.on("connection", (socket) => {
+      socket.send("not json");
+      socket.send(JSON.stringify({ type: "ping" }));
+      socket.send(
+        JSON.stringify({
+          type: REALTIME_EVENTS.MESSAGE_CREATED,
+          data: { uuid: "m1", text: "Hi" },
+        }),
+      );
+    });
+
+    const { events } = connect();
+    await waitFor(() => events.length === 1);
+
+    expect(transport.getStatus()).toBe("open");
+    expect(events[0]).toEqual({
+      type: REALTIME_EVENTS.MESSAGE_CREATED,
+      data: { uuid: "m1", text: "Hi" },
+      id: null,
+    });
+  });
+
+  it("reconnects after the server drops the connection", async () => {
+    let connections = 0;
+    server.on("connection", (socket) => {
+      connections += 1;
+      if (connections === 1) socket.terminate();
+    });
+
+    const { statuses } = connect();
+    await waitFor(() => connections === 2 && transport.getStatus() === "open");
+    expect(statuses).toContain("closed");
+  });
+
+  it("reports unavailable once reconnect attempts run out", async () => {
+    const port = server.address().port;
+    await new Promise((resolve) => server.close(resolve));
+    server = await startMockServer();
+
+    transport = createWebSocketTransport({
+      url: `ws://localhost:${port}`,
+      WebSocketImpl: WebSocket,
+      getRetryDelay: () => 10,
+      maxReconnectAttempts: 2,
+    });
+    const statuses = [];
+    transport.connect({ onStatusChange: (status) => statuses.push(status) });
+
+    await waitFor(() => transport.getStatus() === "unavailable");
+    expect(statuses.filter((s) => s === "connecting")).toHaveLength(3);
+  });
+});
@@ -0,0 +1,137 @@
+// src/components/AttachmentGrid.jsx
+import React, { useState, useCallback, memo } from "react";
+import {
+  View,
+  Image,
+  Text,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+} from "react-native";
+
+import {
+  GRID_GAP,
+  MAX_GRID_CELLS,
+  getAttachmentGridLayout,
+} from "../utils/attachments";
+
+const GridCell = ({
+  attachment,
+  cell,
+  label,
+  hiddenCount,
+  onPress,
+  onError,
+}) => {
+  const [loading, setLoading] = useState(true);
+
+  const handleError = useCallback(() => {
+    setLoading(false);
+    onError?.();
+  }, [onError]);
+
+  return (
+    <TouchableOpacity
+      onPress={() => onPress?.(cell.index)}
+      activeOpacity={0.8}
+      style={[styles.cell, { width: cell.width, height: cell.height }]}
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityLabel={label}
+      accessibilityHint="Double tap to open image preview"
+    >
+      <Image
+        source={{ uri: attachment.url }}
+        style={styles.image}
+        resizeMode="cover"
+        onLoad={() => setLoading(false)}
+        onError={handleError}
+        accessibilityIgnoresInvertColors={true}
+      />
+      {loading && (
+        <View style={styles.overlay}>
+          <ActivityIndicator color="#fff" />
+        </View>
+      )}
+      {hiddenCount > 0 && (
+        <View style={[styles.overlay, styles.moreOverlay]}>
+          <Text style={styles.moreText}>+{hiddenCount}</Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+/**
+ * Image attachments laid out as a 1/2/3/4+ grid. Cell sizes come from
+ * the attachments' known dimensions so the bubble doesn't resize as images
+ * load. `onPress(index)` receives the attachment index.
+ */
+const AttachmentGrid = ({ attachments, width, onPress, onError, style }) => {
+  const layout = getAttachmentGridLayout(attachments, width);
+  if (layout.length === 0) return null;
+
+  // The last cell stands in for everything that doesn't fit
+  const hiddenCount =
+    attachments.length > MAX_GRID_CELLS
+      ? attachments.length - MAX_GRID_CELLS + 1
+      : 0;
+
+  return (
+    <View style={[styles.grid, { width }, style]}>
+      {layout.map((cell, i) => {
+        const isLast = i === layout.length - 1;
+        return (
+          <GridCell
+            key={cell.index}
+            attachment={attachments[cell.index]}
+            cell={cell}
+            label={
+              attachments.length === 1
+                ? "View image attachment"
+                : isLast && hiddenCount > 0
+                  ? `View ${hiddenCount} more images`
+                  : `View image ${cell.index + 1} of ${attachments.length}`
+            }
+            hiddenCount={isLast ? hiddenCount : 0}
+            onPress={onPress}
+            onError={onError}
+          />
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  grid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: GRID_GAP,
+    borderRadius: 8,
+    overflow: "hidden",
+  },
+  cell: {
+    backgroundColor: "#e9ecef",
+  },
+  image: {
+    width: "100%",
+    height: "100%",
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.3)",
+  },
+  moreOverlay: {
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+  },
+  moreText: {
+    color: "#fff",
+    fontSize: 24,
+    fontWeight: "600",
+  },
+});
+
+export default memo(AttachmentGrid);
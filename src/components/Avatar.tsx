@@ -2,10 +2,14 @@
 import React from "react";
 import { View, Image, Text, StyleSheet } from "react-native";
 
+import useParticipant from "../hooks/useParticipant";
+
 const Avatar = ({ participant, size = 40 }) => {
-  if (!participant) return null;
+  // Follow profile changes even when handed an embedded copy
+  const current = useParticipant(participant?.uuid, participant);
+  if (!current) return null;
 
-  const { name, avatarUrl = "" } = participant;
+  const { name, avatarUrl = "" } = current;
 
   const initials = name
     ?.split(" ")
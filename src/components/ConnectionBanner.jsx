@@ -3,7 +3,26 @@ import React, { memo } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import colors from '../constants/colors';
 
-const ConnectionBanner = ({ status, onRetry }) => {
+/**
+ * Connection state above the message list. While the server has us rate
+ * limited (`rateLimitSeconds` > 0) it shows a countdown instead, since
+ * retrying before then would only be refused again.
+ */
+const ConnectionBanner = ({ status, onRetry, rateLimitSeconds = 0 }) => {
+  if (rateLimitSeconds > 0) {
+    return (
+      <View
+        style={styles.connectionBanner}
+        accessibilityRole="alert"
+        accessibilityLiveRegion="polite"
+      >
+        <Text style={styles.connectionText}>
+          ⏳ Too many requests. Resuming in {rateLimitSeconds}s
+        </Text>
+      </View>
+    );
+  }
+
   if (status === 'connected') return null;
 
   return (
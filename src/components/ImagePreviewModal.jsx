@@ -1,26 +1,104 @@
 // src/components/ImagePreviewModal.jsx
-import React from "react";
-import { Modal, Text, TouchableOpacity, StyleSheet } from "react-native";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Share,
+  AccessibilityInfo,
+} from "react-native";
 import ImageViewer from "react-native-image-zoom-viewer";
 
-const ImagePreviewModal = ({ visible, imageUrl, onClose }) => {
-  if (!imageUrl) return null;
+import { formatDate, formatTime } from "../utils/formatDate";
 
-  const images = [{ url: imageUrl }];
+/**
+ * Full-screen gallery. `images` comes from `buildImageGallery` (oldest
+ * first); swiping moves between them starting at `initialIndex`.
+ */
+const ImagePreviewModal = ({
+  visible,
+  images = [],
+  initialIndex = 0,
+  onClose,
+}) => {
+  const [currentIndex, setCurrentIndex] = useState(initialIndex);
+
+  useEffect(() => {
+    if (visible) setCurrentIndex(initialIndex);
+  }, [visible, initialIndex]);
+
+  const current = images[currentIndex];
+
+  const handleChange = useCallback(
+    (index) => {
+      if (typeof index !== "number") return;
+      setCurrentIndex(index);
+      AccessibilityInfo.announceForAccessibility(
+        `Image ${index + 1} of ${images.length}`,
+      );
+    },
+    [images.length],
+  );
+
+  // The system share sheet also offers "Save Image" where the platform supports it
+  const handleShare = useCallback(async () => {
+    if (!current) return;
+    try {
+      await Share.share({ url: current.url, message: current.url });
+    } catch (error) {
+      console.error("Failed to share image:", error);
+      AccessibilityInfo.announceForAccessibility("Failed to share image");
+    }
+  }, [current]);
+
+  if (!visible || images.length === 0) return null;
 
   return (
     <Modal visible={visible} transparent={true} onRequestClose={onClose}>
       <ImageViewer
         imageUrls={images}
+        index={initialIndex}
+        onChange={handleChange}
         enableSwipeDown
         onSwipeDown={onClose}
         onCancel={onClose}
         backgroundColor="#000"
         renderIndicator={() => null}
         renderHeader={() => (
-          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
-            <Text style={styles.closeText}>×</Text>
-          </TouchableOpacity>
+          <View style={styles.header}>
+            <View style={styles.headerInfo} accessible={true}>
+              <Text style={styles.sender} numberOfLines={1}>
+                {current?.senderName}
+              </Text>
+              {!!current?.createdAt && (
+                <Text style={styles.time}>
+                  {formatDate(current.createdAt)},{" "}
+                  {formatTime(current.createdAt)}
+                  {images.length > 1
+                    ? `  ·  ${currentIndex + 1} / ${images.length}`
+                    : ""}
+                </Text>
+              )}
+            </View>
+            <TouchableOpacity
+              onPress={handleShare}
+              style={styles.headerButton}
+              accessibilityRole="button"
+              accessibilityLabel="Share or save image"
+            >
+              <Text style={styles.shareText}>Share</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={onClose}
+              style={styles.headerButton}
+              accessibilityRole="button"
+              accessibilityLabel="Close image preview"
+            >
+              <Text style={styles.closeText}>×</Text>
+            </TouchableOpacity>
+          </View>
         )}
       />
     </Modal>
@@ -28,16 +106,39 @@ const ImagePreviewModal = ({ visible, imageUrl, onClose }) => {
 };
 
 const styles = StyleSheet.create({
-  closeButton: {
+  header: {
     position: "absolute",
     top: 40,
+    left: 20,
     right: 20,
     zIndex: 10,
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  sender: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  time: {
+    color: "#ccc",
+    fontSize: 12,
+    marginTop: 2,
+  },
+  headerButton: {
+    marginLeft: 8,
     backgroundColor: "rgba(0,0,0,0.6)",
     paddingHorizontal: 12,
     paddingVertical: 6,
     borderRadius: 20,
   },
+  shareText: {
+    color: "#fff",
+    fontWeight: "600",
+  },
   closeText: {
     fontSize: 24,
     color: "#fff",
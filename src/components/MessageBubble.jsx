@@ -1,18 +1,32 @@
 // Enhanced MessageBubble.jsx - Clean version that passes ESLint
-import React, { useState, useCallback, useMemo } from "react";
+import React, { useState, useCallback, useMemo, useRef } from "react";
 import {
   View,
   Text,
-  Image,
   TouchableOpacity,
+  Pressable,
   Alert,
   AccessibilityInfo,
+  Animated,
+  PanResponder,
+  Platform,
 } from "react-native";
 import Avatar from "./Avatar";
 import ReactionRow from "./ReactionRow";
+import AttachmentGrid from "./AttachmentGrid";
 import { formatTime } from "../utils/formatDate";
+import { getImageAttachments } from "../utils/attachments";
 import { useTheme } from "../constants/theme";
-import { createStyles } from "./MessageBubble.styles";
+import useReply from "../hooks/useReply";
+import useEditMessage from "../hooks/useEditMessage";
+import useMessageActions from "../hooks/useMessageActions";
+import useImageViewer from "../hooks/useImageViewer";
+import { useMessageParticipant } from "../hooks/useParticipant";
+import { createStyles, getAttachmentGridWidth } from "./MessageBubble.styles";
+
+// Swipe right past this distance to reply; the bubble never moves further than the max
+const SWIPE_REPLY_THRESHOLD = 60;
+const SWIPE_REPLY_MAX = 80;
 
 const MessageBubble = ({
   message,
@@ -20,13 +34,24 @@ const MessageBubble = ({
   onReact,
   onReactionPress,
   onParticipantPress,
+  onRetryMessage,
+  onDeleteMessage,
+  onReplyPress,
+  isHighlighted,
 }) => {
   const [showReactionRow, setShowReactionRow] = useState(false);
-  const [imageLoading, setImageLoading] = useState(true);
   const theme = useTheme();
   const styles = useMemo(() => createStyles(theme), [theme]);
+  const gridWidth = useMemo(() => getAttachmentGridWidth(theme), [theme]);
+  const { startReply } = useReply();
+  const { openImage } = useImageViewer();
+  const { startEdit } = useEditMessage();
+  const { confirmDelete } = useMessageActions();
+  const swipeX = useRef(new Animated.Value(0)).current;
 
-  const participant = message.participant;
+  // Resolved through participantStore so renames and new avatars show up live
+  const participant = useMessageParticipant(message);
+  const replyParticipant = useMessageParticipant(message.replyToMessage);
   const displayName = participant?.name || "Unknown";
   const hasReactions = message.reactions && message.reactions.length > 0;
 
@@ -37,6 +62,18 @@ const MessageBubble = ({
   const isMessageSending =
     message.status === "sending" || message.uuid?.startsWith("temp-");
   const reactionsDisabled = isMessageSending;
+  const uploadPercent =
+    isMessageSending && typeof message.uploadProgress === "number"
+      ? Math.round(message.uploadProgress * 100)
+      : null;
+  const isUploading = uploadPercent !== null && uploadPercent < 100;
+  const isDeleted = message.status === "deleted";
+  const imageAttachments = useMemo(
+    () => getImageAttachments(message),
+    [message],
+  );
+  const canReply = !isMessageSending && !isDeleted;
+  const canEdit = canReply && isOwnMessage;
 
   // Memoize formatted time to prevent recalculation
   const formattedTime = useMemo(
@@ -46,11 +83,15 @@ const MessageBubble = ({
 
   // Memoize accessibility label
   const accessibilityLabel = useMemo(() => {
+    if (isDeleted) {
+      return `Deleted message from ${displayName}, sent at ${formattedTime}`;
+    }
     let label = `Message from ${displayName}, sent at ${formattedTime}: ${message.text}`;
     if (message.editedAt) label += " (edited)";
     if (hasReactions) label += ` with ${message.reactions.length} reactions`;
     return label;
   }, [
+    isDeleted,
     displayName,
     formattedTime,
     message.text,
@@ -59,19 +100,12 @@ const MessageBubble = ({
     message.reactions,
   ]);
 
+  // The reaction row only adds; ChatScreen announces the outcome and
+  // reports failures once the request settles
   const handleReact = useCallback(
-    async (emoji) => {
-      try {
-        if (onReact) {
-          await onReact(message.uuid, emoji);
-          AccessibilityInfo.announceForAccessibility(`Added ${emoji} reaction`);
-        }
-        setShowReactionRow(false);
-      } catch (error) {
-        console.error("Failed to add reaction:", error);
-        Alert.alert("Error", "Failed to add reaction. Please try again.");
-        AccessibilityInfo.announceForAccessibility("Failed to add reaction");
-      }
+    (emoji) => {
+      if (onReact) onReact(message.uuid, emoji);
+      setShowReactionRow(false);
     },
     [onReact, message.uuid],
   );
@@ -85,6 +119,16 @@ const MessageBubble = ({
     [onReactionPress, message.uuid],
   );
 
+  // Tapping a chip toggles it: remove our own reaction, or add the same emoji.
+  // ChatScreen announces the outcome once the request settles.
+  const handleReactionChipPress = useCallback(
+    (reaction) => {
+      if (!onReact || reactionsDisabled) return;
+      onReact(message.uuid, reaction.emoji, !reaction.isOwnReaction);
+    },
+    [onReact, reactionsDisabled, message.uuid],
+  );
+
   const handleParticipantPress = useCallback(() => {
     if (onParticipantPress && participant) {
       onParticipantPress(participant);
@@ -110,31 +154,118 @@ const MessageBubble = ({
     });
   }, [reactionsDisabled]);
 
-  const handleImagePress = useCallback(() => {
-    console.log("Image pressed:", message.image);
-    AccessibilityInfo.announceForAccessibility("Opening image preview");
-    // TODO: Implement image preview modal
-  }, [message.image]);
+  const handleRetry = useCallback(() => {
+    if (onRetryMessage) {
+      onRetryMessage(message.uuid);
+      AccessibilityInfo.announceForAccessibility("Retrying message");
+    }
+  }, [onRetryMessage, message.uuid]);
 
-  const handleImageLoad = useCallback(() => {
-    setImageLoading(false);
-  }, []);
+  const handleDelete = useCallback(() => {
+    if (onDeleteMessage) {
+      onDeleteMessage(message.uuid);
+      AccessibilityInfo.announceForAccessibility("Message deleted");
+    }
+  }, [onDeleteMessage, message.uuid]);
+
+  const handleReply = useCallback(() => {
+    if (!canReply) return;
+    startReply(message);
+    AccessibilityInfo.announceForAccessibility(`Replying to ${displayName}`);
+  }, [canReply, startReply, message, displayName]);
+
+  const handleReplyToPress = useCallback(() => {
+    if (onReplyPress && message.replyToMessage?.uuid) {
+      onReplyPress(message.replyToMessage.uuid);
+    }
+  }, [onReplyPress, message.replyToMessage]);
+
+  const showMessageActions = useCallback(() => {
+    if (!canReply) return;
+
+    const actions = [{ text: "Reply", onPress: handleReply }];
+    if (canEdit) {
+      actions.push(
+        { text: "Edit", onPress: () => startEdit(message) },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => confirmDelete(message.uuid),
+        },
+      );
+    }
+    // Android shows at most three buttons and dismisses on outside tap
+    if (Platform.OS === "ios" || actions.length < 3) {
+      actions.push({ text: "Cancel", style: "cancel" });
+    }
+
+    Alert.alert(displayName, message.text, actions, { cancelable: true });
+  }, [
+    canReply,
+    canEdit,
+    displayName,
+    message,
+    handleReply,
+    startEdit,
+    confirmDelete,
+  ]);
+
+  const handleAccessibilityAction = useCallback(
+    (event) => {
+      if (event.nativeEvent.actionName === "reply") handleReply();
+    },
+    [handleReply],
+  );
+
+  // Swipe right to reply
+  const panResponder = useMemo(() => {
+    const resetSwipe = () =>
+      Animated.spring(swipeX, { toValue: 0, useNativeDriver: true }).start();
+
+    return PanResponder.create({
+      // Only claim clearly horizontal swipes so list scrolling keeps working
+      onMoveShouldSetPanResponder: (_, gesture) =>
+        canReply &&
+        gesture.dx > 10 &&
+        Math.abs(gesture.dx) > Math.abs(gesture.dy) * 2,
+      onPanResponderMove: (_, gesture) => {
+        swipeX.setValue(Math.min(Math.max(gesture.dx, 0), SWIPE_REPLY_MAX));
+      },
+      onPanResponderRelease: (_, gesture) => {
+        if (gesture.dx >= SWIPE_REPLY_THRESHOLD) handleReply();
+        resetSwipe();
+      },
+      onPanResponderTerminate: resetSwipe,
+    });
+  }, [canReply, handleReply, swipeX]);
+
+  const handleImagePress = useCallback(
+    (attachmentIndex = 0) => {
+      AccessibilityInfo.announceForAccessibility("Opening image preview");
+      openImage(message.uuid, attachmentIndex);
+    },
+    [openImage, message.uuid],
+  );
 
   const handleImageError = useCallback(() => {
-    setImageLoading(false);
     AccessibilityInfo.announceForAccessibility("Failed to load image");
   }, []);
 
   return (
-    <View
+    <Animated.View
       style={[
         styles.container,
         isGrouped ? styles.containerGrouped : styles.containerNotGrouped,
         isOwnMessage && styles.containerOwn,
+        isHighlighted && styles.containerHighlighted,
+        { transform: [{ translateX: swipeX }] },
       ]}
       accessible={true}
       accessibilityLabel={accessibilityLabel}
       accessibilityRole="text"
+      accessibilityActions={canReply ? [{ name: "reply", label: "Reply" }] : []}
+      onAccessibilityAction={handleAccessibilityAction}
+      {...panResponder.panHandlers}
     >
       {!isGrouped && (
         <View style={styles.header}>
@@ -161,43 +292,67 @@ const MessageBubble = ({
         </View>
       )}
 
-      <View style={[styles.bubble, isOwnMessage && styles.bubbleOwn]}>
-        <Text
-          style={[styles.text, isOwnMessage && styles.textOwn]}
-          selectable={true}
-          accessible={true}
-          accessibilityRole="text"
-        >
-          {message.text}
-        </Text>
-
-        {message.image && (
-          <TouchableOpacity
-            onPress={handleImagePress}
-            activeOpacity={0.8}
+      <Pressable
+        style={[styles.bubble, isOwnMessage && styles.bubbleOwn]}
+        onLongPress={showMessageActions}
+        delayLongPress={400}
+      >
+        {isDeleted ? (
+          <Text style={[styles.text, styles.tombstoneText]}>
+            This message was deleted
+          </Text>
+        ) : (
+          <Text
+            style={[styles.text, isOwnMessage && styles.textOwn]}
+            selectable={true}
             accessible={true}
-            accessibilityRole="button"
-            accessibilityLabel="View image attachment"
-            accessibilityHint="Double tap to open image preview"
+            accessibilityRole="text"
           >
-            <Image
-              source={{ uri: message.image }}
-              style={styles.image}
-              resizeMode="cover"
-              onLoad={handleImageLoad}
+            {message.text}
+          </Text>
+        )}
+
+        {imageAttachments.length > 0 && !isDeleted && (
+          <View style={styles.attachments}>
+            <AttachmentGrid
+              attachments={imageAttachments}
+              width={gridWidth}
+              onPress={handleImagePress}
               onError={handleImageError}
-              accessible={true}
-              accessibilityIgnoresInvertColors={true}
             />
-            {imageLoading && (
-              <View style={styles.imageLoadingOverlay}>
-                <Text style={styles.imageLoadingText}>Loading...</Text>
+            {isUploading && (
+              <View
+                style={styles.imageLoadingOverlay}
+                accessible={true}
+                accessibilityRole="progressbar"
+                accessibilityLabel="Uploading image"
+                accessibilityValue={{ min: 0, max: 100, now: uploadPercent }}
+              >
+                <Text style={styles.imageLoadingText}>
+                  Uploading {uploadPercent}%
+                </Text>
+                <View style={styles.uploadProgressTrack}>
+                  <View
+                    style={[
+                      styles.uploadProgressFill,
+                      { width: `${uploadPercent}%` },
+                    ]}
+                  />
+                </View>
+                <TouchableOpacity
+                  onPress={handleDelete}
+                  style={styles.uploadCancelButton}
+                  accessibilityRole="button"
+                  accessibilityLabel="Cancel upload"
+                >
+                  <Text style={styles.imageLoadingText}>Cancel</Text>
+                </TouchableOpacity>
               </View>
             )}
-          </TouchableOpacity>
+          </View>
         )}
 
-        {message.editedAt && (
+        {message.editedAt && !isDeleted && (
           <Text
             style={styles.edited}
             accessible={true}
@@ -221,12 +376,18 @@ const MessageBubble = ({
                   styles.reactionBubble,
                   reaction.isOwnReaction && styles.reactionBubbleActive,
                 ]}
-                onPress={() => handleReactionPress(reaction)}
+                onPress={() => handleReactionChipPress(reaction)}
+                onLongPress={() => handleReactionPress(reaction)}
                 activeOpacity={0.7}
                 accessible={true}
                 accessibilityRole="button"
+                accessibilityState={{ selected: !!reaction.isOwnReaction }}
                 accessibilityLabel={`${reaction.emoji} reaction, ${reaction.count} ${reaction.count === 1 ? "person" : "people"}`}
-                accessibilityHint="Double tap to see who reacted"
+                accessibilityHint={
+                  reaction.isOwnReaction
+                    ? "Double tap to remove your reaction, long press to see who reacted"
+                    : "Double tap to add this reaction, long press to see who reacted"
+                }
               >
                 <Text style={styles.reactionEmoji}>{reaction.emoji}</Text>
                 <Text
@@ -243,39 +404,41 @@ const MessageBubble = ({
         )}
 
         {/* ✅ ENHANCED: Add reaction button with disabled state */}
-        <TouchableOpacity
-          style={[
-            styles.addReactionButton,
-            reactionsDisabled && styles.addReactionButtonDisabled,
-          ]}
-          onPress={toggleReactionRow}
-          activeOpacity={reactionsDisabled ? 1 : 0.7}
-          disabled={reactionsDisabled}
-          accessible={true}
-          accessibilityRole="button"
-          accessibilityLabel={
-            reactionsDisabled
-              ? "Reactions disabled while message is sending"
-              : showReactionRow
-                ? "Hide reaction options"
-                : "Show reaction options"
-          }
-          accessibilityHint={
-            reactionsDisabled
-              ? "This message is still being sent"
-              : "Double tap to toggle reaction options"
-          }
-        >
-          <Text
+        {!isDeleted && (
+          <TouchableOpacity
             style={[
-              styles.addReactionText,
-              reactionsDisabled && styles.addReactionTextDisabled,
+              styles.addReactionButton,
+              reactionsDisabled && styles.addReactionButtonDisabled,
             ]}
+            onPress={toggleReactionRow}
+            activeOpacity={reactionsDisabled ? 1 : 0.7}
+            disabled={reactionsDisabled}
+            accessible={true}
+            accessibilityRole="button"
+            accessibilityLabel={
+              reactionsDisabled
+                ? "Reactions disabled while message is sending"
+                : showReactionRow
+                  ? "Hide reaction options"
+                  : "Show reaction options"
+            }
+            accessibilityHint={
+              reactionsDisabled
+                ? "This message is still being sent"
+                : "Double tap to toggle reaction options"
+            }
           >
-            {reactionsDisabled ? "⏳" : showReactionRow ? "✕" : "😊+"}
-          </Text>
-        </TouchableOpacity>
-      </View>
+            <Text
+              style={[
+                styles.addReactionText,
+                reactionsDisabled && styles.addReactionTextDisabled,
+              ]}
+            >
+              {reactionsDisabled ? "⏳" : showReactionRow ? "✕" : "😊+"}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </Pressable>
 
       {/* Reaction row for adding new reactions */}
       {showReactionRow && !reactionsDisabled && (
@@ -286,22 +449,25 @@ const MessageBubble = ({
 
       {/* Reply to message functionality */}
       {message.replyToMessage && (
-        <View
+        <TouchableOpacity
           style={styles.replyToContainer}
+          onPress={handleReplyToPress}
+          activeOpacity={0.7}
           accessible={true}
-          accessibilityLabel={`Replying to ${message.replyToMessage.participant?.name || "Unknown"}: ${message.replyToMessage.text}`}
+          accessibilityRole="button"
+          accessibilityLabel={`Replying to ${replyParticipant?.name || "Unknown"}: ${message.replyToMessage.text}`}
+          accessibilityHint="Double tap to show the original message"
         >
           <View style={styles.replyToLine} />
           <View style={styles.replyToContent}>
             <Text style={styles.replyToLabel}>
-              Replying to{" "}
-              {message.replyToMessage.participant?.name || "Unknown"}
+              Replying to {replyParticipant?.name || "Unknown"}
             </Text>
             <Text style={styles.replyToText} numberOfLines={2}>
               {message.replyToMessage.text}
             </Text>
           </View>
-        </View>
+        </TouchableOpacity>
       )}
 
       {/* Message status indicator */}
@@ -320,9 +486,35 @@ const MessageBubble = ({
             {message.status === "failed" && "❌ Failed to send"}
             {message.status === "deleted" && "🗑️ Deleted"}
           </Text>
+          {message.status === "failed" && (
+            <View style={styles.failedActions}>
+              <TouchableOpacity
+                onPress={handleRetry}
+                style={styles.failedActionButton}
+                accessible={true}
+                accessibilityRole="button"
+                accessibilityLabel="Retry sending message"
+              >
+                <Text style={styles.failedActionText}>Retry</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={handleDelete}
+                style={styles.failedActionButton}
+                accessible={true}
+                accessibilityRole="button"
+                accessibilityLabel="Delete unsent message"
+              >
+                <Text
+                  style={[styles.failedActionText, styles.failedActionDelete]}
+                >
+                  Delete
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
         </View>
       )}
-    </View>
+    </Animated.View>
   );
 };
 export default MessageBubble;
@@ -2,6 +2,10 @@ import { StyleSheet, Dimensions } from "react-native";
 
 const { width: screenWidth } = Dimensions.get("window");
 
+// Attachment grids fill the widest bubble, inside its padding
+export const getAttachmentGridWidth = (theme) =>
+  screenWidth * 0.8 - theme.spacing.md * 2;
+
 // Create themed styles for the MessageBubble component
 export const createStyles = (theme) =>
   StyleSheet.create({
@@ -22,6 +26,11 @@ export const createStyles = (theme) =>
       alignItems: "flex-end",
     },
 
+    containerHighlighted: {
+      backgroundColor: theme.colors.surface,
+      borderRadius: theme.borderRadius.md,
+    },
+
     header: {
       flexDirection: "row",
       alignItems: "center",
@@ -67,6 +76,11 @@ export const createStyles = (theme) =>
       color: theme.colors.background,
     },
 
+    tombstoneText: {
+      fontStyle: "italic",
+      color: theme.colors.textSecondary,
+    },
+
     edited: {
       fontSize: theme.typography.sizes.xs,
       color: theme.colors.textMuted,
@@ -74,16 +88,13 @@ export const createStyles = (theme) =>
       fontStyle: "italic",
     },
 
-    image: {
+    attachments: {
       marginTop: theme.spacing.sm,
-      height: 200,
-      borderRadius: theme.borderRadius.md,
-      backgroundColor: theme.colors.surfaceSecondary,
     },
 
     imageLoadingOverlay: {
       position: "absolute",
-      top: theme.spacing.sm,
+      top: 0,
       left: 0,
       right: 0,
       bottom: 0,
@@ -99,6 +110,26 @@ export const createStyles = (theme) =>
       fontWeight: theme.typography.weights.medium,
     },
 
+    uploadProgressTrack: {
+      width: "60%",
+      height: 4,
+      marginTop: theme.spacing.sm,
+      borderRadius: 2,
+      backgroundColor: "rgba(255, 255, 255, 0.4)",
+      overflow: "hidden",
+    },
+
+    uploadProgressFill: {
+      height: "100%",
+      backgroundColor: theme.colors.background,
+    },
+
+    uploadCancelButton: {
+      marginTop: theme.spacing.sm,
+      paddingHorizontal: theme.spacing.sm,
+      paddingVertical: theme.spacing.xs,
+    },
+
     existingReactions: {
       flexDirection: "row",
       flexWrap: "wrap",
@@ -224,6 +255,30 @@ export const createStyles = (theme) =>
     statusSending: {
       color: theme.colors.textSecondary,
     },
+
+    failedActions: {
+      flexDirection: "row",
+      marginTop: theme.spacing.xs,
+      gap: theme.spacing.sm,
+    },
+
+    failedActionButton: {
+      paddingHorizontal: theme.spacing.sm,
+      paddingVertical: theme.spacing.xs,
+      borderRadius: theme.borderRadius.sm,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+    },
+
+    failedActionText: {
+      fontSize: theme.typography.sizes.xs,
+      fontWeight: theme.typography.weights.semibold,
+      color: theme.colors.primary,
+    },
+
+    failedActionDelete: {
+      color: theme.colors.error,
+    },
   });
 
 export default createStyles;
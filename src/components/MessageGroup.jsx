@@ -13,6 +13,10 @@ const MessageGroup = ({
   onReact,
   onReactionPress,
   onParticipantPress,
+  onRetryMessage,
+  onDeleteMessage,
+  onReplyPress,
+  isHighlighted,
 }) => {
   if (!group) return null;
 
@@ -28,6 +32,10 @@ const MessageGroup = ({
         onReact={onReact}
         onReactionPress={onReactionPress}
         onParticipantPress={onParticipantPress}
+        onRetryMessage={onRetryMessage}
+        onDeleteMessage={onDeleteMessage}
+        onReplyPress={onReplyPress}
+        isHighlighted={isHighlighted}
       />
     </View>
   );
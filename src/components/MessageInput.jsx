@@ -1,5 +1,5 @@
 // src/components/MessageInput.jsx
-import React, { useState } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
   View,
   TextInput,
@@ -7,48 +7,109 @@ import {
   StyleSheet,
   TouchableOpacity,
   Text,
+  Image,
+  Alert,
 } from "react-native";
+import * as ImagePicker from "expo-image-picker";
 
-import useMessageStore from "../state/messageStore";
-import { sendMessage } from "../api/messages";
 import useReply from "../hooks/useReply";
+import useOutbox from "../hooks/useOutbox";
+import useEditMessage from "../hooks/useEditMessage";
+import useMessageActions from "../hooks/useMessageActions";
+import { useMessageParticipant } from "../hooks/useParticipant";
 
 const MessageInput = () => {
   const [text, setText] = useState("");
-  const { addMessage } = useMessageStore();
+  const [attachment, setAttachment] = useState(null);
+  const { queueMessage } = useOutbox();
   const { replyTo, isReplying, cancelReply } = useReply();
+  const replyParticipant = useMessageParticipant(replyTo);
+  const { editing, isEditing, cancelEdit } = useEditMessage();
+  const { saveEdit } = useMessageActions();
+  const inputRef = useRef(null);
 
-  const handleSend = async () => {
-    if (!text.trim()) return;
+  // A reply can be started from any bubble; jump straight into typing it
+  useEffect(() => {
+    if (isReplying) inputRef.current?.focus();
+  }, [isReplying, replyTo]);
 
-    try {
-      const payload = {
-        text,
-        ...(isReplying && replyTo ? { replyToMessage: replyTo.uuid } : {}),
-      };
+  // Pre-fill the input with the message being edited
+  useEffect(() => {
+    if (!editing) return;
+    setText(editing.text || "");
+    inputRef.current?.focus();
+  }, [editing]);
 
-      // ✅ send the entire payload so replies include metadata
-      const newMessage = await sendMessage(payload);
+  const handleCancelEdit = () => {
+    cancelEdit();
+    setText("");
+  };
+
+  const handlePickImage = async () => {
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (!permission.granted) {
+      Alert.alert(
+        "Photos Access Needed",
+        "Allow access to your photos to send images.",
+      );
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ["images"],
+      quality: 0.8,
+    });
+    if (result.canceled || !result.assets?.length) return;
 
-      // Normalize reply locally if backend omits detailed data
-      if (payload.replyToMessage && !newMessage.replyToMessage) {
-        newMessage.replyToMessage = replyTo;
-      }
+    const [asset] = result.assets;
+    setAttachment({
+      uri: asset.uri,
+      name: asset.fileName || undefined,
+      type: asset.mimeType || undefined,
+      width: asset.width,
+      height: asset.height,
+    });
+  };
 
-      addMessage(newMessage);
-      setText("");
-      cancelReply();
-    } catch (err) {
-      console.error("❌ Error sending message:", err.message);
+  const handleSend = () => {
+    if (isEditing) {
+      if (!text.trim()) return;
+      saveEdit(editing.uuid, text);
+      handleCancelEdit();
+      return;
     }
+
+    if (!text.trim() && !attachment) return;
+
+    // The outbox shows the message right away and delivers it when it can
+    queueMessage({ text, replyTo: isReplying ? replyTo : null, attachment });
+    setText("");
+    setAttachment(null);
+    cancelReply();
   };
 
   return (
     <View style={styles.wrapper}>
-      {isReplying && replyTo && (
+      {isEditing && (
+        <View style={styles.replyPreview}>
+          <Text style={styles.replyLabel}>Editing message</Text>
+          <Text style={styles.replyText} numberOfLines={1}>
+            {editing.text}
+          </Text>
+          <TouchableOpacity
+            onPress={handleCancelEdit}
+            accessibilityRole="button"
+            accessibilityLabel="Cancel editing"
+          >
+            <Text style={styles.cancel}>×</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {!isEditing && isReplying && replyTo && (
         <View style={styles.replyPreview}>
           <Text style={styles.replyLabel}>
-            Replying to: {replyTo.participant?.name}
+            Replying to: {replyParticipant?.name}
           </Text>
           <Text style={styles.replyText} numberOfLines={1}>
             {replyTo.text}
@@ -59,14 +120,49 @@ const MessageInput = () => {
         </View>
       )}
 
+      {!isEditing && attachment && (
+        <View style={styles.attachmentPreview}>
+          <Image
+            source={{ uri: attachment.uri }}
+            style={styles.attachmentThumb}
+            accessibilityIgnoresInvertColors={true}
+          />
+          <Text style={styles.replyText}>Image attached</Text>
+          <TouchableOpacity
+            onPress={() => setAttachment(null)}
+            accessibilityRole="button"
+            accessibilityLabel="Remove attachment"
+          >
+            <Text style={styles.cancel}>×</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       <View style={styles.inputRow}>
+        {!isEditing && (
+          <TouchableOpacity
+            onPress={handlePickImage}
+            style={styles.attachButton}
+            accessibilityRole="button"
+            accessibilityLabel="Attach image"
+          >
+            <Text style={styles.attachIcon}>📎</Text>
+          </TouchableOpacity>
+        )}
         <TextInput
+          ref={inputRef}
           style={styles.input}
-          placeholder={isReplying ? "Write a reply…" : "Type a message…"}
+          placeholder={
+            isEditing
+              ? "Edit message…"
+              : isReplying
+                ? "Write a reply…"
+                : "Type a message…"
+          }
           value={text}
           onChangeText={setText}
         />
-        <Button title="Send" onPress={handleSend} />
+        <Button title={isEditing ? "Save" : "Send"} onPress={handleSend} />
       </View>
     </View>
   );
@@ -101,6 +197,23 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     color: "#888",
   },
+  attachmentPreview: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 6,
+  },
+  attachmentThumb: {
+    width: 48,
+    height: 48,
+    borderRadius: 6,
+    marginRight: 8,
+  },
+  attachButton: {
+    paddingRight: 8,
+  },
+  attachIcon: {
+    fontSize: 20,
+  },
   inputRow: {
     flexDirection: "row",
     alignItems: "center",
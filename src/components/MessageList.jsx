@@ -6,13 +6,19 @@ import {
   RefreshControl,
   Text,
   StyleSheet,
+  ActivityIndicator,
 } from 'react-native';
 import MessageGroup from './MessageGroup';
+import MissedMessagesRow from './MissedMessagesRow';
+import SystemEventRow from './SystemEventRow';
 import colors from '../constants/colors';
+import { toTimestamp } from '../utils/timestamps';
 import { debounce } from '../utils/debounce';
 
 const ITEM_APPROXIMATE_HEIGHT = 100;
 const SCROLL_DEBOUNCE_MS = 300;
+// Start fetching older history when within this many screen heights of the top
+const LOAD_OLDER_THRESHOLD = 0.5;
 
 const groupsEqual = (a, b) => {
   if (!a || !b) return false;
@@ -22,6 +28,8 @@ const groupsEqual = (a, b) => {
     a.uuid === b.uuid &&
     (a.text ?? null) === (b.text ?? null) &&
     (a.status ?? null) === (b.status ?? null) &&
+    (a.image ?? null) === (b.image ?? null) &&
+    (a.uploadProgress ?? null) === (b.uploadProgress ?? null) &&
     lenA === lenB &&
     JSON.stringify(a.reactions ?? {}) === JSON.stringify(b.reactions ?? {})
   );
@@ -31,7 +39,9 @@ const MemoizedMessageGroup = memo(
   MessageGroup,
   (prevProps, nextProps) =>
     groupsEqual(prevProps.group, nextProps.group) &&
-    prevProps.onParticipantPress === nextProps.onParticipantPress
+    prevProps.onParticipantPress === nextProps.onParticipantPress &&
+    prevProps.onReplyPress === nextProps.onReplyPress &&
+    prevProps.isHighlighted === nextProps.isHighlighted
 );
 
 const MessageList = ({
@@ -41,9 +51,23 @@ const MessageList = ({
   onParticipantPress,
   refreshing,
   onRefresh,
+  onRetryMessage,
+  onDeleteMessage,
+  onReplyPress,
+  scrollTarget,
+  highlightedId,
+  onLoadOlder,
+  loadingOlder = false,
+  hasMoreOlder = false,
+  gaps,
+  onLoadGap,
+  systemEvents,
 }) => {
   const flatListRef = useRef(null);
   const prevMessageCountRef = useRef(0);
+  const prevNewestKeyRef = useRef(null);
+  const olderPrependedRef = useRef(false);
+  const userHasScrolledRef = useRef(false);
   const lastScrollRef = useRef(0);
   const isScrollingRef = useRef(false);
 
@@ -68,18 +92,121 @@ const MessageList = ({
     [scrollToBottomBase]
   );
 
+  // Inline rows: "Load missed messages" just above the first message after
+  // each gap in history, and join/leave notices (oldest first) where they
+  // happened
+  const listData = useMemo(() => {
+    if (!gaps?.length && !systemEvents?.length) return messages;
+    const gapByNewerUuid = new Map(
+      (gaps || []).map((gap) => [gap.newerUuid, gap])
+    );
+    const events = (systemEvents || []).map((event) => ({
+      uuid: event.id,
+      type: 'system',
+      event,
+    }));
+
+    const items = [];
+    let nextEvent = 0;
+    messages.forEach((item) => {
+      const time = toTimestamp(item.createdAt);
+      while (
+        nextEvent < events.length &&
+        events[nextEvent].event.createdAt <= time
+      ) {
+        items.push(events[nextEvent++]);
+      }
+      const gap = gapByNewerUuid.get(item.uuid);
+      if (gap) items.push({ uuid: gap.id, type: 'gap', gap });
+      items.push(item);
+    });
+    return items.concat(events.slice(nextEvent));
+  }, [messages, gaps, systemEvents]);
+
+  // List is oldest-first, so the last item is the newest message
+  const newestKey = messages.length
+    ? (messages[messages.length - 1]?.uuid ?? null)
+    : null;
+
   useEffect(() => {
     const currentCount = messages.length;
     const prevCount = prevMessageCountRef.current;
+    const newestChanged = newestKey !== prevNewestKeyRef.current;
 
     if (currentCount > prevCount && prevCount > 0) {
-      debouncedScrollToBottom(true);
+      if (newestChanged) {
+        debouncedScrollToBottom(true);
+      } else {
+        // Older history was prepended - keep the reader where they are
+        olderPrependedRef.current = true;
+      }
     } else if (currentCount > 0 && prevCount === 0) {
       debouncedScrollToBottom(false);
     }
 
     prevMessageCountRef.current = currentCount;
-  }, [messages.length, debouncedScrollToBottom]);
+    prevNewestKeyRef.current = newestKey;
+  }, [messages.length, newestKey, debouncedScrollToBottom]);
+
+  // Read through a ref so the scroll below only reacts to new targets,
+  // not to every list change
+  const listDataRef = useRef(listData);
+  useEffect(() => {
+    listDataRef.current = listData;
+  }, [listData]);
+
+  // Scroll to a specific message (e.g. the original of a reply)
+  useEffect(() => {
+    if (!scrollTarget?.uuid) return;
+    const index = listDataRef.current.findIndex(
+      (m) => m.uuid === scrollTarget.uuid
+    );
+    if (index === -1) return;
+
+    try {
+      flatListRef.current?.scrollToIndex({
+        index,
+        animated: true,
+        viewPosition: 0.5,
+      });
+    } catch (error) {
+      console.warn('Failed to scroll to message:', error);
+    }
+  }, [scrollTarget]);
+
+  const handleScrollToIndexFailed = useCallback(
+    ({ index, averageItemLength }) => {
+      // Item not measured yet: get close first, then retry once it has rendered
+      flatListRef.current?.scrollToOffset({
+        offset: index * (averageItemLength || ITEM_APPROXIMATE_HEIGHT),
+        animated: false,
+      });
+      setTimeout(() => {
+        flatListRef.current?.scrollToIndex({
+          index,
+          animated: true,
+          viewPosition: 0.5,
+        });
+      }, 100);
+    },
+    []
+  );
+
+  const handleContentSizeChange = useCallback(() => {
+    if (olderPrependedRef.current) {
+      olderPrependedRef.current = false;
+      return;
+    }
+    debouncedScrollToBottom(false);
+  }, [debouncedScrollToBottom]);
+
+  const handleStartReached = useCallback(() => {
+    // The list starts at the top before its first scroll to bottom;
+    // only page once the user has actually scrolled up
+    if (!userHasScrolledRef.current) return;
+    if (!onLoadOlder || loadingOlder || !hasMoreOlder) return;
+    onLoadOlder();
+  }, [onLoadOlder, loadingOlder, hasMoreOlder]);
 
   const keyExtractor = useCallback(
     (item, index) => item.uuid || `message-group-${index}`,
@@ -87,16 +214,34 @@ const MessageList = ({
   );
 
   const renderItem = useCallback(
-    ({ item, index }) => (
-      <MemoizedMessageGroup
-        group={item}
-        onReact={onReact}
-        onReactionPress={onReactionPress}
-        onParticipantPress={onParticipantPress}
-        index={index}
-      />
-    ),
-    [onReact, onReactionPress, onParticipantPress]
+    ({ item, index }) =>
+      item.type === 'gap' ? (
+        <MissedMessagesRow gap={item.gap} onPress={onLoadGap} />
+      ) : item.type === 'system' ? (
+        <SystemEventRow event={item.event} />
+      ) : (
+        <MemoizedMessageGroup
+          group={item}
+          onReact={onReact}
+          onReactionPress={onReactionPress}
+          onParticipantPress={onParticipantPress}
+          onRetryMessage={onRetryMessage}
+          onDeleteMessage={onDeleteMessage}
+          onReplyPress={onReplyPress}
+          isHighlighted={!!highlightedId && item.uuid === highlightedId}
+          index={index}
+        />
+      ),
+    [
+      onReact,
+      onReactionPress,
+      onParticipantPress,
+      onRetryMessage,
+      onDeleteMessage,
+      onReplyPress,
+      highlightedId,
+      onLoadGap,
+    ]
   );
 
   const getItemLayout = useCallback(
@@ -110,6 +255,7 @@ const MessageList = ({
 
   const handleScrollBeginDrag = useCallback(() => {
     isScrollingRef.current = true;
+    userHasScrolledRef.current = true;
   }, []);
 
   const handleScrollEndDrag = useCallback(() => {
@@ -128,11 +274,22 @@ const MessageList = ({
     []
   );
 
+  const renderLoadingOlder = useCallback(
+    () =>
+      loadingOlder ? (
+        <View style={styles.loadingOlder} testID="loading-older">
+          <ActivityIndicator size="small" color={colors.primary} />
+          <Text style={styles.loadingOlderText}>Loading older messages...</Text>
+        </View>
+      ) : null,
+    [loadingOlder]
+  );
+
   return (
     <FlatList
       testID="message-list"
       ref={flatListRef}
-      data={messages}
+      data={listData}
       renderItem={renderItem}
       keyExtractor={keyExtractor}
       getItemLayout={getItemLayout}
@@ -143,8 +300,12 @@ const MessageList = ({
       initialNumToRender={12}
       onScrollBeginDrag={handleScrollBeginDrag}
       onScrollEndDrag={handleScrollEndDrag}
-      onContentSizeChange={() => debouncedScrollToBottom(false)}
+      onContentSizeChange={handleContentSizeChange}
       onLayout={() => debouncedScrollToBottom(false)}
+      onScrollToIndexFailed={handleScrollToIndexFailed}
+      onStartReached={handleStartReached}
+      onStartReachedThreshold={LOAD_OLDER_THRESHOLD}
+      maintainVisibleContentPosition={{ minIndexForVisible: 0 }}
       refreshControl={
         <RefreshControl
           refreshing={refreshing}
@@ -154,6 +315,7 @@ const MessageList = ({
         />
       }
       ListEmptyComponent={renderEmptyState}
+      ListHeaderComponent={renderLoadingOlder}
       style={styles.messagesList}
       contentContainerStyle={[
         styles.messagesContent,
@@ -170,6 +332,17 @@ const styles = StyleSheet.create({
   messagesList: { flex: 1 },
   messagesContent: { paddingVertical: 8 },
   messagesContentEmpty: { flexGrow: 1, justifyContent: 'center' },
+  loadingOlder: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+  },
+  loadingOlderText: {
+    marginLeft: 8,
+    fontSize: 12,
+    color: colors.textMuted,
+  },
   emptyState: {
     alignItems: 'center',
     justifyContent: 'center',
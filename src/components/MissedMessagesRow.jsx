@@ -0,0 +1,74 @@
+// src/components/MissedMessagesRow.jsx
+import React, { memo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+} from 'react-native';
+import colors from '../constants/colors';
+
+/**
+ * Marks a hole in the loaded history. Tapping it pages the missing
+ * messages in; while that runs it shows a spinner instead.
+ */
+const MissedMessagesRow = ({ gap, onPress }) => {
+  if (gap.status === 'loading') {
+    return (
+      <View style={styles.row} testID="missed-messages-loading">
+        <ActivityIndicator size="small" color={colors.primary} />
+        <Text style={[styles.text, styles.loadingText]}>
+          Loading missed messages...
+        </Text>
+      </View>
+    );
+  }
+
+  const failed = gap.status === 'failed';
+  return (
+    <TouchableOpacity
+      style={styles.row}
+      onPress={() => onPress?.(gap.id)}
+      accessibilityRole="button"
+      accessibilityLabel="Load missed messages"
+      accessibilityHint={failed ? gap.error : undefined}
+    >
+      <Text style={styles.text}>Load missed messages</Text>
+      {failed && (
+        <Text style={styles.errorText}>{"Couldn't load. Tap to retry"}</Text>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+export default memo(MissedMessagesRow);
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginVertical: 8,
+    marginHorizontal: 32,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderStyle: 'dashed',
+  },
+  text: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.primary,
+  },
+  loadingText: { marginLeft: 8, color: colors.textMuted },
+  errorText: {
+    width: '100%',
+    textAlign: 'center',
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,148 @@
+// src/components/ParticipantDetails.jsx
+import React, { useMemo } from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+
+import Avatar from "./Avatar";
+import useMessageStore from "../state/messageStore";
+import useParticipant from "../hooks/useParticipant";
+import { getImageAttachments } from "../utils/attachments";
+import { toTimestamp } from "../utils/timestamps";
+import {
+  formatRelativeTime,
+  formatTime,
+  formatDate,
+} from "../utils/formatDate";
+
+const RECENT_MESSAGE_LIMIT = 20;
+
+const previewText = (message) => {
+  if (message.text) return message.text;
+  return getImageAttachments(message).length > 0 ? "📷 Photo" : "(no text)";
+};
+
+/**
+ * Profile for the "Participant Details" BottomSheet: who they are plus
+ * their recent messages. Tapping a message calls `onMessagePress(uuid)`.
+ */
+const ParticipantDetails = ({ participant, onMessagePress }) => {
+  // Prefer the store copy - it picks up profile updates while the sheet is open
+  const current = useParticipant(participant?.uuid, participant);
+  const messages = useMessageStore((state) => state.messages);
+
+  const uuid = current?.uuid;
+  const recentMessages = useMemo(() => {
+    if (!uuid) return [];
+    return messages
+      .filter(
+        (m) =>
+          (m.participantUuid || m.participant?.uuid) === uuid &&
+          m.status !== "deleted",
+      )
+      .slice(0, RECENT_MESSAGE_LIMIT);
+  }, [messages, uuid]);
+
+  if (!current) return null;
+
+  // Messages are newest-first; fall back to the profile's own timestamp
+  const lastActive = Math.max(
+    toTimestamp(recentMessages[0]?.createdAt),
+    toTimestamp(current.updatedAt),
+  );
+
+  return (
+    <View>
+      <View style={styles.profile}>
+        <Avatar participant={current} size={72} />
+        <Text style={styles.name}>{current.name || "Unknown participant"}</Text>
+        {!!current.jobTitle && (
+          <Text style={styles.jobTitle}>{current.jobTitle}</Text>
+        )}
+        {!!current.email && <Text style={styles.email}>{current.email}</Text>}
+        {lastActive > 0 && (
+          <Text style={styles.lastActive}>
+            Active {formatRelativeTime(lastActive)}
+          </Text>
+        )}
+        {!!current.bio && <Text style={styles.bio}>{current.bio}</Text>}
+      </View>
+
+      <Text style={styles.sectionTitle}>Recent messages</Text>
+      {recentMessages.length === 0 ? (
+        <Text style={styles.empty}>No messages loaded from {current.name}</Text>
+      ) : (
+        recentMessages.map((message) => (
+          <TouchableOpacity
+            key={message.uuid}
+            style={styles.message}
+            onPress={() => onMessagePress?.(message.uuid)}
+            accessibilityRole="button"
+            accessibilityHint="Double tap to show this message in the chat"
+          >
+            <Text style={styles.messageText} numberOfLines={2}>
+              {previewText(message)}
+            </Text>
+            <Text style={styles.messageTime}>
+              {formatDate(message.createdAt)}, {formatTime(message.createdAt)}
+            </Text>
+          </TouchableOpacity>
+        ))
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  profile: {
+    alignItems: "center",
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderColor: "#eee",
+  },
+  name: {
+    marginTop: 8,
+    fontSize: 18,
+    fontWeight: "600",
+  },
+  jobTitle: {
+    marginTop: 2,
+    color: "#555",
+  },
+  email: {
+    marginTop: 2,
+    color: "#007bff",
+  },
+  lastActive: {
+    marginTop: 4,
+    fontSize: 12,
+    color: "#6c757d",
+  },
+  bio: {
+    marginTop: 8,
+    textAlign: "center",
+    color: "#333",
+  },
+  sectionTitle: {
+    marginTop: 12,
+    marginBottom: 4,
+    fontWeight: "600",
+  },
+  empty: {
+    paddingVertical: 12,
+    color: "#6c757d",
+  },
+  message: {
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderColor: "#ddd",
+  },
+  messageText: {
+    fontSize: 14,
+  },
+  messageTime: {
+    marginTop: 2,
+    fontSize: 11,
+    color: "#999",
+  },
+});
+
+export default ParticipantDetails;
@@ -0,0 +1,157 @@
+// src/components/ReactionDetails.jsx
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
+import { View, Text, TouchableOpacity, ActivityIndicator } from "react-native";
+
+import Avatar from "./Avatar";
+import ErrorMessage from "./ErrorMessage";
+import { createStyles } from "./ReactionDetails.styles";
+import { useTheme } from "../constants/theme";
+import { getMessageReactions } from "../api/messages";
+import useMessageStore from "../state/messageStore";
+import useParticipantStore, {
+  selectParticipantIndex,
+} from "../state/participantStore";
+import { OWN_PARTICIPANT_ID, toReactionBreakdown } from "../utils/reactions";
+import { PRIORITIES, requestQueue } from "../screens/requestQueue";
+
+const OWN_PARTICIPANT = { uuid: OWN_PARTICIPANT_ID, name: "You" };
+
+/**
+ * Who reacted to a message, one tab per emoji. Rendered inside the
+ * "Reaction Details" BottomSheet; opens on the emoji whose chip was pressed.
+ */
+const ReactionDetails = ({ messageId, initialEmoji }) => {
+  const theme = useTheme();
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const [breakdown, setBreakdown] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [activeEmoji, setActiveEmoji] = useState(initialEmoji);
+  const requestIdRef = useRef(0);
+
+  // Subscribed so renames show up while the sheet is open
+  const participantIndex = useParticipantStore(selectParticipantIndex);
+
+  const loadReactions = useCallback(async () => {
+    if (!messageId) return;
+
+    // Ignore answers for a message the sheet no longer shows
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await requestQueue.add(
+        () => getMessageReactions(messageId),
+        { priority: PRIORITIES.REACTION },
+      );
+      if (requestId !== requestIdRef.current) return;
+      // Without a server breakdown, fall back to the message's own reactions
+      const message = useMessageStore.getState().getMessageByUuid(messageId);
+      setBreakdown(toReactionBreakdown(response, message?.reactions));
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      console.error("Failed to load reaction details:", err);
+      setError(err);
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  }, [messageId]);
+
+  useEffect(() => {
+    setActiveEmoji(initialEmoji);
+    loadReactions();
+  }, [loadReactions, initialEmoji]);
+
+  const resolveParticipant = useCallback(
+    (uuid) =>
+      participantIndex.get(uuid) ||
+      (uuid === OWN_PARTICIPANT_ID
+        ? OWN_PARTICIPANT
+        : { uuid, name: "Unknown participant" }),
+    [participantIndex],
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.state} testID="reaction-details-loading">
+        <ActivityIndicator color={theme.colors.primary} />
+        <Text style={styles.stateText}>Loading reactions...</Text>
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <ErrorMessage
+        title="Couldn't load reactions"
+        message="Check your connection and try again."
+        onRetry={loadReactions}
+      />
+    );
+  }
+
+  if (breakdown.length === 0) {
+    return (
+      <View style={styles.state}>
+        <Text style={styles.stateText}>No reactions yet</Text>
+      </View>
+    );
+  }
+
+  const active = breakdown.find((r) => r.emoji === activeEmoji) || breakdown[0];
+
+  return (
+    <View>
+      <View style={styles.tabs} accessibilityRole="tablist">
+        {breakdown.map((reaction) => {
+          const selected = reaction.emoji === active.emoji;
+          return (
+            <TouchableOpacity
+              key={reaction.emoji}
+              style={[styles.tab, selected && styles.tabActive]}
+              onPress={() => setActiveEmoji(reaction.emoji)}
+              accessibilityRole="tab"
+              accessibilityState={{ selected }}
+              accessibilityLabel={`${reaction.emoji}, ${reaction.count}`}
+            >
+              <Text style={styles.tabEmoji}>{reaction.emoji}</Text>
+              <Text
+                style={[styles.tabCount, selected && styles.tabCountActive]}
+              >
+                {reaction.count}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {active.participantIds.map((uuid) => {
+        const participant = resolveParticipant(uuid);
+        return (
+          <View key={uuid} style={styles.row}>
+            <Avatar participant={participant} size={32} />
+            <Text style={styles.name}>{participant.name}</Text>
+          </View>
+        );
+      })}
+
+      {/* The fallback list may only know how many reacted, not who */}
+      {active.count > active.participantIds.length && (
+        <Text style={styles.unnamed}>
+          {active.participantIds.length > 0
+            ? `and ${active.count - active.participantIds.length} more`
+            : `${active.count} ${active.count === 1 ? "reaction" : "reactions"}`}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+export default ReactionDetails;
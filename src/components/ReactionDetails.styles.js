@@ -0,0 +1,67 @@
+import { StyleSheet } from "react-native";
+
+// Create themed styles for the ReactionDetails sheet
+export const createStyles = (theme) =>
+  StyleSheet.create({
+    state: {
+      alignItems: "center",
+      padding: theme.spacing.xl,
+    },
+
+    stateText: {
+      marginTop: theme.spacing.sm,
+      color: theme.colors.textSecondary,
+    },
+
+    tabs: {
+      flexDirection: "row",
+      flexWrap: "wrap",
+      borderBottomWidth: 1,
+      borderColor: theme.colors.borderLight,
+      marginBottom: theme.spacing.sm,
+    },
+
+    tab: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingHorizontal: 10,
+      paddingVertical: 6,
+      borderBottomWidth: 2,
+      borderColor: "transparent",
+    },
+
+    tabActive: {
+      borderColor: theme.colors.primary,
+    },
+
+    tabEmoji: {
+      fontSize: theme.typography.sizes.xl,
+    },
+
+    tabCount: {
+      marginLeft: theme.spacing.xs,
+      color: theme.colors.textSecondary,
+    },
+
+    tabCountActive: {
+      color: theme.colors.primary,
+      fontWeight: theme.typography.weights.semibold,
+    },
+
+    row: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingVertical: 6,
+    },
+
+    name: {
+      marginLeft: 10,
+      fontSize: 15,
+      color: theme.colors.text,
+    },
+
+    unnamed: {
+      paddingVertical: 6,
+      color: theme.colors.textSecondary,
+    },
+  });
@@ -0,0 +1,31 @@
+// src/components/SystemEventRow.jsx
+import React, { memo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import colors from '../constants/colors';
+
+const VERBS = { joined: 'joined the chat', left: 'left the chat' };
+
+// Inline "X joined" / "X left" notice between messages
+const SystemEventRow = ({ event }) => {
+  const text = `${event.participant?.name || 'Someone'} ${VERBS[event.type] || event.type}`;
+  return (
+    <View style={styles.row} accessible accessibilityLabel={text}>
+      <Text style={styles.text}>{text}</Text>
+    </View>
+  );
+};
+
+export default memo(SystemEventRow);
+
+const styles = StyleSheet.create({
+  row: {
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 16,
+  },
+  text: {
+    fontSize: 12,
+    color: colors.textMuted,
+    fontStyle: 'italic',
+  },
+});
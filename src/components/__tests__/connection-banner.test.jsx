@@ -18,4 +18,16 @@ describe('ConnectionBanner', () => {
     fireEvent.press(getByText('Pull down to refresh'));
     expect(onRetry).toHaveBeenCalled();
   });
+
+  it('shows a countdown instead of retrying while rate limited', () => {
+    const { getByText, queryByText } = render(
+      <ConnectionBanner
+        status="disconnected"
+        onRetry={jest.fn()}
+        rateLimitSeconds={12}
+      />
+    );
+    expect(getByText(/Resuming in 12s/)).toBeTruthy();
+    expect(queryByText('Pull down to refresh')).toBeNull();
+  });
 });
@@ -0,0 +1,91 @@
+import React from "react";
+import { Share } from "react-native";
+import { render, fireEvent } from "@testing-library/react-native";
+import ImagePreviewModal from "../ImagePreviewModal";
+import MessageBubble from "../MessageBubble";
+import useImageViewerStore from "../../state/imageViewerStore";
+
+jest.mock("react-native-image-zoom-viewer", () => {
+  const { View } = require("react-native");
+  const MockImageViewer = ({ renderHeader, index }) => (
+    <View testID="image-viewer">{renderHeader(index)}</View>
+  );
+  return MockImageViewer;
+});
+
+describe("image preview", () => {
+  const images = [
+    {
+      url: "https://img/1.png",
+      messageId: "m1",
+      senderName: "Alice",
+      createdAt: "2023-01-01T10:00:00Z",
+    },
+    {
+      url: "https://img/2.png",
+      messageId: "m2",
+      senderName: "Bob",
+      createdAt: "2023-01-01T11:00:00Z",
+    },
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    useImageViewerStore.getState().closeImage();
+  });
+
+  it("opens the viewer for the tapped bubble image", () => {
+    const message = {
+      uuid: "m2",
+      text: "Look",
+      image: "https://img/2.png",
+      status: "sent",
+      createdAt: "2023-01-01T11:00:00Z",
+      participant: { uuid: "u2", name: "Bob" },
+    };
+    const { getByLabelText } = render(<MessageBubble message={message} />);
+    fireEvent.press(getByLabelText("View image attachment"));
+    expect(useImageViewerStore.getState().openMessageId).toBe("m2");
+  });
+
+  it("opens the gallery at the first hidden image from the +N cell", () => {
+    const message = {
+      uuid: "m3",
+      text: "",
+      status: "sent",
+      createdAt: "2023-01-01T12:00:00Z",
+      participant: { uuid: "u2", name: "Bob" },
+      attachments: Array.from({ length: 6 }, (_, i) => ({
+        type: "image",
+        url: `https://img/${i}.png`,
+        width: 400,
+        height: 300,
+      })),
+    };
+    const { getByText, getByLabelText } = render(
+      <MessageBubble message={message} />,
+    );
+
+    expect(getByText("+3")).toBeTruthy();
+    fireEvent.press(getByLabelText("View 3 more images"));
+    expect(useImageViewerStore.getState()).toMatchObject({
+      openMessageId: "m3",
+      openAttachmentIndex: 3,
+    });
+  });
+
+  it("shows the sender of the current image and shares it", () => {
+    const shareSpy = jest.spyOn(Share, "share").mockResolvedValue({});
+    const { getByText, getByLabelText } = render(
+      <ImagePreviewModal visible images={images} initialIndex={1} />,
+    );
+
+    expect(getByText("Bob")).toBeTruthy();
+    expect(getByText(/2 \/ 2/)).toBeTruthy();
+
+    fireEvent.press(getByLabelText("Share or save image"));
+    expect(shareSpy).toHaveBeenCalledWith(
+      expect.objectContaining({ url: "https://img/2.png" }),
+    );
+  });
+});
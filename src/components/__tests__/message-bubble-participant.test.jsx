@@ -0,0 +1,48 @@
+import React from "react";
+import { act, render } from "@testing-library/react-native";
+import MessageBubble from "../MessageBubble";
+import useParticipantStore from "../../state/participantStore";
+
+describe("MessageBubble participant", () => {
+  const message = {
+    uuid: "m1",
+    text: "A reply",
+    status: "sent",
+    createdAt: "2023-01-01T10:00:00Z",
+    participantUuid: "u2",
+    participant: { uuid: "u2", name: "Bob" },
+    replyToMessage: {
+      uuid: "orig",
+      text: "Original",
+      participant: { uuid: "u1", name: "Alice" },
+    },
+  };
+
+  beforeEach(() => {
+    useParticipantStore.getState().clearParticipants();
+  });
+
+  it("falls back to the embedded copies until the participant is known", () => {
+    const { getByText } = render(<MessageBubble message={message} />);
+    expect(getByText("Bob")).toBeTruthy();
+    expect(getByText("Replying to Alice")).toBeTruthy();
+  });
+
+  it("picks up renames from the participant store", () => {
+    const { getByText, queryByText } = render(
+      <MessageBubble message={message} />,
+    );
+
+    act(() => {
+      useParticipantStore.getState().setParticipants([
+        { uuid: "u1", name: "Alice Cooper" },
+        { uuid: "u2", name: "Robert Smith" },
+      ]);
+    });
+
+    expect(getByText("Robert Smith")).toBeTruthy();
+    expect(getByText("Replying to Alice Cooper")).toBeTruthy();
+    expect(queryByText("Bob")).toBeNull();
+    expect(getByText("RS")).toBeTruthy();
+  });
+});
@@ -0,0 +1,68 @@
+import React from "react";
+import { AccessibilityInfo } from "react-native";
+import { render, fireEvent, act } from "@testing-library/react-native";
+import MessageBubble from "../MessageBubble";
+
+describe("MessageBubble reaction chips", () => {
+  const message = {
+    uuid: "m1",
+    text: "Hello",
+    status: "sent",
+    createdAt: "2023-01-01T10:00:00Z",
+    participant: { uuid: "u2", name: "Bob" },
+    reactions: [
+      { emoji: "👍", count: 2, isOwnReaction: true },
+      { emoji: "🎉", count: 1, isOwnReaction: false },
+    ],
+  };
+
+  const renderBubble = () => {
+    const onReact = jest.fn();
+    const onReactionPress = jest.fn();
+    const utils = render(
+      <MessageBubble
+        message={message}
+        onReact={onReact}
+        onReactionPress={onReactionPress}
+      />,
+    );
+    return { ...utils, onReact, onReactionPress };
+  };
+
+  it("removes our own reaction when its chip is tapped", () => {
+    const { getByText, onReact, onReactionPress } = renderBubble();
+    fireEvent.press(getByText("👍"));
+    expect(onReact).toHaveBeenCalledWith("m1", "👍", false);
+    expect(onReactionPress).not.toHaveBeenCalled();
+  });
+
+  it("adds the same emoji when someone else's chip is tapped", () => {
+    const { getByText, onReact } = renderBubble();
+    fireEvent.press(getByText("🎉"));
+    expect(onReact).toHaveBeenCalledWith("m1", "🎉", true);
+  });
+
+  it("opens reaction details on long press", () => {
+    const { getByText, onReact, onReactionPress } = renderBubble();
+    fireEvent(getByText("🎉"), "longPress");
+    expect(onReactionPress).toHaveBeenCalledWith(
+      "m1",
+      expect.objectContaining({ emoji: "🎉" }),
+    );
+    expect(onReact).not.toHaveBeenCalled();
+  });
+
+  it("leaves announcing a reaction-row pick to the screen", async () => {
+    const announce = jest.spyOn(AccessibilityInfo, "announceForAccessibility");
+    const { getByText, onReact } = renderBubble();
+
+    fireEvent.press(getByText("😊+"));
+    await act(async () => {
+      fireEvent.press(getByText("😂"));
+    });
+
+    expect(onReact).toHaveBeenCalledWith("m1", "😂");
+    expect(announce).not.toHaveBeenCalledWith("Added 😂 reaction");
+    announce.mockRestore();
+  });
+});
@@ -0,0 +1,46 @@
+import React from "react";
+import { Alert } from "react-native";
+import { render, fireEvent } from "@testing-library/react-native";
+import MessageBubble from "../MessageBubble";
+import useReplyStore from "../../state/replyStore";
+
+describe("MessageBubble reply actions", () => {
+  const original = {
+    uuid: "orig",
+    text: "Original",
+    participant: { uuid: "u1", name: "Alice" },
+  };
+  const message = {
+    uuid: "m1",
+    text: "A reply",
+    status: "sent",
+    createdAt: "2023-01-01T10:00:00Z",
+    participant: { uuid: "u2", name: "Bob" },
+    replyToMessage: original,
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    useReplyStore.getState().cancelReply();
+  });
+
+  it("jumps to the original when the quoted block is tapped", () => {
+    const onReplyPress = jest.fn();
+    const { getByText } = render(
+      <MessageBubble message={message} onReplyPress={onReplyPress} />,
+    );
+    fireEvent.press(getByText("Original"));
+    expect(onReplyPress).toHaveBeenCalledWith("orig");
+  });
+
+  it("starts a shared reply from the long-press menu", () => {
+    const alertSpy = jest.spyOn(Alert, "alert");
+    const { getByText } = render(<MessageBubble message={message} />);
+
+    fireEvent(getByText("A reply"), "longPress");
+    const buttons = alertSpy.mock.calls[0][2];
+    buttons.find((b) => b.text === "Reply").onPress();
+
+    expect(useReplyStore.getState().replyTo).toBe(message);
+  });
+});
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, act } from '@testing-library/react-native';
+import { render, act, fireEvent } from '@testing-library/react-native';
 import MessageList from '../MessageList';
 
 describe('MessageList', () => {
@@ -36,4 +36,62 @@ describe('MessageList', () => {
     );
     expect(getByText('Hello')).toBeTruthy();
   });
+
+  it('shows a loading row while older messages are fetched', () => {
+    const messages = [
+      { uuid: '1', text: 'Hello', participant: { uuid: 'u1' }, createdAt: '2023-01-01T00:00:00Z' },
+    ];
+    const { getByText } = render(
+      <MessageList messages={messages} {...baseProps} loadingOlder hasMoreOlder />
+    );
+    expect(getByText('Loading older messages...')).toBeTruthy();
+  });
+
+  it('loads older messages once the user scrolls to the top', () => {
+    const onLoadOlder = jest.fn();
+    const { getByTestId } = render(
+      <MessageList messages={[]} {...baseProps} onLoadOlder={onLoadOlder} hasMoreOlder />
+    );
+    const list = getByTestId('message-list');
+
+    act(() => list.props.onStartReached());
+    expect(onLoadOlder).not.toHaveBeenCalled();
+
+    act(() => {
+      list.props.onScrollBeginDrag();
+      list.props.onStartReached();
+    });
+    expect(onLoadOlder).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows a load missed messages row where history has a gap', () => {
+    const onLoadGap = jest.fn();
+    const messages = [
+      { uuid: '1', text: 'Before', participant: { uuid: 'u1' }, createdAt: '2023-01-01T00:00:00Z' },
+      { uuid: '2', text: 'After', participant: { uuid: 'u1' }, createdAt: '2023-01-02T00:00:00Z' },
+    ];
+    const gaps = [{ id: 'gap-1', olderUuid: '1', newerUuid: '2', status: 'idle' }];
+    const { getByText } = render(
+      <MessageList messages={messages} {...baseProps} gaps={gaps} onLoadGap={onLoadGap} />
+    );
+
+    fireEvent.press(getByText('Load missed messages'));
+    expect(onLoadGap).toHaveBeenCalledWith('gap-1');
+  });
+
+  it('renders join and leave notices between messages', () => {
+    const messages = [
+      { uuid: '1', text: 'Before', participant: { uuid: 'u1' }, createdAt: 1000 },
+      { uuid: '2', text: 'After', participant: { uuid: 'u1' }, createdAt: 3000 },
+    ];
+    const systemEvents = [
+      { id: 'e1', type: 'joined', participant: { uuid: 'u2', name: 'Ben' }, createdAt: 2000 },
+    ];
+    const { getByTestId, getByText } = render(
+      <MessageList messages={messages} {...baseProps} systemEvents={systemEvents} />
+    );
+
+    expect(getByText('Ben joined the chat')).toBeTruthy();
+    expect(getByTestId('message-list').props.data.map((item) => item.uuid)).toEqual(['1', 'e1', '2']);
+  });
 });
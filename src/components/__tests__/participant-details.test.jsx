@@ -0,0 +1,76 @@
+import React from "react";
+import { render, fireEvent } from "@testing-library/react-native";
+import ParticipantDetails from "../ParticipantDetails";
+import useMessageStore from "../../state/messageStore";
+import useParticipantStore from "../../state/participantStore";
+
+describe("ParticipantDetails", () => {
+  const alice = {
+    uuid: "u1",
+    name: "Alice",
+    email: "alice@example.com",
+    jobTitle: "Designer",
+    bio: "Draws things",
+    updatedAt: 1000,
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    useParticipantStore.getState().setParticipants([alice]);
+    useMessageStore.getState().setMessages([
+      { uuid: "m2", text: "Second", createdAt: 3000, participant: alice },
+      {
+        uuid: "m1",
+        text: "From Bob",
+        createdAt: 2000,
+        participant: { uuid: "u2", name: "Bob" },
+      },
+      { uuid: "m0", text: "First", createdAt: 1000, participant: alice },
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("shows the profile and only that participant's messages", () => {
+    const { getByText, queryByText } = render(
+      <ParticipantDetails participant={{ uuid: "u1", name: "Alice" }} />,
+    );
+
+    expect(getByText("alice@example.com")).toBeTruthy();
+    expect(getByText("Designer")).toBeTruthy();
+    expect(getByText("Draws things")).toBeTruthy();
+    expect(getByText(/^Active /)).toBeTruthy();
+    expect(getByText("Second")).toBeTruthy();
+    expect(getByText("First")).toBeTruthy();
+    expect(queryByText("From Bob")).toBeNull();
+  });
+
+  it("reports the tapped message so the chat can jump to it", () => {
+    const onMessagePress = jest.fn();
+    const { getByText } = render(
+      <ParticipantDetails
+        participant={alice}
+        onMessagePress={onMessagePress}
+      />,
+    );
+    fireEvent.press(getByText("First"));
+    expect(onMessagePress).toHaveBeenCalledWith("m0");
+  });
+
+  it("previews image-only messages as a photo", () => {
+    useMessageStore.getState().setMessages([
+      {
+        uuid: "m3",
+        text: "",
+        createdAt: 4000,
+        participant: alice,
+        attachments: [{ type: "image", url: "https://example.com/a.png" }],
+      },
+    ]);
+
+    const { getByText } = render(<ParticipantDetails participant={alice} />);
+    expect(getByText("📷 Photo")).toBeTruthy();
+  });
+});
@@ -0,0 +1,93 @@
+import React from "react";
+import { render, fireEvent, waitFor } from "@testing-library/react-native";
+import ReactionDetails from "../ReactionDetails";
+import useMessageStore from "../../state/messageStore";
+import useParticipantStore from "../../state/participantStore";
+import { getMessageReactions } from "../../api/messages";
+
+jest.mock("../../api/messages", () => ({
+  ...jest.requireActual("../../api/messages"),
+  getMessageReactions: jest.fn(),
+}));
+
+describe("ReactionDetails", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    useParticipantStore.getState().setParticipants([
+      { uuid: "u1", name: "Alice" },
+      { uuid: "u2", name: "Bob" },
+    ]);
+    useMessageStore.getState().setMessages([
+      {
+        uuid: "m1",
+        text: "Hi",
+        createdAt: 1000,
+        reactions: [{ emoji: "🎉", participants: ["u2"] }],
+      },
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    getMessageReactions.mockReset();
+  });
+
+  it("lists who reacted with a tab per emoji", async () => {
+    getMessageReactions.mockResolvedValue({
+      reactions: [
+        { emoji: "👍", participants: ["u1", "you"] },
+        { emoji: "🔥", participants: ["u2"] },
+      ],
+    });
+    const { getByText, queryByText, findByText } = render(
+      <ReactionDetails messageId="m1" initialEmoji="👍" />,
+    );
+
+    expect(await findByText("Alice")).toBeTruthy();
+    expect(getByText("You")).toBeTruthy();
+    expect(queryByText("Bob")).toBeNull();
+
+    fireEvent.press(getByText("🔥"));
+    expect(getByText("Bob")).toBeTruthy();
+    expect(queryByText("Alice")).toBeNull();
+  });
+
+  it("falls back to the message's reactions when the endpoint is missing", async () => {
+    getMessageReactions.mockResolvedValue({ reactions: [], messageId: "m1" });
+    const { findByText } = render(
+      <ReactionDetails messageId="m1" initialEmoji="🎉" />,
+    );
+    expect(await findByText("Bob")).toBeTruthy();
+  });
+
+  it("shows the count when the fallback doesn't say who reacted", async () => {
+    useMessageStore
+      .getState()
+      .updateMessage({ uuid: "m1", reactions: [{ emoji: "❤️", count: 3 }] });
+    getMessageReactions.mockResolvedValue({ reactions: [], messageId: "m1" });
+    const { findByText, getByText, queryByText } = render(
+      <ReactionDetails messageId="m1" initialEmoji="❤️" />,
+    );
+
+    expect(await findByText("3 reactions")).toBeTruthy();
+    expect(getByText("3")).toBeTruthy();
+    expect(queryByText("No reactions yet")).toBeNull();
+  });
+
+  it("shows an error with retry when loading fails", async () => {
+    getMessageReactions
+      .mockRejectedValueOnce(new Error("Network Error"))
+      .mockResolvedValueOnce({
+        reactions: [{ emoji: "👍", participants: ["u1"] }],
+      });
+    const { findByText, getByText } = render(
+      <ReactionDetails messageId="m1" initialEmoji="👍" />,
+    );
+
+    expect(await findByText("Couldn't load reactions")).toBeTruthy();
+    fireEvent.press(getByText("Try Again"));
+    await waitFor(() => expect(getByText("Alice")).toBeTruthy());
+  });
+});
@@ -10,11 +10,22 @@ jest.mock("../../hooks/useReply", () => ({
 }));
 import useReply from "../../hooks/useReply";
 
-// Mock message store (Zustand) with in-scope mock var
+// Mock message store (Zustand) with in-scope mock vars
 const mockAddMessage = jest.fn();
-jest.mock("../../state/messageStore", () => () => ({
-  addMessage: mockAddMessage,
-}));
+const mockReplaceMessage = jest.fn();
+jest.mock("../../state/messageStore", () => {
+  const mockState = {
+    addMessage: (...args) => mockAddMessage(...args),
+    replaceMessage: (...args) => mockReplaceMessage(...args),
+    updateMessage: () => {},
+    removeMessage: () => {},
+    // Only the temp message is in the store
+    getMessageByUuid: (uuid) => (uuid?.startsWith("temp-") ? { uuid } : null),
+  };
+  const useMessageStore = () => mockState;
+  useMessageStore.getState = () => mockState;
+  return useMessageStore;
+});
 
 // Mock API
 jest.mock("../../api/messages", () => ({ sendMessage: jest.fn() }));
@@ -25,7 +36,7 @@ describe("reply flow", () => {
     jest.clearAllMocks();
   });
 
-  it("sends reply payload and adds returned message", async () => {
+  it("sends reply payload and swaps the temp message for the returned one", async () => {
     const replyTo = {
       uuid: "orig",
       text: "Original",
@@ -71,13 +82,24 @@ describe("reply flow", () => {
 
     await waitFor(() => {
       // sent with reply id
-      expect(sendMessage).toHaveBeenCalledWith({
-        text: "Hi there",
-        replyToMessage: "orig",
-      });
+      expect(sendMessage).toHaveBeenCalledWith(
+        { text: "Hi there", replyToMessage: "orig" },
+        { signal: expect.anything() },
+      );
 
-      // store received the returned message
-      expect(mockAddMessage).toHaveBeenCalledWith(newMessage);
+      // temp message shown right away, then replaced by the server copy
+      expect(mockAddMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          uuid: expect.stringMatching(/^temp-/),
+          text: "Hi there",
+          status: "sending",
+          replyToMessage: replyTo,
+        }),
+      );
+      expect(mockReplaceMessage).toHaveBeenCalledWith(
+        expect.stringMatching(/^temp-/),
+        newMessage,
+      );
     });
   });
 });
@@ -0,0 +1,64 @@
+// src/constants/environments.js
+import Constants from "expo-constants";
+
+const PRODUCTION_API_URL = "https://dummy-chat-server.tribechat.com/api";
+
+// Push and upload endpoints live next to the REST API unless overridden
+const withEndpoints = ({ apiUrl, wsUrl, sseUrl, uploadUrl, ...rest }) => ({
+  ...rest,
+  apiUrl,
+  wsUrl: wsUrl || `${apiUrl.replace(/^http/, "ws")}/ws`,
+  sseUrl: sseUrl || `${apiUrl}/stream`,
+  uploadUrl: uploadUrl || `${apiUrl}/uploads`,
+});
+
+/**
+ * Servers the app can talk to, selectable at runtime from the developer
+ * settings screen. `EXPO_PUBLIC_ENVIRONMENT` picks the default one; the
+ * EXPO_PUBLIC_*_URL variables (and `expo.extra.apiUrl`) override the
+ * production endpoints, and EXPO_PUBLIC_STAGING_API_URL /
+ * EXPO_PUBLIC_LOCAL_API_URL point the other entries elsewhere.
+ */
+export const ENVIRONMENTS = {
+  production: withEndpoints({
+    id: "production",
+    name: "Production",
+    apiUrl:
+      process.env.EXPO_PUBLIC_API_URL ||
+      Constants.expoConfig?.extra?.apiUrl ||
+      PRODUCTION_API_URL,
+    wsUrl: process.env.EXPO_PUBLIC_WS_URL,
+    sseUrl: process.env.EXPO_PUBLIC_SSE_URL,
+    uploadUrl: process.env.EXPO_PUBLIC_UPLOAD_URL,
+  }),
+  staging: withEndpoints({
+    id: "staging",
+    name: "Staging",
+    apiUrl:
+      process.env.EXPO_PUBLIC_STAGING_API_URL ||
+      "https://staging.dummy-chat-server.tribechat.com/api",
+  }),
+  // Android emulators reach the host machine at 10.0.2.2, not localhost
+  local: withEndpoints({
+    id: "local",
+    name: "Local",
+    apiUrl:
+      process.env.EXPO_PUBLIC_LOCAL_API_URL || "http://localhost:4000/api",
+  }),
+  // In-process mock server (src/api/mock); works with no network at all
+  mock: {
+    id: "mock",
+    name: "Mock (offline)",
+    mock: true,
+    apiUrl: "mock://chat/api",
+    wsUrl: null,
+    sseUrl: null,
+    uploadUrl: "mock://chat/api/uploads",
+  },
+};
+
+export const DEFAULT_ENVIRONMENT_ID =
+  ENVIRONMENTS[process.env.EXPO_PUBLIC_ENVIRONMENT]?.id || "production";
+
+export const getEnvironment = (id) =>
+  ENVIRONMENTS[id] || ENVIRONMENTS[DEFAULT_ENVIRONMENT_ID];
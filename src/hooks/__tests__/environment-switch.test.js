@@ -0,0 +1,72 @@
+import useEnvironment, { switchEnvironment } from '../useEnvironment';
+import { renderHook, act } from '@testing-library/react-native';
+import useEnvironmentStore, {
+  getActiveEnvironment,
+} from '../../state/environmentStore';
+import useMessageStore from '../../state/messageStore';
+import useParticipantStore from '../../state/participantStore';
+import useSessionStore from '../../state/sessionStore';
+import useOutboxStore from '../../state/outboxStore';
+import { ENVIRONMENTS } from '../../constants/environments';
+
+describe('switchEnvironment', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    useEnvironmentStore.setState({ environmentId: 'production' });
+    useSessionStore.getState().setSession({ sessionUuid: 's1', apiVersion: 1 });
+    useSessionStore.getState().setLastUpdateTime(1000);
+    useMessageStore
+      .getState()
+      .setMessages([{ uuid: 'm1', text: 'Hi', createdAt: 1000 }]);
+    useParticipantStore
+      .getState()
+      .setParticipants([{ uuid: 'u1', name: 'Alice' }]);
+    useOutboxStore.getState().enqueue({ tempId: 'temp-1', text: 'Queued' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('clears everything cached from the old server', () => {
+    expect(switchEnvironment('local')).toBe(true);
+
+    expect(getActiveEnvironment()).toBe(ENVIRONMENTS.local);
+    expect(useSessionStore.getState()).toMatchObject({
+      sessionUuid: '',
+      lastUpdateTime: 0,
+    });
+    expect(useMessageStore.getState().messages).toEqual([]);
+    expect(useParticipantStore.getState().participants).toEqual([]);
+    expect(useOutboxStore.getState().entries).toEqual([]);
+  });
+
+  it('ignores unknown environments and the one already active', () => {
+    expect(switchEnvironment('nowhere')).toBe(false);
+    expect(switchEnvironment('production')).toBe(false);
+    expect(useSessionStore.getState().sessionUuid).toBe('s1');
+    expect(useMessageStore.getState().messages).toHaveLength(1);
+  });
+
+  it('exposes the active environment with derived endpoints', () => {
+    const { result } = renderHook(() => useEnvironment());
+    act(() => {
+      result.current.switchEnvironment('local');
+    });
+
+    expect(result.current.environment).toMatchObject({
+      id: 'local',
+      apiUrl: 'http://localhost:4000/api',
+      wsUrl: 'ws://localhost:4000/api/ws',
+      sseUrl: 'http://localhost:4000/api/stream',
+      uploadUrl: 'http://localhost:4000/api/uploads',
+    });
+    expect(result.current.environments.map((e) => e.id)).toEqual([
+      'production',
+      'staging',
+      'local',
+      'mock',
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+import useMessageStore from '../../state/messageStore';
+import { backfillGap } from '../useGapBackfill';
+import { fetchOlderMessages } from '../../api/messages';
+
+jest.mock('../../api/messages', () => ({
+  ...jest.requireActual('../../api/messages'),
+  fetchOlderMessages: jest.fn(),
+}));
+
+const message = (uuid, createdAt) => ({
+  uuid,
+  text: uuid,
+  createdAt,
+  participant: { uuid: 'u1', name: 'Ana' },
+});
+
+describe('backfillGap', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fetchOlderMessages.mockReset();
+    const store = useMessageStore.getState();
+    store.clearMessages();
+    store.setMessages([message('m2', 2000), message('m1', 1000)]);
+    store.mergeLatestMessages([message('m10', 10000), message('m9', 9000)]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const onlyGap = () => useMessageStore.getState().gaps[0];
+
+  it('pages back until it reaches the stored messages', async () => {
+    fetchOlderMessages
+      .mockResolvedValueOnce([message('m8', 8000), message('m7', 7000)])
+      .mockResolvedValueOnce([message('m6', 6000), message('m2', 2000)]);
+
+    await expect(backfillGap(onlyGap().id)).resolves.toBe(true);
+
+    expect(fetchOlderMessages.mock.calls.map(([uuid]) => uuid)).toEqual([
+      'm9',
+      'm7',
+    ]);
+    const { gaps, messages } = useMessageStore.getState();
+    expect(gaps).toEqual([]);
+    expect(messages.map((m) => m.uuid)).toEqual([
+      'm10',
+      'm9',
+      'm8',
+      'm7',
+      'm6',
+      'm2',
+      'm1',
+    ]);
+  });
+
+  it('keeps paging when the older end is no longer loaded', async () => {
+    useMessageStore.getState().removeMessage('m2');
+    fetchOlderMessages
+      .mockResolvedValueOnce([message('m8', 8000)])
+      .mockResolvedValueOnce([message('m3', 3000), message('m2', 2000)]);
+
+    await expect(backfillGap(onlyGap().id)).resolves.toBe(true);
+
+    expect(fetchOlderMessages).toHaveBeenCalledTimes(2);
+    expect(useMessageStore.getState().getMessageByUuid('m3')).toBeTruthy();
+  });
+
+  it('keeps a failed gap so it can be retried from where it stopped', async () => {
+    fetchOlderMessages
+      .mockResolvedValueOnce([message('m8', 8000)])
+      .mockRejectedValueOnce(
+        Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' })
+      );
+
+    await expect(backfillGap(onlyGap().id)).resolves.toBe(false);
+
+    expect(onlyGap()).toMatchObject({
+      status: 'failed',
+      newerUuid: 'm8',
+      olderUuid: 'm2',
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { renderHook, act } from '@testing-library/react-native';
+import useOutbox from '../useOutbox';
+import useMessageStore from '../../state/messageStore';
+import useOutboxStore from '../../state/outboxStore';
+import { requestQueue } from '../../screens/requestQueue';
+import { sendMessage, uploadImage } from '../../api/messages';
+
+jest.mock('../../api/messages', () => ({
+  ...jest.requireActual('../../api/messages'),
+  sendMessage: jest.fn(),
+  uploadImage: jest.fn(),
+}));
+
+const offlineError = () =>
+  Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' });
+
+describe('useOutbox', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    useMessageStore.getState().clearMessages();
+    useOutboxStore.getState().clearOutbox();
+    sendMessage.mockReset();
+    uploadImage.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps a failed send in the outbox and delivers it on flush', async () => {
+    sendMessage.mockRejectedValueOnce(offlineError());
+    const { result } = renderHook(() => useOutbox());
+
+    await act(() => result.current.queueMessage({ text: 'Hello' }));
+
+    const [entry] = useOutboxStore.getState().entries;
+    expect(entry).toMatchObject({
+      status: 'failed',
+      retryable: true,
+      attempts: 1,
+    });
+    expect(
+      useMessageStore.getState().getMessageByUuid(entry.tempId).status
+    ).toBe('failed');
+
+    sendMessage.mockResolvedValueOnce({
+      uuid: 'real-1',
+      text: 'Hello',
+      createdAt: 1,
+    });
+    await act(() => result.current.flushOutbox());
+
+    expect(useOutboxStore.getState().entries).toHaveLength(0);
+    expect(useMessageStore.getState().messages.map((m) => m.uuid)).toEqual([
+      'real-1',
+    ]);
+  });
+
+  it('does not resend a send canceled by a cleared queue', async () => {
+    sendMessage.mockImplementationOnce(
+      (payload, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () =>
+            reject(
+              Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })
+            )
+          );
+        })
+    );
+    const { result } = renderHook(() => useOutbox());
+
+    let sending;
+    await act(async () => {
+      sending = result.current.queueMessage({ text: 'Hello' });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    });
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    await act(async () => {
+      requestQueue.clear();
+      await sending;
+    });
+
+    expect(useOutboxStore.getState().entries[0]).toMatchObject({
+      status: 'failed',
+      retryable: false,
+    });
+    await act(() => result.current.flushOutbox());
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('deletes a failed message from the outbox and the list', async () => {
+    sendMessage.mockRejectedValueOnce(offlineError());
+    const { result } = renderHook(() => useOutbox());
+
+    await act(() => result.current.queueMessage({ text: 'Hello' }));
+    const [entry] = useOutboxStore.getState().entries;
+
+    act(() => result.current.deleteMessage(entry.tempId));
+
+    expect(useOutboxStore.getState().entries).toHaveLength(0);
+    expect(useMessageStore.getState().messages).toHaveLength(0);
+  });
+
+  it('uploads an attachment once and resumes with the hosted URL', async () => {
+    const attachment = { uri: 'file:///photo.jpg', type: 'image/jpeg' };
+    uploadImage.mockImplementation(async (file, { onProgress }) => {
+      onProgress(0.5);
+      const [entry] = useOutboxStore.getState().entries;
+      expect(
+        useMessageStore.getState().getMessageByUuid(entry.tempId)
+      ).toMatchObject({ image: 'file:///photo.jpg', uploadProgress: 0.5 });
+      return { url: 'https://cdn/photo.jpg' };
+    });
+    sendMessage.mockRejectedValueOnce(offlineError());
+    const { result } = renderHook(() => useOutbox());
+
+    await act(() => result.current.queueMessage({ text: '', attachment }));
+    expect(useOutboxStore.getState().entries[0]).toMatchObject({
+      status: 'failed',
+      uploadedUrl: 'https://cdn/photo.jpg',
+    });
+
+    sendMessage.mockResolvedValueOnce({
+      uuid: 'real-1',
+      text: '',
+      image: 'https://cdn/photo.jpg',
+      createdAt: 1,
+    });
+    await act(() => result.current.flushOutbox());
+
+    expect(uploadImage).toHaveBeenCalledTimes(1);
+    expect(sendMessage).toHaveBeenLastCalledWith(
+      { text: '', image: 'https://cdn/photo.jpg' },
+      { signal: expect.anything() }
+    );
+    expect(useOutboxStore.getState().entries).toHaveLength(0);
+  });
+
+  it('cancels an upload in progress when the message is deleted', async () => {
+    uploadImage.mockImplementation(
+      (file, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () =>
+            reject(
+              Object.assign(new Error('Upload canceled'), { canceled: true })
+            )
+          );
+        })
+    );
+    const { result } = renderHook(() => useOutbox());
+
+    let pending;
+    act(() => {
+      pending = result.current.queueMessage({
+        text: 'Look',
+        attachment: { uri: 'file:///photo.jpg' },
+      });
+    });
+    const [entry] = useOutboxStore.getState().entries;
+
+    act(() => result.current.deleteMessage(entry.tempId));
+    await act(() => pending);
+
+    expect(sendMessage).not.toHaveBeenCalled();
+    expect(useOutboxStore.getState().entries).toHaveLength(0);
+    expect(useMessageStore.getState().messages).toHaveLength(0);
+  });
+});
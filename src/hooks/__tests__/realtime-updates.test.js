@@ -0,0 +1,111 @@
+import { applyRealtimeEvent } from '../useRealtimeUpdates';
+import { REALTIME_EVENTS } from '../../api/transports';
+import useMessageStore from '../../state/messageStore';
+import useParticipantStore from '../../state/participantStore';
+import useSystemEventStore from '../../state/systemEventStore';
+
+describe('applyRealtimeEvent', () => {
+  const alice = { uuid: 'u1', name: 'Alice' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    useParticipantStore.getState().setParticipants([alice]);
+    useMessageStore
+      .getState()
+      .setMessages([
+        { uuid: 'm1', text: 'Hi', createdAt: 1000, participant: alice },
+      ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds new messages and applies edits, deletes and reactions', () => {
+    applyRealtimeEvent({
+      type: REALTIME_EVENTS.MESSAGE_CREATED,
+      data: { uuid: 'm2', text: 'New', createdAt: 2000, participant: alice },
+    });
+    applyRealtimeEvent({
+      type: REALTIME_EVENTS.MESSAGE_UPDATED,
+      data: {
+        uuid: 'm1',
+        text: 'Hi there',
+        createdAt: '1970-01-01T00:00:01.000Z',
+        editedAt: '1970-01-01T00:00:01.500Z',
+        participant: alice,
+      },
+    });
+    applyRealtimeEvent({
+      type: REALTIME_EVENTS.REACTION_UPDATED,
+      data: { messageUuid: 'm2', reactions: [{ emoji: '👍', count: 1 }] },
+    });
+
+    const { getMessageByUuid, messages } = useMessageStore.getState();
+    expect(messages.map((m) => m.uuid)).toEqual(['m2', 'm1']);
+    expect(getMessageByUuid('m1').text).toBe('Hi there');
+    expect(getMessageByUuid('m1').editedAt).toBe(1500);
+    expect(getMessageByUuid('m2').reactions).toEqual([
+      { emoji: '👍', count: 1 },
+    ]);
+
+    applyRealtimeEvent({
+      type: REALTIME_EVENTS.MESSAGE_DELETED,
+      data: { uuid: 'm1' },
+    });
+    expect(useMessageStore.getState().getMessageByUuid('m1').status).toBe(
+      'deleted'
+    );
+  });
+
+  it('ignores updates for messages that are not loaded', () => {
+    applyRealtimeEvent({
+      type: REALTIME_EVENTS.MESSAGE_UPDATED,
+      data: {
+        uuid: 'unknown',
+        text: 'Edited',
+        createdAt: '1970-01-01T00:00:03.000Z',
+        participant: alice,
+      },
+    });
+    expect(useMessageStore.getState().messages).toHaveLength(1);
+  });
+
+  it('adds and updates participants', () => {
+    applyRealtimeEvent({
+      type: REALTIME_EVENTS.PARTICIPANT_UPDATED,
+      data: { uuid: 'u1', name: 'Alice B.' },
+    });
+    applyRealtimeEvent({
+      type: REALTIME_EVENTS.PARTICIPANT_CREATED,
+      data: { uuid: 'u2', name: 'Bob' },
+    });
+
+    const { findParticipant } = useParticipantStore.getState();
+    expect(findParticipant('u1').name).toBe('Alice B.');
+    expect(findParticipant('u2').name).toBe('Bob');
+  });
+
+  it('marks departures and announces joins and leaves', () => {
+    useSystemEventStore.getState().clearSystemEvents();
+    applyRealtimeEvent({
+      type: REALTIME_EVENTS.PARTICIPANT_CREATED,
+      data: { uuid: 'u2', name: 'Bob', createdAt: 2000 },
+    });
+    applyRealtimeEvent({
+      type: REALTIME_EVENTS.PARTICIPANT_DELETED,
+      data: { uuid: 'u1', updatedAt: 3000 },
+    });
+
+    expect(useParticipantStore.getState().findParticipant('u1')).toMatchObject({
+      name: 'Alice',
+      left: true,
+    });
+    expect(
+      useSystemEventStore
+        .getState()
+        .events.map((e) => `${e.participant.name} ${e.type}`)
+    ).toEqual(['Bob joined', 'Alice left']);
+  });
+});
@@ -3,8 +3,10 @@ import { useEffect, useRef, useCallback, useState, useMemo } from "react";
 import { AppState } from "react-native";
 
 // API imports
+import { API_ERROR_KINDS, getErrorKind } from "../api/errors";
 import { fetchServerInfo } from "../api/info";
-import { fetchUpdatedMessages } from "../api/messages";
+import { getRateLimitDelay } from "../api/rateLimit";
+import { fetchLatestMessages, fetchUpdatedMessages } from "../api/messages";
 import {
   fetchAllParticipants,
   fetchUpdatedParticipants,
@@ -14,6 +16,11 @@ import {
 import useMessageStore from "../state/messageStore";
 import useParticipantStore from "../state/participantStore";
 import useSessionStore from "../state/sessionStore";
+import useEnvironmentStore from "../state/environmentStore";
+import useSystemEventStore from "../state/systemEventStore";
+import useStoreHydration from "./useStoreHydration";
+import useRealtimeUpdates from "./useRealtimeUpdates";
+import { backfillGap } from "./useGapBackfill";
 
 // Utils
 import {
@@ -21,18 +28,32 @@ import {
   throttle,
   createRequestDeduplicator,
 } from "../utils/debounce";
+import {
+  advanceCursor,
+  dropSeenUpdates,
+  estimateClockSkew,
+  getLatestServerTime,
+  getServerTime,
+  toSinceParam,
+} from "../utils/syncCursor";
 
 // Optimized sync intervals to reduce server load
 const SYNC_INTERVALS = {
   ACTIVE: 30000, // 30 seconds when app is active (reduced from 8s)
   BACKGROUND: 120000, // 2 minutes when app is backgrounded (increased from 30s)
   IDLE: 300000, // 5 minutes when no user activity (increased from 60s)
+  REALTIME: 300000, // 5 minutes as a safety net while push updates are live
   RETRY_BASE: 5000, // Base retry delay
   RETRY_MAX: 60000, // Maximum retry delay
 };
 
 const MAX_RETRY_ATTEMPTS = 5; // Increased for better resilience
 const ACTIVITY_TIMEOUT = 60000; // Consider idle after 1 minute of no activity
+// After this long without a sync, compare the latest window with the store
+const GAP_CHECK_AFTER = 15 * 60 * 1000;
+
+// Responses from a server we've since switched away from must be dropped
+const getEnvironmentId = () => useEnvironmentStore.getState().environmentId;
 
 const useChatSync = () => {
   // State
@@ -48,20 +69,30 @@ const useChatSync = () => {
   const lastActivityRef = useRef(Date.now());
   const appStateRef = useRef(AppState.currentState);
   const lastSyncAttempt = useRef(0);
+  const lastSyncedAtRef = useRef(0); // 0 until the first sync since launch
   const consecutiveErrors = useRef(0);
+  const persistedSessionChecked = useRef(false);
+  const realtimeConnectedRef = useRef(false);
+  const environmentId = useEnvironmentStore((state) => state.environmentId);
+  const environmentRef = useRef(environmentId);
+
+  // Wait for persisted stores before syncing so hydration can't clobber fresh data
+  const isHydrated = useStoreHydration();
 
   // Request deduplication
   const requestDeduplicator = useRef(createRequestDeduplicator());
 
   // Store actions
-  const { setMessages, updateMessage } = useMessageStore();
-  const { setParticipants, updateParticipant, clearParticipants } =
+  const { clearMessages, upsertMessages, mergeLatestMessages } =
+    useMessageStore();
+  const { setParticipants, upsertParticipants, clearParticipants } =
     useParticipantStore();
   const {
     sessionUuid,
     lastUpdateTime,
     setSession,
     setLastUpdateTime,
+    setClockSkew,
     clearSession,
   } = useSessionStore();
 
@@ -79,9 +110,11 @@ const useChatSync = () => {
   // Reset application state
   const resetAppState = useCallback(() => {
     console.log("🔄 Resetting application state...");
-    setMessages([]);
+    // Also overwrites the persisted copies, so stale data from the old session is gone
+    clearMessages();
     clearParticipants();
     clearSession();
+    useSystemEventStore.getState().clearSystemEvents();
     setSyncError(null);
     setRetryCount(0);
     consecutiveErrors.current = 0;
@@ -90,7 +123,7 @@ const useChatSync = () => {
     if (deduplicator) {
       deduplicator.clear();
     }
-  }, [setMessages, clearParticipants, clearSession]);
+  }, [clearMessages, clearParticipants, clearSession]);
 
   // Calculate exponential backoff delay
   const getRetryDelay = useCallback((attempt) => {
@@ -112,31 +145,35 @@ const useChatSync = () => {
     setSyncError(error);
 
     // Handle specific error types
-    if (error.response?.status === 409) {
-      console.warn(
-        "🔄 Conflict detected - will retry with exponential backoff",
-      );
-      // Don't increment retry count for 409s, they're usually transient
-      return true; // Indicate we should retry
-    }
-
-    if (error.response?.status >= 500 && error.response?.status < 600) {
-      console.warn("🚨 Server error detected - reducing sync frequency");
-      return true; // Server errors are usually temporary
-    }
-
-    if (
-      error.code === "NETWORK_ERROR" ||
-      error.message?.includes("Network request failed")
-    ) {
-      console.warn("📡 Network error - will retry when connection improves");
-      return true;
-    }
-
-    // For client errors (4xx), don't retry as aggressively
-    if (error.response?.status >= 400 && error.response?.status < 500) {
-      console.warn("⚠️ Client error - may need user intervention");
-      return false;
+    switch (getErrorKind(error)) {
+      case API_ERROR_KINDS.CONFLICT:
+        console.warn(
+          "🔄 Conflict detected - will retry with exponential backoff",
+        );
+        // Don't increment retry count for 409s, they're usually transient
+        return true; // Indicate we should retry
+
+      case API_ERROR_KINDS.SERVER:
+        console.warn("🚨 Server error detected - reducing sync frequency");
+        return true; // Server errors are usually temporary
+
+      case API_ERROR_KINDS.RATE_LIMITED:
+        console.warn("🚦 Rate limited - pausing sync until the window resets");
+        return true;
+
+      case API_ERROR_KINDS.NETWORK:
+      case API_ERROR_KINDS.TIMEOUT:
+        console.warn("📡 Network error - will retry when connection improves");
+        return true;
+
+      // For client errors (4xx), don't retry as aggressively
+      case API_ERROR_KINDS.NOT_FOUND:
+      case API_ERROR_KINDS.CLIENT:
+        console.warn("⚠️ Client error - may need user intervention");
+        return false;
+
+      default:
+        break;
     }
 
     return true; // Default to retrying
@@ -156,9 +193,13 @@ const useChatSync = () => {
         resetAppState();
         setSession(newSessionInfo);
 
+        const requestEnvironment = getEnvironmentId();
         try {
           const allParticipants = await fetchAllParticipants();
-          if (isMountedRef.current) {
+          if (
+            isMountedRef.current &&
+            requestEnvironment === getEnvironmentId()
+          ) {
             setParticipants(allParticipants);
             console.log("✅ Participants loaded for new session");
           }
@@ -172,60 +213,87 @@ const useChatSync = () => {
 
   // Optimized batch updates with error resilience
   const performBatchUpdates = useCallback(
-    async (lastUpdate) => {
-      const dedupeKey = `batch-${lastUpdate}`;
+    async (cursor) => {
+      const dedupeKey = `batch-${cursor}`;
 
       // Copy ref to variable to avoid ESLint warning
       const deduplicator = requestDeduplicator.current;
       if (!deduplicator) return;
 
       return deduplicator.deduplicate(dedupeKey, async () => {
+        const requestEnvironment = getEnvironmentId();
+        const requestStartedAt = Date.now();
+        const since = toSinceParam(cursor);
         try {
           // Use Promise.allSettled to handle partial failures gracefully
           const results = await Promise.allSettled([
-            fetchUpdatedMessages(lastUpdate),
-            fetchUpdatedParticipants(lastUpdate),
+            fetchUpdatedMessages(since),
+            fetchUpdatedParticipants(since),
           ]);
 
-          // Only proceed if component is still mounted
-          if (!isMountedRef.current) return;
-
-          // Process messages result
-          const messagesResult = results[0];
+          // Only proceed if component is still mounted on the same server
           if (
-            messagesResult.status === "fulfilled" &&
-            messagesResult.value.length > 0
+            !isMountedRef.current ||
+            requestEnvironment !== getEnvironmentId()
           ) {
-            console.log(`📥 Updating ${messagesResult.value.length} messages`);
-            messagesResult.value.forEach((message) => {
-              updateMessage(message);
-            });
+            return;
+          }
+
+          // Process messages result; the overlap window re-sends what we
+          // already have, so only changed versions reach the store
+          const messagesResult = results[0];
+          const messageUpdates =
+            messagesResult.status === "fulfilled"
+              ? dropSeenUpdates(
+                  messagesResult.value,
+                  useMessageStore.getState().getMessageByUuid,
+                )
+              : [];
+          if (messageUpdates.length > 0) {
+            console.log(`📥 Updating ${messageUpdates.length} messages`);
+            // One store write for the whole batch, new messages included
+            upsertMessages(messageUpdates);
           } else if (messagesResult.status === "rejected") {
             handleSyncError(messagesResult.reason, "messages update");
           }
 
           // Process participants result
           const participantsResult = results[1];
-          if (
-            participantsResult.status === "fulfilled" &&
-            participantsResult.value.length > 0
-          ) {
+          const participantUpdates =
+            participantsResult.status === "fulfilled"
+              ? dropSeenUpdates(
+                  participantsResult.value,
+                  useParticipantStore.getState().findParticipant,
+                )
+              : [];
+          if (participantUpdates.length > 0) {
             console.log(
-              `👥 Updating ${participantsResult.value.length} participants`,
+              `👥 Updating ${participantUpdates.length} participants`,
             );
-            participantsResult.value.forEach((participant) => {
-              updateParticipant(participant);
-            });
+            // Joins and departures show up inline in the message list
+            useSystemEventStore
+              .getState()
+              .addParticipantEvents(upsertParticipants(participantUpdates));
           } else if (participantsResult.status === "rejected") {
             handleSyncError(participantsResult.reason, "participants update");
           }
 
-          // Update timestamp only if at least one operation succeeded
+          // Advance the cursor only when both feeds answered, or the one
+          // that failed would skip its missed updates
           if (
-            messagesResult.status === "fulfilled" ||
+            messagesResult.status === "fulfilled" &&
             participantsResult.status === "fulfilled"
           ) {
-            setLastUpdateTime(Date.now());
+            setLastUpdateTime(
+              advanceCursor(
+                cursor,
+                [...messagesResult.value, ...participantsResult.value],
+                {
+                  requestStartedAt,
+                  clockSkew: useSessionStore.getState().clockSkew,
+                },
+              ),
+            );
             consecutiveErrors.current = 0; // Reset error count on success
             setSyncError(null);
             setRetryCount(0);
@@ -236,9 +304,25 @@ const useChatSync = () => {
         }
       });
     },
-    [updateMessage, updateParticipant, setLastUpdateTime, handleSyncError],
+    [upsertMessages, upsertParticipants, setLastUpdateTime, handleSyncError],
   );
 
+  // The updates feed can't show what we never had: after a long pause (hours
+  // in the background, a cold start) merge the latest window, which records
+  // a gap if it doesn't reach the stored messages
+  const checkForGaps = useCallback(async () => {
+    if (useMessageStore.getState().messages.length === 0) return;
+
+    const requestEnvironment = getEnvironmentId();
+    const latest = await fetchLatestMessages();
+    if (!isMountedRef.current || requestEnvironment !== getEnvironmentId()) {
+      return;
+    }
+
+    const { gap } = mergeLatestMessages(latest);
+    if (gap) console.log(`🕳️ Missed messages detected after ${gap.olderUuid}`);
+  }, [mergeLatestMessages]);
+
   // Intelligent sync interval calculation
   const getCurrentSyncInterval = useCallback(() => {
     const now = Date.now();
@@ -248,7 +332,10 @@ const useChatSync = () => {
     // Base interval based on app state
     let interval = SYNC_INTERVALS.ACTIVE;
 
-    if (currentAppState === "background") {
+    if (realtimeConnectedRef.current) {
+      // Pushed events keep us current; polling only catches what they miss
+      interval = SYNC_INTERVALS.REALTIME;
+    } else if (currentAppState === "background") {
       interval = SYNC_INTERVALS.BACKGROUND;
     } else if (timeSinceActivity > ACTIVITY_TIMEOUT) {
       interval = SYNC_INTERVALS.IDLE;
@@ -259,7 +346,8 @@ const useChatSync = () => {
       interval *= Math.min(consecutiveErrors.current, 5); // Cap multiplier at 5x
     }
 
-    return interval;
+    // Never wake up before the server's rate-limit window resets
+    return Math.max(interval, getRateLimitDelay());
   }, []);
 
   // Throttled sync function - create base function first
@@ -267,6 +355,13 @@ const useChatSync = () => {
     // Prevent overlapping syncs
     if (syncInProgress.current || !isMountedRef.current) return;
 
+    // The server asked us to back off; the schedule resumes at the reset
+    const rateLimitDelay = getRateLimitDelay();
+    if (rateLimitDelay > 0) {
+      console.log(`🚦 Sync paused by rate limit for ${rateLimitDelay}ms`);
+      return;
+    }
+
     // Rate limiting - don't sync too frequently
     const now = Date.now();
     const timeSinceLastSync = now - lastSyncAttempt.current;
@@ -282,12 +377,23 @@ const useChatSync = () => {
     lastSyncAttempt.current = now;
     syncInProgress.current = true;
     setIsSyncing(true);
+    const requestEnvironment = getEnvironmentId();
 
     try {
       // Check server info first (lightweight operation)
+      const infoRequestedAt = Date.now();
       const serverInfo = await fetchServerInfo();
 
-      if (!isMountedRef.current) return;
+      if (!isMountedRef.current || requestEnvironment !== getEnvironmentId()) {
+        return;
+      }
+
+      const clockSkew = estimateClockSkew(
+        getServerTime(serverInfo),
+        infoRequestedAt,
+        Date.now(),
+      );
+      if (clockSkew !== null) setClockSkew(clockSkew);
 
       // Handle session changes
       if (sessionUuid && sessionUuid !== serverInfo.sessionUuid) {
@@ -301,17 +407,39 @@ const useChatSync = () => {
         return; // Let next sync handle the actual data fetching
       }
 
-      // Perform batch updates if we have a lastUpdateTime
-      if (lastUpdateTime) {
-        await performBatchUpdates(lastUpdateTime);
+      if (Date.now() - lastSyncedAtRef.current > GAP_CHECK_AFTER) {
+        await checkForGaps();
+      }
+
+      // Start the cursor from the newest server timestamp we hold, or the
+      // server's clock; with neither, wait for messages to arrive first
+      let cursor = lastUpdateTime;
+      if (!cursor) {
+        const { clockSkew: skew } = useSessionStore.getState();
+        const { messages, pendingChanges } = useMessageStore.getState();
+        // Pending sends and local edits carry device timestamps
+        const confirmed = messages.filter(
+          (m) => !m.uuid?.startsWith("temp-") && !pendingChanges.has(m.uuid),
+        );
+        cursor =
+          getLatestServerTime(confirmed) ||
+          (skew !== null ? Date.now() + skew : 0);
+        if (cursor) setLastUpdateTime(cursor);
+      }
+
+      if (cursor) {
+        await performBatchUpdates(cursor);
       }
+      lastSyncedAtRef.current = Date.now();
     } catch (error) {
-      if (!isMountedRef.current) return;
+      if (!isMountedRef.current || requestEnvironment !== getEnvironmentId()) {
+        return;
+      }
 
       const shouldRetry = handleSyncError(error, "sync");
 
       if (shouldRetry && retryCount < MAX_RETRY_ATTEMPTS) {
-        const delay = getRetryDelay(retryCount);
+        const delay = Math.max(getRetryDelay(retryCount), getRateLimitDelay());
         console.log(
           `🔄 Scheduling retry ${retryCount + 1}/${MAX_RETRY_ATTEMPTS} in ${delay}ms`,
         );
@@ -324,15 +452,21 @@ const useChatSync = () => {
         }, delay);
       }
     } finally {
-      syncInProgress.current = false;
-      setIsSyncing(false);
+      // After a switch the flag belongs to the new environment's sync
+      if (requestEnvironment === getEnvironmentId()) {
+        syncInProgress.current = false;
+        setIsSyncing(false);
+      }
     }
   }, [
     sessionUuid,
     lastUpdateTime,
     handleSessionChange,
     performBatchUpdates,
+    checkForGaps,
     setSession,
+    setClockSkew,
+    setLastUpdateTime,
     handleSyncError,
     getCurrentSyncInterval,
     getRetryDelay,
@@ -362,6 +496,28 @@ const useChatSync = () => {
     }, interval);
   }, [getCurrentSyncInterval, performSyncBase]);
 
+  // Push updates while a transport is connected; polling covers the rest
+  const { status: realtimeStatus, isConnected: realtimeConnected } =
+    useRealtimeUpdates({
+      enabled: isHydrated && !!sessionUuid,
+      getRetryDelay,
+      onSessionChanged: performSyncBase,
+    });
+
+  // Catch up when the transport connects or drops, then switch schedules
+  useEffect(() => {
+    if (realtimeConnectedRef.current === realtimeConnected) return;
+    realtimeConnectedRef.current = realtimeConnected;
+
+    console.log(
+      realtimeConnected
+        ? "📡 Realtime connected - slowing polling"
+        : "📡 Realtime disconnected - resuming polling",
+    );
+    performSyncBase();
+    scheduleNextSync();
+  }, [realtimeConnected, performSyncBase, scheduleNextSync]);
+
   // App state change handler
   useEffect(() => {
     const handleAppStateChange = (nextAppState) => {
@@ -395,8 +551,58 @@ const useChatSync = () => {
     return () => subscription?.remove();
   }, [performSyncBase, scheduleNextSync, updateActivity]);
 
+  // Backfill every newly recorded gap, whether sync or a refresh found it
+  useEffect(() => {
+    if (!isHydrated) return undefined;
+
+    const backfillNewGaps = (gaps) =>
+      gaps
+        .filter((gap) => gap.status === "new")
+        .forEach((gap) => backfillGap(gap.id));
+
+    backfillNewGaps(useMessageStore.getState().gaps);
+    return useMessageStore.subscribe((state) => state.gaps, backfillNewGaps);
+  }, [isHydrated]);
+
+  // A new environment starts from scratch: drop the old server's timers and
+  // backoff, then sync right away (switchEnvironment already cleared the stores)
+  useEffect(() => {
+    if (environmentRef.current === environmentId) return;
+    environmentRef.current = environmentId;
+    // Loading the persisted choice at startup is not a switch
+    if (!isHydrated) return;
+
+    console.log(`🌐 Environment changed to ${environmentId} - resyncing`);
+    clearTimeout(syncTimeoutRef.current);
+    clearTimeout(retryTimeoutRef.current);
+    syncTimeoutRef.current = null;
+    retryTimeoutRef.current = null;
+    requestDeduplicator.current?.clear();
+    syncInProgress.current = false;
+    lastSyncAttempt.current = 0;
+    lastSyncedAtRef.current = 0;
+    consecutiveErrors.current = 0;
+    setRetryCount(0);
+    setSyncError(null);
+    setIsSyncing(false);
+    performSyncBase();
+  }, [isHydrated, environmentId, performSyncBase]);
+
+  // A session restored from disk may be stale: check it against the server
+  // right away instead of waiting for the first scheduled sync
+  useEffect(() => {
+    if (!isHydrated || persistedSessionChecked.current) return;
+    persistedSessionChecked.current = true;
+
+    if (useSessionStore.getState().sessionUuid) {
+      performSyncBase();
+    }
+  }, [isHydrated, performSyncBase]);
+
   // Main sync effect
   useEffect(() => {
+    if (!isHydrated) return;
+
     if (!sessionUuid) {
       // Initial sync to get session info
       performSyncBase();
@@ -416,7 +622,7 @@ const useChatSync = () => {
         retryTimeoutRef.current = null;
       }
     };
-  }, [sessionUuid, performSyncBase, scheduleNextSync]);
+  }, [isHydrated, sessionUuid, performSyncBase, scheduleNextSync]);
 
   // Cleanup on unmount - fix ref issue by copying to variable
   useEffect(() => {
@@ -452,6 +658,7 @@ const useChatSync = () => {
     retryCount,
     manualSync,
     updateActivity,
+    realtimeStatus,
     // Expose both base and throttled sync functions
     performSync: performSyncBase, // For immediate sync needs
     performSyncThrottled: performSync, // For throttled sync needs
@@ -0,0 +1,17 @@
+// src/hooks/useEditMessage.js
+import useEditStore from "../state/editStore";
+
+const useEditMessage = () => {
+  const editing = useEditStore((state) => state.editing);
+  const startEdit = useEditStore((state) => state.startEdit);
+  const cancelEdit = useEditStore((state) => state.cancelEdit);
+
+  return {
+    editing,
+    startEdit,
+    cancelEdit,
+    isEditing: !!editing,
+  };
+};
+
+export default useEditMessage;
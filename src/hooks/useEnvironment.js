@@ -0,0 +1,52 @@
+// src/hooks/useEnvironment.js
+import { ENVIRONMENTS, getEnvironment } from "../constants/environments";
+import useEnvironmentStore from "../state/environmentStore";
+import useMessageStore from "../state/messageStore";
+import useParticipantStore from "../state/participantStore";
+import useSessionStore from "../state/sessionStore";
+import useOutboxStore from "../state/outboxStore";
+import useReplyStore from "../state/replyStore";
+import useEditStore from "../state/editStore";
+import useRateLimitStore from "../state/rateLimitStore";
+import useSystemEventStore from "../state/systemEventStore";
+import { requestQueue } from "../screens/requestQueue";
+
+/**
+ * Point the app at another server. Everything cached from the old one is
+ * dropped (including unsent messages, which belong to its session); the
+ * cleared session makes useChatSync start over and the realtime transport
+ * reconnect against the new endpoints.
+ * @returns {boolean} false when `environmentId` is unknown or already active
+ */
+export const switchEnvironment = (environmentId) => {
+  const { environmentId: currentId, setEnvironmentId } =
+    useEnvironmentStore.getState();
+  if (!ENVIRONMENTS[environmentId] || environmentId === currentId) {
+    return false;
+  }
+
+  console.log(`🌐 Switching environment: ${currentId} → ${environmentId}`);
+  requestQueue.clear();
+  useReplyStore.getState().cancelReply();
+  useEditStore.getState().cancelEdit();
+  useOutboxStore.getState().clearOutbox();
+  useRateLimitStore.getState().clearRateLimit();
+  useMessageStore.getState().clearMessages();
+  useParticipantStore.getState().clearParticipants();
+  useSystemEventStore.getState().clearSystemEvents();
+  useSessionStore.getState().clearSession();
+  setEnvironmentId(environmentId);
+  return true;
+};
+
+const useEnvironment = () => {
+  const environmentId = useEnvironmentStore((state) => state.environmentId);
+
+  return {
+    environment: getEnvironment(environmentId),
+    environments: Object.values(ENVIRONMENTS),
+    switchEnvironment,
+  };
+};
+
+export default useEnvironment;
@@ -0,0 +1,83 @@
+// src/hooks/useGapBackfill.js
+import { fetchOlderMessages } from "../api/messages";
+import { getErrorMessage, isCanceledError } from "../api/errors";
+import useMessageStore from "../state/messageStore";
+import { PRIORITIES, requestQueue } from "../screens/requestQueue";
+import { toTimestamp } from "../utils/timestamps";
+
+// Pages fetched per attempt; whatever is left waits for "Load missed messages"
+export const MAX_BACKFILL_PAGES = 5;
+
+/**
+ * Fill a gap by paging /messages/older back from its newer end until the
+ * pages reach the older end. The gap shrinks as pages arrive, so a later
+ * attempt picks up where this one stopped.
+ * @returns {Promise<boolean>} true once the gap is closed
+ */
+export const backfillGap = async (gapId) => {
+  const { getGap, updateGap, resolveGap } = useMessageStore.getState();
+  const gap = getGap(gapId);
+  if (!gap || gap.status === "loading") return false;
+
+  const older = useMessageStore.getState().getMessageByUuid(gap.olderUuid);
+  // Without a known older end, page until the server runs out of history
+  const olderTime =
+    toTimestamp(gap.olderCreatedAt) || toTimestamp(older?.createdAt) || null;
+  let cursor = gap.newerUuid;
+  updateGap(gapId, { status: "loading", error: null });
+
+  try {
+    for (let page = 0; page < MAX_BACKFILL_PAGES; page++) {
+      const messages = await requestQueue.add(
+        (signal) => fetchOlderMessages(cursor, { signal }),
+        { priority: PRIORITIES.BACKGROUND },
+      );
+      // Cleared (e.g. environment switch) while we were fetching
+      if (!getGap(gapId)) return false;
+
+      useMessageStore.getState().upsertMessages(messages);
+
+      const reached =
+        messages.length === 0 ||
+        messages.some(
+          (m) =>
+            m.uuid === gap.olderUuid ||
+            (olderTime !== null && toTimestamp(m.createdAt) <= olderTime),
+        );
+      if (reached) {
+        console.log(`🧩 Gap ${gapId} backfilled`);
+        resolveGap(gapId);
+        return true;
+      }
+
+      cursor = messages.reduce((oldest, m) =>
+        toTimestamp(m.createdAt) < toTimestamp(oldest.createdAt) ? m : oldest,
+      ).uuid;
+      updateGap(gapId, { newerUuid: cursor });
+    }
+
+    console.log(`🧩 Gap ${gapId} still open after ${MAX_BACKFILL_PAGES} pages`);
+    updateGap(gapId, { status: "idle" });
+    return false;
+  } catch (error) {
+    if (!getGap(gapId)) return false;
+    if (isCanceledError(error)) {
+      updateGap(gapId, { status: "idle" });
+    } else {
+      console.warn(`🧩 Backfill of gap ${gapId} failed:`, error.message);
+      updateGap(gapId, { status: "failed", error: getErrorMessage(error) });
+    }
+    return false;
+  }
+};
+
+/**
+ * Gaps in the loaded history and a way to fill one on demand.
+ * @returns {{gaps: Array<Object>, backfillGap: (gapId: string) => Promise<boolean>}}
+ */
+const useGapBackfill = () => {
+  const gaps = useMessageStore((state) => state.gaps);
+  return { gaps, backfillGap };
+};
+
+export default useGapBackfill;
@@ -0,0 +1,21 @@
+// src/hooks/useImageViewer.js
+import useImageViewerStore from "../state/imageViewerStore";
+
+const useImageViewer = () => {
+  const openMessageId = useImageViewerStore((state) => state.openMessageId);
+  const openAttachmentIndex = useImageViewerStore(
+    (state) => state.openAttachmentIndex,
+  );
+  const openImage = useImageViewerStore((state) => state.openImage);
+  const closeImage = useImageViewerStore((state) => state.closeImage);
+
+  return {
+    openMessageId,
+    openAttachmentIndex,
+    openImage,
+    closeImage,
+    isOpen: !!openMessageId,
+  };
+};
+
+export default useImageViewer;
@@ -0,0 +1,89 @@
+// src/hooks/useMessageActions.js
+import { useCallback } from "react";
+import { Alert, AccessibilityInfo } from "react-native";
+
+import { editMessage, deleteMessage, getErrorMessage } from "../api/messages";
+import useMessageStore from "../state/messageStore";
+import { isCanceledError } from "../api/errors";
+import { PRIORITIES, requestQueue } from "../screens/requestQueue";
+
+/**
+ * Edit and delete own messages: applied optimistically, sent through the
+ * RequestQueue and rolled back if the server refuses.
+ */
+const useMessageActions = () => {
+  const saveEdit = useCallback(async (uuid, text) => {
+    const original = useMessageStore.getState().getMessageByUuid(uuid);
+    if (!original || (text || "").trim() === original.text) return false;
+
+    if (!useMessageStore.getState().editMessageOptimistic(uuid, text)) {
+      return false;
+    }
+
+    try {
+      const updated = await requestQueue.add(
+        (signal) => editMessage(uuid, text, { signal }),
+        { priority: PRIORITIES.USER },
+      );
+      useMessageStore.getState().confirmMessageChange(uuid, updated);
+      AccessibilityInfo.announceForAccessibility("Message edited");
+      return true;
+    } catch (error) {
+      useMessageStore.getState().revertMessageChange(uuid);
+      if (isCanceledError(error)) return false;
+      Alert.alert("Failed to Edit Message", getErrorMessage(error), [
+        { text: "Retry", onPress: () => saveEdit(uuid, text) },
+        { text: "Cancel", style: "cancel" },
+      ]);
+      return false;
+    }
+  }, []);
+
+  const deleteOwnMessage = useCallback(async (uuid) => {
+    if (!useMessageStore.getState().deleteMessageOptimistic(uuid)) {
+      return false;
+    }
+
+    try {
+      const result = await requestQueue.add(
+        (signal) => deleteMessage(uuid, { signal }),
+        { priority: PRIORITIES.USER },
+      );
+      useMessageStore.getState().confirmMessageChange(uuid, result);
+      AccessibilityInfo.announceForAccessibility("Message deleted");
+      return true;
+    } catch (error) {
+      useMessageStore.getState().revertMessageChange(uuid);
+      if (isCanceledError(error)) return false;
+      Alert.alert("Failed to Delete Message", getErrorMessage(error));
+      return false;
+    }
+  }, []);
+
+  // Ask first - deleting is visible to everyone
+  const confirmDelete = useCallback(
+    (uuid) => {
+      Alert.alert(
+        "Delete Message?",
+        "This message will be deleted for everyone.",
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Delete",
+            style: "destructive",
+            onPress: () => deleteOwnMessage(uuid),
+          },
+        ],
+      );
+    },
+    [deleteOwnMessage],
+  );
+
+  return {
+    saveEdit,
+    deleteOwnMessage,
+    confirmDelete,
+  };
+};
+
+export default useMessageActions;
@@ -0,0 +1,232 @@
+// src/hooks/useOutbox.js
+import { useCallback } from "react";
+
+import { sendMessage, uploadImage } from "../api/messages";
+import { isConflictError, isRetryableError } from "../api/errors";
+import useMessageStore from "../state/messageStore";
+import useOutboxStore from "../state/outboxStore";
+import { PRIORITIES, requestQueue } from "../screens/requestQueue";
+
+// Automatic retries on reconnect; the user can always retry by hand after this
+const MAX_AUTO_ATTEMPTS = 5;
+const OWN_PARTICIPANT = { uuid: "you", name: "You" };
+
+// Uploads in flight, by tempId, so they can be canceled
+const activeUploads = new Map();
+
+export const createTempId = () =>
+  `temp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Network drops, server hiccups, rate limits and conflicts are worth
+// retrying automatically. A canceled send may still have reached the server,
+// so that one is left for the user to retry
+const shouldAutoRetry = (error) =>
+  isRetryableError(error) || isConflictError(error);
+
+const toTempMessage = (entry) => ({
+  uuid: entry.tempId,
+  text: entry.text,
+  createdAt: entry.createdAt,
+  participant: OWN_PARTICIPANT,
+  ...(entry.replyTo ? { replyToMessage: entry.replyTo } : {}),
+  // Show the local file until the upload has a hosted URL
+  ...(entry.attachment
+    ? { image: entry.uploadedUrl || entry.attachment.uri }
+    : {}),
+  status: entry.status === "failed" ? "failed" : "sending",
+  reactions: [],
+});
+
+// Upload an entry's attachment once; the URL is persisted so a restart
+// after a finished upload only has to send the message
+const uploadAttachment = async (entry) => {
+  if (!entry.attachment || entry.uploadedUrl) return entry.uploadedUrl || null;
+
+  const controller = new AbortController();
+  activeUploads.set(entry.tempId, controller);
+  let lastPercent = -1;
+
+  try {
+    const { url } = await uploadImage(entry.attachment, {
+      signal: controller.signal,
+      onProgress: (fraction) => {
+        // Only touch the store when the visible percentage changes
+        const percent = Math.round(fraction * 100);
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+        useMessageStore
+          .getState()
+          .updateMessage({ uuid: entry.tempId, uploadProgress: fraction });
+      },
+    });
+
+    useOutboxStore.getState().updateEntry(entry.tempId, { uploadedUrl: url });
+    return url;
+  } finally {
+    activeUploads.delete(entry.tempId);
+  }
+};
+
+// Send one outbox entry and swap its temp message for the server's copy
+const deliver = async (entry) => {
+  const { updateEntry, removeEntry } = useOutboxStore.getState();
+  const messageStore = useMessageStore.getState();
+
+  updateEntry(entry.tempId, {
+    status: "sending",
+    attempts: (entry.attempts || 0) + 1,
+  });
+  messageStore.updateMessage({ uuid: entry.tempId, status: "sending" });
+
+  try {
+    const imageUrl = await uploadAttachment(entry);
+    const payload = {
+      text: entry.text,
+      ...(entry.replyTo?.uuid ? { replyToMessage: entry.replyTo.uuid } : {}),
+      ...(imageUrl ? { image: imageUrl } : {}),
+    };
+    // No queue timeout: the client's own timeout and retries apply, and a
+    // send cut short here could still land and be sent again
+    const message = await requestQueue.add(
+      (signal) => sendMessage(payload, { signal }),
+      { priority: PRIORITIES.USER, timeout: 0 },
+    );
+
+    // Normalize reply locally if backend omits detailed data
+    if (payload.replyToMessage && !message.replyToMessage?.text) {
+      message.replyToMessage = entry.replyTo;
+    }
+
+    removeEntry(entry.tempId);
+
+    const { getMessageByUuid, replaceMessage, removeMessage, addMessage } =
+      useMessageStore.getState();
+    if (getMessageByUuid(message.uuid)) {
+      // A sync already brought the real message in
+      removeMessage(entry.tempId);
+    } else if (getMessageByUuid(entry.tempId)) {
+      replaceMessage(entry.tempId, message);
+    } else {
+      addMessage(message);
+    }
+
+    return message;
+  } catch (error) {
+    // Canceled uploads were discarded by the user; nothing left to mark
+    if (error.canceled && !useOutboxStore.getState().getEntry(entry.tempId)) {
+      return null;
+    }
+
+    console.warn(`📮 Outbox send failed for ${entry.tempId}:`, error.message);
+    updateEntry(entry.tempId, {
+      status: "failed",
+      retryable: shouldAutoRetry(error),
+      lastError: error.message,
+    });
+    useMessageStore.getState().updateMessage({
+      uuid: entry.tempId,
+      status: "failed",
+      uploadProgress: undefined,
+    });
+    return null;
+  }
+};
+
+/**
+ * Outgoing messages go through a persistent outbox: they show up right away
+ * as `temp-` messages and are delivered through the RequestQueue, surviving
+ * offline periods and app restarts.
+ */
+const useOutbox = () => {
+  const pendingCount = useOutboxStore((state) => state.entries.length);
+
+  const queueMessage = useCallback(
+    ({ text, replyTo = null, attachment = null }) => {
+      const trimmed = (text || "").trim();
+      if (!trimmed && !attachment) return Promise.resolve(null);
+
+      const entry = {
+        tempId: createTempId(),
+        text: trimmed,
+        replyTo,
+        attachment,
+        createdAt: Date.now(),
+        attempts: 0,
+        status: "pending",
+        retryable: true,
+      };
+
+      useOutboxStore.getState().enqueue(entry);
+      useMessageStore.getState().addMessage(toTempMessage(entry));
+
+      return deliver(entry);
+    },
+    [],
+  );
+
+  // Send everything still pending, plus failures that are safe to retry
+  const flushOutbox = useCallback(() => {
+    const { entries } = useOutboxStore.getState();
+    const ready = entries.filter(
+      (e) =>
+        e.status === "pending" ||
+        (e.status === "failed" &&
+          e.retryable &&
+          (e.attempts || 0) < MAX_AUTO_ATTEMPTS),
+    );
+
+    if (ready.length > 0) {
+      console.log(`📮 Flushing ${ready.length} outbox messages`);
+    }
+
+    return Promise.all(ready.map(deliver));
+  }, []);
+
+  // Temp messages are not persisted with messageStore; rebuild them after a restart
+  const restoreOutbox = useCallback(() => {
+    const { entries } = useOutboxStore.getState();
+    const { getMessageByUuid, addMessage } = useMessageStore.getState();
+
+    entries
+      .filter((entry) => !getMessageByUuid(entry.tempId))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .forEach((entry) => addMessage(toTempMessage(entry)));
+  }, []);
+
+  const retryMessage = useCallback((tempId) => {
+    const entry = useOutboxStore.getState().getEntry(tempId);
+    if (!entry) {
+      console.warn(`retryMessage: No outbox entry for ${tempId}`);
+      return Promise.resolve(null);
+    }
+    if (entry.status === "sending") return Promise.resolve(null);
+
+    return deliver(entry);
+  }, []);
+
+  // Discard an unsent message, canceling its upload if one is running
+  const deleteMessage = useCallback((tempId) => {
+    const entry = useOutboxStore.getState().getEntry(tempId);
+    const upload = activeUploads.get(tempId);
+    if (upload) {
+      upload.abort();
+    } else if (entry?.status === "sending") {
+      console.warn(`deleteMessage: ${tempId} is being sent`);
+      return;
+    }
+
+    useOutboxStore.getState().removeEntry(tempId);
+    useMessageStore.getState().removeMessage(tempId);
+  }, []);
+
+  return {
+    pendingCount,
+    queueMessage,
+    flushOutbox,
+    restoreOutbox,
+    retryMessage,
+    deleteMessage,
+  };
+};
+
+export default useOutbox;
@@ -0,0 +1,27 @@
+// src/hooks/useParticipant.js
+import useParticipantStore, {
+  selectParticipantByUuid,
+} from "../state/participantStore";
+
+// Messages keep `participantUuid`; older persisted or embedded copies (reply
+// quotes) may only carry the participant object
+export const getParticipantUuid = (message) =>
+  message?.participantUuid || message?.participant?.uuid || null;
+
+/**
+ * The live participant record for `uuid`, so name and avatar changes show up
+ * everywhere at once. Falls back to `fallback` (usually the copy embedded in
+ * a message) while participantStore doesn't know them.
+ */
+const useParticipant = (uuid, fallback = null) => {
+  const participant = useParticipantStore((state) =>
+    selectParticipantByUuid(state, uuid),
+  );
+  return participant || fallback;
+};
+
+/** Sender of `message`, resolved through participantStore */
+export const useMessageParticipant = (message) =>
+  useParticipant(getParticipantUuid(message), message?.participant || null);
+
+export default useParticipant;
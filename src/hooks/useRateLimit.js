@@ -0,0 +1,35 @@
+// src/hooks/useRateLimit.js
+import { useEffect, useState } from "react";
+
+import useRateLimitStore from "../state/rateLimitStore";
+
+/**
+ * Live view of the server rate-limit window, ticking once a second while
+ * requests are paused so the UI can show a countdown.
+ * @returns {{isRateLimited:boolean, secondsRemaining:number, pausedUntil:number}}
+ */
+const useRateLimit = () => {
+  const pausedUntil = useRateLimitStore((state) => state.pausedUntil);
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    setNow(Date.now());
+    if (pausedUntil <= Date.now()) return undefined;
+
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= pausedUntil) clearInterval(interval);
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [pausedUntil]);
+
+  const secondsRemaining = Math.max(0, Math.ceil((pausedUntil - now) / 1000));
+  return {
+    isRateLimited: secondsRemaining > 0,
+    secondsRemaining,
+    pausedUntil,
+  };
+};
+
+export default useRateLimit;
@@ -0,0 +1,146 @@
+// src/hooks/useRealtimeUpdates.js
+import { useEffect, useRef, useState } from "react";
+
+import { transformMessage } from "../api/messages";
+import {
+  DEFAULT_TRANSPORT,
+  REALTIME_EVENTS,
+  TRANSPORT_FALLBACKS,
+  createTransport,
+} from "../api/transports";
+import useMessageStore from "../state/messageStore";
+import useParticipantStore from "../state/participantStore";
+import useSessionStore from "../state/sessionStore";
+import useSystemEventStore from "../state/systemEventStore";
+
+// Streams resume from the last sync when they have no event id of their own
+const getLastEventId = () => useSessionStore.getState().lastUpdateTime || null;
+
+/**
+ * Apply one pushed event through the same store actions polling uses.
+ * Exported for tests and for transports that replay missed events.
+ */
+export const applyRealtimeEvent = ({ type, data }) => {
+  if (!data) return;
+
+  switch (type) {
+    case REALTIME_EVENTS.MESSAGE_CREATED:
+    case REALTIME_EVENTS.MESSAGE_UPDATED:
+    case REALTIME_EVENTS.MESSAGE_DELETED: {
+      if (!data.uuid) return;
+      const store = useMessageStore.getState();
+      // Created and updated events carry the full server message, so they
+      // need the same normalization as polled ones
+      const message =
+        type === REALTIME_EVENTS.MESSAGE_DELETED
+          ? { ...data, deleted: true }
+          : transformMessage(data);
+
+      if (store.getMessageByUuid(message.uuid)) {
+        store.updateMessage(message);
+      } else if (type === REALTIME_EVENTS.MESSAGE_CREATED) {
+        store.upsertMessages([message]);
+      }
+      break;
+    }
+
+    case REALTIME_EVENTS.PARTICIPANT_CREATED:
+    case REALTIME_EVENTS.PARTICIPANT_UPDATED:
+    case REALTIME_EVENTS.PARTICIPANT_DELETED: {
+      if (!data.uuid) return;
+      const participant =
+        type === REALTIME_EVENTS.PARTICIPANT_DELETED
+          ? { ...data, deleted: true }
+          : data;
+      useSystemEventStore
+        .getState()
+        .addParticipantEvents(
+          useParticipantStore.getState().upsertParticipants([participant]),
+        );
+      break;
+    }
+
+    case REALTIME_EVENTS.REACTION_UPDATED: {
+      const uuid = data.messageUuid || data.uuid;
+      if (!uuid || !Array.isArray(data.reactions)) return;
+      const store = useMessageStore.getState();
+      if (store.getMessageByUuid(uuid)) {
+        store.updateMessage({ uuid, reactions: data.reactions });
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+};
+
+/**
+ * Keep a realtime transport connected while `enabled`. Events go straight
+ * into the stores; `status` tells useChatSync whether it still needs to poll.
+ * A transport that gives up hands over to its TRANSPORT_FALLBACKS entry.
+ */
+const useRealtimeUpdates = ({
+  enabled,
+  type = DEFAULT_TRANSPORT,
+  getRetryDelay,
+  onSessionChanged,
+}) => {
+  const [status, setStatus] = useState("idle");
+  const [activeType, setActiveType] = useState(type);
+
+  // Start again from the preferred transport when it or `enabled` changes
+  useEffect(() => {
+    setActiveType(type);
+  }, [type, enabled]);
+
+  // Latest callback without reconnecting when its identity changes
+  const onSessionChangedRef = useRef(onSessionChanged);
+  onSessionChangedRef.current = onSessionChanged;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const transport = createTransport(activeType, {
+      getRetryDelay,
+      getLastEventId,
+    });
+    if (!transport) {
+      setStatus("unavailable");
+      return;
+    }
+
+    console.log(`📡 Connecting ${transport.name} transport`);
+    transport.connect({
+      onStatusChange: (next) => {
+        const fallback = TRANSPORT_FALLBACKS[activeType];
+        if (next === "unavailable" && fallback) {
+          console.log(`📡 Trying ${fallback} instead of ${activeType}`);
+          setActiveType(fallback);
+          return;
+        }
+        setStatus(next);
+      },
+      onEvent: (event) => {
+        if (event.type === REALTIME_EVENTS.SESSION_CHANGED) {
+          onSessionChangedRef.current?.(event.data);
+          return;
+        }
+        applyRealtimeEvent(event);
+      },
+    });
+
+    return () => {
+      transport.disconnect();
+      setStatus("idle");
+    };
+  }, [enabled, activeType, getRetryDelay]);
+
+  return {
+    status,
+    transport: activeType,
+    isConnected: status === "open",
+  };
+};
+
+export default useRealtimeUpdates;
@@ -1,18 +1,10 @@
 // src/hooks/useReply.js
-import { useState, useCallback } from "react";
+import useReplyStore from "../state/replyStore";
 
 const useReply = () => {
-  const [replyTo, setReplyTo] = useState(null);
-
-  // Set the message being replied to
-  const startReply = useCallback((message) => {
-    setReplyTo(message);
-  }, []);
-
-  // Cancel reply
-  const cancelReply = useCallback(() => {
-    setReplyTo(null);
-  }, []);
+  const replyTo = useReplyStore((state) => state.replyTo);
+  const startReply = useReplyStore((state) => state.startReply);
+  const cancelReply = useReplyStore((state) => state.cancelReply);
 
   return {
     replyTo,
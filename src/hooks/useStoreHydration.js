@@ -0,0 +1,50 @@
+// src/hooks/useStoreHydration.js
+import { useState, useEffect } from "react";
+
+import useMessageStore from "../state/messageStore";
+import useParticipantStore from "../state/participantStore";
+import useSessionStore from "../state/sessionStore";
+import useOutboxStore from "../state/outboxStore";
+import useEnvironmentStore from "../state/environmentStore";
+
+const PERSISTED_STORES = [
+  useMessageStore,
+  useParticipantStore,
+  useSessionStore,
+  useOutboxStore,
+  useEnvironmentStore,
+];
+
+// Stores without the persist middleware (e.g. mocked in tests) count as hydrated
+const isStoreHydrated = (store) => store.persist?.hasHydrated?.() ?? true;
+
+/**
+ * Returns true once every persisted store has finished loading from disk.
+ * Syncing before that would race the hydration and overwrite fresh data.
+ */
+const useStoreHydration = () => {
+  const [isHydrated, setIsHydrated] = useState(() =>
+    PERSISTED_STORES.every(isStoreHydrated),
+  );
+
+  useEffect(() => {
+    if (isHydrated) return;
+
+    const check = () => {
+      if (PERSISTED_STORES.every(isStoreHydrated)) {
+        setIsHydrated(true);
+      }
+    };
+
+    const unsubscribers = PERSISTED_STORES.map((store) =>
+      store.persist?.onFinishHydration?.(check),
+    );
+    check();
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe?.());
+  }, [isHydrated]);
+
+  return isHydrated;
+};
+
+export default useStoreHydration;
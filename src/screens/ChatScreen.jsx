@@ -5,30 +5,44 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { useFocusEffect } from '@react-navigation/native';
 
 // Store imports
-import useMessageStore from '../state/messageStore';
+import useMessageStore, { selectMessagesWithReactions } from '../state/messageStore';
 import useSessionStore from '../state/sessionStore';
+import useSystemEventStore from '../state/systemEventStore';
 
 // API imports
 import { sendReaction } from '../api/messages';
+import { isCanceledError } from '../api/errors';
 
 // Utility imports
 import { groupMessages } from '../utils/groupMessages';
 import { throttle } from '../utils/debounce';
+import { buildImageGallery, findGalleryIndex } from '../utils/imageGallery';
 
 // Hook imports
 import useChatSync from '../hooks/useChatSync';
+import useConnectionStatus from '../hooks/useConnectionStatus';
+import useOutbox from '../hooks/useOutbox';
+import useStoreHydration from '../hooks/useStoreHydration';
+import useImageViewer from '../hooks/useImageViewer';
+import useRateLimit from '../hooks/useRateLimit';
+import useGapBackfill from '../hooks/useGapBackfill';
 import { useAsyncOperation } from '../hooks/useAsyncOperation';
 import useChatRefresh from './useChatRefresh';
+import useOlderMessages from './useOlderMessages';
+import useMessageJump from './useMessageJump';
 
 // Component imports
 import MessageInput from '../components/MessageInput';
 import BottomSheet from '../components/BottomSheet';
+import ReactionDetails from '../components/ReactionDetails';
+import ParticipantDetails from '../components/ParticipantDetails';
+import ImagePreviewModal from '../components/ImagePreviewModal';
 import ConnectionBanner from '../components/ConnectionBanner';
 import MessageList from '../components/MessageList';
 
 // Constants imports
 import colors from '../constants/colors';
-import { requestQueue } from './requestQueue';
+import { PRIORITIES, requestQueue } from './requestQueue';
 
 const REACTION_THROTTLE_MS = 1000;
 
@@ -90,10 +104,20 @@ class EnhancedErrorBoundary extends React.Component {
 }
 
 const ChatScreen = () => {
-  const { messages, setMessages, addReactionOptimistic, confirmReaction, revertReaction, clearStaleOptimisticUpdates } =
-    useMessageStore();
+  const {
+    mergeLatestMessages,
+    addReactionOptimistic,
+    removeReactionOptimistic,
+    confirmReaction,
+    revertReaction,
+    clearStaleOptimisticUpdates,
+  } = useMessageStore();
+  // Pending reactions are overlaid so taps show up before the server answers
+  const messages = useMessageStore(selectMessagesWithReactions);
   // Removed participants usage as groupMessages now only needs messages
   const { sessionUuid } = useSessionStore();
+  // Join/leave notices rendered between messages
+  const systemEvents = useSystemEventStore((state) => state.events);
 
   const [bottomSheets, setBottomSheets] = useState({
     reaction: { visible: false, messageId: null, reaction: null },
@@ -106,10 +130,34 @@ const ChatScreen = () => {
   const { execute: executeSyncOperation } = useAsyncOperation();
 
   const { refreshing, connectionStatus, syncError, performRefresh, throttledRefresh } = useChatRefresh(
-    setMessages,
+    mergeLatestMessages,
     executeSyncOperation
   );
 
+  const { loadingOlder, hasMoreOlder, loadOlder, loadUntil } = useOlderMessages();
+  const { jumpTarget, highlightedId, jumpToMessage } = useMessageJump(loadUntil);
+  const { isOnline } = useConnectionStatus();
+  const { secondsRemaining: rateLimitSeconds } = useRateLimit();
+  const { gaps, backfillGap } = useGapBackfill();
+  const isHydrated = useStoreHydration();
+  const { flushOutbox, restoreOutbox, retryMessage, deleteMessage } = useOutbox();
+  const {
+    openMessageId: openImageId,
+    openAttachmentIndex,
+    isOpen: isImageOpen,
+    closeImage,
+  } = useImageViewer();
+
+  // Bring back unsent messages from a previous run
+  useEffect(() => {
+    if (isHydrated) restoreOutbox();
+  }, [isHydrated, restoreOutbox]);
+
+  // Deliver queued messages whenever we are (back) online
+  useEffect(() => {
+    if (isHydrated && isOnline) flushOutbox();
+  }, [isHydrated, isOnline, flushOutbox]);
+
   const processedMessages = useMemo(() => {
     if (!messages?.length) return [];
     try {
@@ -120,6 +168,12 @@ const ChatScreen = () => {
     }
   }, [messages]);
 
+  // Only build the gallery while the viewer is open
+  const imageGallery = useMemo(
+    () => (isImageOpen ? buildImageGallery(messages) : []),
+    [isImageOpen, messages]
+  );
+
   const handleAppStateChange = useCallback(
     nextAppState => {
       if (appStateRef.current.match(/inactive|background/) && nextAppState === 'active') {
@@ -135,28 +189,36 @@ const ChatScreen = () => {
     return () => sub?.remove();
   }, [handleAppStateChange]);
 
+  // Adds or removes one of our reactions; chips toggle, the reaction row only adds
   const handleReactBase = useCallback(
-    async (messageId, emoji) => {
+    async (messageId, emoji, isAdding = true) => {
+      const verb = isAdding ? 'add' : 'remove';
       try {
         if (messageId.startsWith('temp-')) {
-          Alert.alert('Message Still Sending', 'Please wait for the message to send before adding reactions.');
+          Alert.alert('Message Still Sending', 'Please wait for the message to send before changing reactions.');
           return;
         }
-        const optimisticId = addReactionOptimistic(messageId, emoji, 'you');
+        const optimisticId = isAdding
+          ? addReactionOptimistic(messageId, emoji, 'you')
+          : removeReactionOptimistic(messageId, emoji, 'you');
+        // Already in that state (or still pending) - nothing to send
+        if (!optimisticId) return;
         await executeReactionOperation(
-          async () => requestQueue.add(() => sendReaction(messageId, emoji, true)),
+          async () =>
+            requestQueue.add(signal => sendReaction(messageId, emoji, isAdding, { signal }), {
+              priority: PRIORITIES.REACTION,
+            }),
           res => {
             confirmReaction(optimisticId, res);
-            AccessibilityInfo.announceForAccessibility(`Added ${emoji} reaction`);
+            AccessibilityInfo.announceForAccessibility(`${isAdding ? 'Added' : 'Removed'} ${emoji} reaction`);
           },
           err => {
             revertReaction(optimisticId);
-            if (err?.response?.status === 409) {
-              console.warn('Reaction conflict - retrying automatically');
-              return;
-            }
-            Alert.alert('Failed to Add Reaction', 'Please try again.', [
-              { text: 'Retry', onPress: () => handleReactBase(messageId, emoji) },
+            if (isCanceledError(err)) return;
+            AccessibilityInfo.announceForAccessibility(`Could not ${verb} ${emoji} reaction`);
+            // Conflicts get here only once the queue's retries are spent
+            Alert.alert(`Failed to ${isAdding ? 'Add' : 'Remove'} Reaction`, 'Please try again.', [
+              { text: 'Retry', onPress: () => handleReactBase(messageId, emoji, isAdding) },
               { text: 'Cancel', style: 'cancel' },
             ]);
           }
@@ -165,7 +227,7 @@ const ChatScreen = () => {
         console.error('Reaction error:', error);
       }
     },
-    [addReactionOptimistic, executeReactionOperation, confirmReaction, revertReaction]
+    [addReactionOptimistic, removeReactionOptimistic, executeReactionOperation, confirmReaction, revertReaction]
   );
 
   const handleReact = useMemo(() => throttle(handleReactBase, REACTION_THROTTLE_MS), [handleReactBase]);
@@ -185,11 +247,21 @@ const ChatScreen = () => {
     });
   }, []);
 
+  // Close the profile first so the highlighted message isn't hidden behind it
+  const handleParticipantMessagePress = useCallback(
+    uuid => {
+      closeBottomSheets();
+      jumpToMessage(uuid);
+    },
+    [closeBottomSheets, jumpToMessage]
+  );
+
   useFocusEffect(
     useCallback(() => {
       if (sessionUuid && processedMessages.length === 0) throttledRefresh();
       clearStaleOptimisticUpdates();
-      return () => requestQueue.clear();
+      // Sends, edits and deletes the user is waiting on keep going in the background
+      return () => requestQueue.clear([PRIORITIES.REACTION, PRIORITIES.BACKGROUND]);
     }, [sessionUuid, processedMessages.length, throttledRefresh, clearStaleOptimisticUpdates])
   );
 
@@ -212,7 +284,7 @@ const ChatScreen = () => {
     <EnhancedErrorBoundary>
       <SafeAreaView style={styles.container}>
         <View style={styles.chatContainer}>
-          <ConnectionBanner status={connectionStatus} onRetry={performRefresh} />
+          <ConnectionBanner status={connectionStatus} onRetry={performRefresh} rateLimitSeconds={rateLimitSeconds} />
 
           {syncLoading && (
             <View style={styles.syncBanner}>
@@ -228,14 +300,46 @@ const ChatScreen = () => {
             onReact={handleReact}
             onReactionPress={handleReactionPress}
             onParticipantPress={handleParticipantPress}
+            onRetryMessage={retryMessage}
+            onDeleteMessage={deleteMessage}
+            onReplyPress={jumpToMessage}
+            scrollTarget={jumpTarget}
+            highlightedId={highlightedId}
             refreshing={refreshing}
             onRefresh={throttledRefresh}
+            onLoadOlder={loadOlder}
+            loadingOlder={loadingOlder}
+            hasMoreOlder={hasMoreOlder}
+            gaps={gaps}
+            onLoadGap={backfillGap}
+            systemEvents={systemEvents}
           />
 
           <MessageInput />
 
-          <BottomSheet visible={bottomSheets.reaction.visible} onClose={closeBottomSheets} title="Reaction Details" />
-          <BottomSheet visible={bottomSheets.participant.visible} onClose={closeBottomSheets} title="Participant Details" />
+          <ImagePreviewModal
+            visible={isImageOpen}
+            images={imageGallery}
+            initialIndex={findGalleryIndex(imageGallery, openImageId, openAttachmentIndex)}
+            onClose={closeImage}
+          />
+
+          <BottomSheet visible={bottomSheets.reaction.visible} onClose={closeBottomSheets} title="Reaction Details">
+            {bottomSheets.reaction.visible && (
+              <ReactionDetails
+                messageId={bottomSheets.reaction.messageId}
+                initialEmoji={bottomSheets.reaction.reaction?.emoji}
+              />
+            )}
+          </BottomSheet>
+          <BottomSheet visible={bottomSheets.participant.visible} onClose={closeBottomSheets} title="Participant Details">
+            {bottomSheets.participant.visible && (
+              <ParticipantDetails
+                participant={bottomSheets.participant.participant}
+                onMessagePress={handleParticipantMessagePress}
+              />
+            )}
+          </BottomSheet>
         </View>
       </SafeAreaView>
     </EnhancedErrorBoundary>
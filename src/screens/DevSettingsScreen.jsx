@@ -0,0 +1,222 @@
+// src/screens/DevSettingsScreen.jsx
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  AccessibilityInfo,
+  Switch,
+} from 'react-native';
+
+import useEnvironment from '../hooks/useEnvironment';
+import { getMockServer } from '../api/mock';
+import colors from '../constants/colors';
+
+// Random failures while "flaky server" is on
+const FLAKY_FAILURE_RATES = { 409: 0.05, 429: 0.05, 500: 0.05 };
+const INJECTABLE_STATUSES = [409, 429, 500];
+
+// Controls for the in-process mock server, shown while it is active
+const MockServerControls = () => {
+  const server = getMockServer();
+  const [flaky, setFlaky] = useState(
+    () => Object.keys(server.getOptions().failureRates).length > 0
+  );
+
+  const handleFlakyChange = useCallback(
+    (value) => {
+      setFlaky(value);
+      server.configure({ failureRates: value ? FLAKY_FAILURE_RATES : {} });
+    },
+    [server]
+  );
+
+  const announce = (message) =>
+    AccessibilityInfo.announceForAccessibility(message);
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Mock server</Text>
+      <View style={styles.row}>
+        <Text style={[styles.name, styles.details]}>Flaky server</Text>
+        <Switch
+          value={flaky}
+          onValueChange={handleFlakyChange}
+          accessibilityLabel="Randomly fail requests with 409, 429 and 500"
+        />
+      </View>
+      <View style={styles.actions}>
+        {INJECTABLE_STATUSES.map((status) => (
+          <TouchableOpacity
+            key={status}
+            style={styles.actionButton}
+            onPress={() => {
+              server.failNext(status);
+              announce(`Next request will fail with ${status}`);
+            }}
+            accessibilityRole="button"
+            accessibilityLabel={`Fail next request with ${status}`}
+          >
+            <Text style={styles.actionText}>Fail next {status}</Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => {
+            server.rotateSession();
+            announce('Mock session rotated');
+          }}
+          accessibilityRole="button"
+          accessibilityLabel="Rotate mock session"
+        >
+          <Text style={styles.actionText}>Rotate session</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+/**
+ * Hidden developer settings: pick which server environment the app talks to.
+ * Reached by long-pressing the chat title or via tribechatapp://dev-settings.
+ */
+const DevSettingsScreen = ({ onSwitched }) => {
+  const { environment, environments, switchEnvironment } = useEnvironment();
+
+  const handleSelect = useCallback(
+    (target) => {
+      if (target.id === environment.id) return;
+
+      Alert.alert(
+        `Switch to ${target.name}?`,
+        'Cached messages, participants and unsent messages will be cleared.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Switch',
+            style: 'destructive',
+            onPress: () => {
+              if (!switchEnvironment(target.id)) return;
+              AccessibilityInfo.announceForAccessibility(
+                `Switched to ${target.name}`
+              );
+              onSwitched?.(target);
+            },
+          },
+        ]
+      );
+    },
+    [environment.id, switchEnvironment, onSwitched]
+  );
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.sectionTitle}>Server environment</Text>
+      <View accessibilityRole="radiogroup">
+        {environments.map((item) => {
+          const selected = item.id === environment.id;
+          return (
+            <TouchableOpacity
+              key={item.id}
+              style={[styles.row, selected && styles.rowSelected]}
+              onPress={() => handleSelect(item)}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: selected }}
+              accessibilityLabel={`${item.name} environment`}
+              accessibilityHint={
+                selected ? undefined : 'Double tap to switch servers'
+              }
+            >
+              <View style={[styles.radio, selected && styles.radioSelected]} />
+              <View style={styles.details}>
+                <Text style={styles.name}>{item.name}</Text>
+                <Text style={styles.url} numberOfLines={1}>
+                  {item.apiUrl}
+                </Text>
+                <Text style={styles.url} numberOfLines={1}>
+                  {item.wsUrl}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      {environment.mock && <MockServerControls />}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 16,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textMuted,
+    textTransform: 'uppercase',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+  },
+  rowSelected: {
+    borderColor: colors.primary,
+  },
+  radio: {
+    width: 18,
+    height: 18,
+    borderRadius: 9,
+    borderWidth: 2,
+    borderColor: colors.border,
+    marginRight: 12,
+  },
+  radioSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  details: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.text,
+  },
+  url: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  section: {
+    marginTop: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  actionButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    backgroundColor: colors.surface,
+  },
+  actionText: {
+    color: colors.primary,
+    fontWeight: '500',
+  },
+});
+
+export default DevSettingsScreen;
@@ -1,8 +1,10 @@
-import { requestQueue } from '../requestQueue';
+import { PRIORITIES, RequestQueue, requestQueue } from '../requestQueue';
+import useRateLimitStore from '../../state/rateLimitStore';
 
 describe('RequestQueue', () => {
   afterEach(() => {
     requestQueue.clear();
+    useRateLimitStore.getState().clearRateLimit();
   });
 
   it('processes requests sequentially', async () => {
@@ -43,4 +45,142 @@ describe('RequestQueue', () => {
     expect(request).toHaveBeenCalledTimes(2);
     jest.useRealTimers();
   });
+
+  it('holds requests until the rate-limit window resets', async () => {
+    jest.useFakeTimers();
+    useRateLimitStore.getState().pauseUntil(Date.now() + 5000);
+    const request = jest.fn().mockResolvedValue('ok');
+
+    const promise = requestQueue.add(request);
+    await jest.advanceTimersByTimeAsync(4900);
+    expect(request).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(200);
+    await expect(promise).resolves.toBe('ok');
+    expect(request).toHaveBeenCalledTimes(1);
+    jest.useRealTimers();
+  });
+
+  it('gives up on conflicts once the retry budget is spent', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const queue = new RequestQueue({ maxConflictRetries: 2 });
+    const conflict = Object.assign(new Error('Conflict'), {
+      response: { status: 409 },
+    });
+    const request = jest.fn().mockRejectedValue(conflict);
+
+    const promise = queue.add(request);
+    promise.catch(() => {});
+    await jest.advanceTimersByTimeAsync(5000);
+
+    await expect(promise).rejects.toBe(conflict);
+    expect(request).toHaveBeenCalledTimes(3);
+    jest.useRealTimers();
+    console.warn.mockRestore();
+  });
+});
+
+describe('RequestQueue lanes', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise((r) => (resolve = r));
+    return { promise, resolve };
+  };
+
+  it('does not hold a user send behind a slow reaction', async () => {
+    const queue = new RequestQueue();
+    const slowReaction = deferred();
+
+    const reaction = queue.add(() => slowReaction.promise, {
+      priority: PRIORITIES.REACTION,
+    });
+    await expect(
+      queue.add(() => Promise.resolve('sent'), { priority: PRIORITIES.USER })
+    ).resolves.toBe('sent');
+
+    slowReaction.resolve('reacted');
+    await expect(reaction).resolves.toBe('reacted');
+  });
+
+  it('serves higher priority lanes first when slots are scarce', async () => {
+    const queue = new RequestQueue({ maxConcurrent: 1 });
+    const first = deferred();
+    const order = [];
+    const track = (id) => () => {
+      order.push(id);
+      return Promise.resolve(id);
+    };
+
+    const blocking = queue.add(() => first.promise);
+    const background = queue.add(track('sync'));
+    const reaction = queue.add(track('reaction'), {
+      priority: PRIORITIES.REACTION,
+    });
+    const send = queue.add(track('send'), { priority: PRIORITIES.USER });
+
+    first.resolve();
+    await Promise.all([blocking, background, reaction, send]);
+    expect(order).toEqual(['send', 'reaction', 'sync']);
+  });
+
+  it('times out a request and aborts its signal', async () => {
+    jest.useFakeTimers();
+    const queue = new RequestQueue();
+    let signal;
+
+    const promise = queue.add(
+      (s) => {
+        signal = s;
+        return new Promise(() => {});
+      },
+      { timeout: 1000 }
+    );
+    promise.catch(() => {});
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(promise).rejects.toMatchObject({ kind: 'timeout' });
+    expect(signal.aborted).toBe(true);
+    expect(queue.size).toBe(0);
+    jest.useRealTimers();
+  });
+
+  it('cancels queued requests through their signal', async () => {
+    const queue = new RequestQueue();
+    const running = deferred();
+    const controller = new AbortController();
+    const request = jest.fn();
+
+    queue.add(() => running.promise);
+    const canceled = queue.add(request, { signal: controller.signal });
+    controller.abort();
+
+    await expect(canceled).rejects.toMatchObject({ canceled: true });
+    running.resolve();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  it('rejects everything outstanding on clear', async () => {
+    const queue = new RequestQueue();
+    const running = queue.add(() => new Promise(() => {}));
+    const queued = queue.add(() => Promise.resolve('never'));
+
+    queue.clear();
+
+    await expect(running).rejects.toMatchObject({ canceled: true });
+    await expect(queued).rejects.toMatchObject({ canceled: true });
+    expect(queue.size).toBe(0);
+  });
+
+  it('leaves other lanes running when clearing some', async () => {
+    const queue = new RequestQueue();
+    const send = queue.add(() => Promise.resolve('sent'), { priority: PRIORITIES.USER });
+    const refresh = queue.add(() => new Promise(() => {}), { priority: PRIORITIES.BACKGROUND });
+
+    queue.clear([PRIORITIES.REACTION, PRIORITIES.BACKGROUND]);
+
+    await expect(refresh).rejects.toMatchObject({ canceled: true });
+    await expect(send).resolves.toBe('sent');
+  });
 });
@@ -7,23 +7,24 @@ jest.mock('../../api/messages', () => ({
 }));
 
 jest.mock('../requestQueue', () => ({
+  PRIORITIES: { USER: 'user', REACTION: 'reaction', BACKGROUND: 'background' },
   requestQueue: { add: jest.fn((fn) => fn()) },
 }));
 
 describe('useChatRefresh', () => {
-  it('fetches messages and updates state', async () => {
-    const setMessages = jest.fn();
+  it('merges the latest messages into the store', async () => {
+    const mergeMessages = jest.fn();
     const execute = (fn, onSuccess, onError) => fn().then(onSuccess).catch(onError);
     let hook;
     const Test = () => {
-      hook = useChatRefresh(setMessages, execute);
+      hook = useChatRefresh(mergeMessages, execute);
       return null;
     };
     render(<Test />);
     await act(async () => {
       await hook.performRefresh();
     });
-    expect(setMessages).toHaveBeenCalledWith([{ uuid: '1' }]);
+    expect(mergeMessages).toHaveBeenCalledWith([{ uuid: '1' }]);
     expect(hook.connectionStatus).toBe('connected');
   });
 });
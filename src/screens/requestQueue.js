@@ -1,49 +1,193 @@
 // src/screens/requestQueue.js
-// Handles sequential API requests and retries conflicts
+// Runs API requests in priority lanes, retrying conflicts within a budget
+import { API_ERROR_KINDS, ApiError, isConflictError } from '../api/errors';
+import { getRateLimitDelay } from '../api/rateLimit';
+
+// Lanes, highest priority first
+export const PRIORITIES = {
+  USER: 'user', // sends, edits and deletes the user is waiting on
+  REACTION: 'reaction',
+  BACKGROUND: 'background', // refreshes, history and sync
+};
+const LANE_ORDER = [PRIORITIES.USER, PRIORITIES.REACTION, PRIORITIES.BACKGROUND];
+
+const DEFAULT_OPTIONS = {
+  // Requests running at once per lane; one user lane slot keeps sends in order
+  lanes: { [PRIORITIES.USER]: 1, [PRIORITIES.REACTION]: 2, [PRIORITIES.BACKGROUND]: 1 },
+  // Across all lanes; lanes are served in priority order when this is the limit
+  maxConcurrent: 4,
+  // Longer than the API client's own timeout plus its retries
+  timeout: 60000,
+  maxConflictRetries: 3,
+  conflictRetryDelay: 1000,
+};
+
+const canceledError = (message = 'Request canceled') =>
+  new ApiError(message, { kind: API_ERROR_KINDS.CANCELED });
 
 class RequestQueue {
-  constructor() {
-    this.queue = [];
-    this.processing = false;
-    this.maxConcurrent = 1;
+  constructor(options = {}) {
+    const { lanes, ...rest } = { ...DEFAULT_OPTIONS, ...options };
+    const concurrency = { ...DEFAULT_OPTIONS.lanes, ...lanes };
+
+    this.options = rest;
+    this.maxConcurrent = rest.maxConcurrent;
+    this.lanes = {};
+    LANE_ORDER.forEach((priority) => {
+      this.lanes[priority] = { concurrency: concurrency[priority], queue: [], active: 0 };
+    });
+    this.active = new Set();
+    this.waiting = new Set(); // backing off after a conflict
+    this.pauseTimer = null;
   }
 
-  async add(request) {
+  /**
+   * Queue a request. It is called with an AbortSignal that fires on
+   * timeout, cancellation or `clear()`; pass it on to the API call.
+   * @param {(signal: AbortSignal) => Promise<*>} request
+   * @param {{priority?: string, timeout?: number, signal?: AbortSignal}} [options]
+   *   `priority` is one of PRIORITIES (default background), `timeout` in ms
+   *   (0 disables it) and `signal` cancels the request from outside
+   * @returns {Promise<*>} rejects with a canceled or timeout ApiError when cut short
+   */
+  add(request, { priority = PRIORITIES.BACKGROUND, timeout = this.options.timeout, signal } = {}) {
+    const lane = this.lanes[priority];
+    if (!lane) return Promise.reject(new Error(`Unknown request priority: ${priority}`));
+    if (signal?.aborted) return Promise.reject(canceledError());
+
     return new Promise((resolve, reject) => {
-      this.queue.push({ request, resolve, reject, timestamp: Date.now() });
+      const entry = { request, resolve, reject, priority, timeout, signal, conflicts: 0, timestamp: Date.now() };
+      entry.onAbort = () => this.cancel(entry, canceledError());
+      signal?.addEventListener?.('abort', entry.onAbort);
+
+      lane.queue.push(entry);
       this.process();
     });
   }
 
-  async process() {
-    if (this.processing || this.queue.length === 0) return;
+  process() {
+    // Hold everything until the server's rate-limit window resets
+    const pause = getRateLimitDelay();
+    if (pause > 0) {
+      if (!this.pauseTimer) {
+        this.pauseTimer = setTimeout(() => {
+          this.pauseTimer = null;
+          this.process();
+        }, pause);
+      }
+      return;
+    }
+
+    while (this.active.size < this.maxConcurrent) {
+      const lane = LANE_ORDER.map((priority) => this.lanes[priority]).find(
+        (candidate) => candidate.queue.length > 0 && candidate.active < candidate.concurrency
+      );
+      if (!lane) return;
+      this.run(lane.queue.shift());
+    }
+  }
 
-    this.processing = true;
-    const { request, resolve, reject } = this.queue.shift();
+  async run(entry) {
+    const lane = this.lanes[entry.priority];
+    lane.active += 1;
+    this.active.add(entry);
+
+    entry.controller = new AbortController();
+    if (entry.timeout > 0) {
+      entry.timer = setTimeout(() => {
+        this.cancel(
+          entry,
+          new ApiError(`Request timed out after ${entry.timeout}ms`, { kind: API_ERROR_KINDS.TIMEOUT })
+        );
+      }, entry.timeout);
+    }
 
     try {
-      const result = await request();
-      resolve(result);
+      const result = await entry.request(entry.controller.signal);
+      this.settle(entry, null, result);
     } catch (error) {
-      if (error?.response?.status === 409) {
-        console.warn('Request conflict detected, retrying...', error.message);
-        setTimeout(() => {
-          this.queue.unshift({ request, resolve, reject, timestamp: Date.now() });
-          this.processing = false;
-          this.process();
-        }, 1000);
-        return;
+      if (!entry.settled && isConflictError(error) && entry.conflicts < this.options.maxConflictRetries) {
+        entry.conflicts += 1;
+        console.warn(
+          `Request conflict detected, retrying (${entry.conflicts}/${this.options.maxConflictRetries})...`,
+          error.message
+        );
+        this.retryLater(entry);
+      } else {
+        this.settle(entry, error);
       }
-      reject(error);
     } finally {
-      this.processing = false;
-      setTimeout(() => this.process(), 100);
+      clearTimeout(entry.timer);
+      this.release(entry);
+      this.process();
     }
   }
 
-  clear() {
-    this.queue = [];
-    this.processing = false;
+  // Back at the front of its lane once the conflict has had time to clear
+  retryLater(entry) {
+    this.waiting.add(entry);
+    entry.retryTimer = setTimeout(() => {
+      this.waiting.delete(entry);
+      this.lanes[entry.priority].queue.unshift(entry);
+      this.process();
+    }, this.options.conflictRetryDelay);
+  }
+
+  release(entry) {
+    if (!this.active.delete(entry)) return;
+    this.lanes[entry.priority].active -= 1;
+  }
+
+  settle(entry, error, result) {
+    if (entry.settled) return;
+    entry.settled = true;
+    clearTimeout(entry.timer);
+    clearTimeout(entry.retryTimer);
+    entry.signal?.removeEventListener?.('abort', entry.onAbort);
+    if (error) entry.reject(error);
+    else entry.resolve(result);
+  }
+
+  // Stop an entry wherever it is; a running request frees its slot right away
+  cancel(entry, error) {
+    if (entry.settled) return;
+
+    const { queue } = this.lanes[entry.priority];
+    const index = queue.indexOf(entry);
+    if (index !== -1) queue.splice(index, 1);
+    this.waiting.delete(entry);
+    if (this.active.has(entry)) {
+      entry.controller.abort();
+      this.release(entry);
+    }
+
+    this.settle(entry, error);
+    this.process();
+  }
+
+  /** Number of requests queued, running or waiting to retry */
+  get size() {
+    const queued = LANE_ORDER.reduce((total, priority) => total + this.lanes[priority].queue.length, 0);
+    return queued + this.active.size + this.waiting.size;
+  }
+
+  /**
+   * Reject everything outstanding in the given lanes (all by default) so no
+   * caller is left waiting forever.
+   * @param {string[]} [priorities]
+   */
+  clear(priorities = LANE_ORDER) {
+    if (priorities.length === LANE_ORDER.length) {
+      clearTimeout(this.pauseTimer);
+      this.pauseTimer = null;
+    }
+
+    const entries = [...this.active, ...this.waiting].filter((entry) => priorities.includes(entry.priority));
+    priorities.forEach((priority) => {
+      entries.push(...this.lanes[priority].queue);
+      this.lanes[priority].queue = [];
+    });
+    entries.forEach((entry) => this.cancel(entry, canceledError('Request queue cleared')));
   }
 }
 
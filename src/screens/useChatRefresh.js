@@ -2,12 +2,18 @@
 import { useState, useCallback, useMemo } from 'react';
 import { Alert, AccessibilityInfo } from 'react-native';
 import { fetchLatestMessages } from '../api/messages';
+import { isCanceledError, isConflictError } from '../api/errors';
 import { throttle } from '../utils/debounce';
-import { requestQueue } from './requestQueue';
+import { PRIORITIES, requestQueue } from './requestQueue';
 
 const REFRESH_THROTTLE_MS = 2000;
 
-export default function useChatRefresh(setMessages, executeSyncOperation) {
+/**
+ * Pull-to-refresh. The latest window is handed to `mergeMessages` (the
+ * store's mergeLatestMessages) so refreshing never drops older pages,
+ * pending sends or local edits.
+ */
+export default function useChatRefresh(mergeMessages, executeSyncOperation) {
   const [state, setState] = useState({
     refreshing: false,
     connectionStatus: 'connected',
@@ -21,15 +27,20 @@ export default function useChatRefresh(setMessages, executeSyncOperation) {
 
     try {
       await executeSyncOperation(
-        async () => requestQueue.add(() => fetchLatestMessages()),
+        async () =>
+          requestQueue.add((signal) => fetchLatestMessages({ signal }), {
+            priority: PRIORITIES.BACKGROUND,
+          }),
         (result) => {
-          setMessages(result);
+          mergeMessages(result);
           setState((prev) => ({ ...prev, connectionStatus: 'connected' }));
           AccessibilityInfo.announceForAccessibility(
             `Loaded ${result.length} messages`
           );
         },
         (error) => {
+          // Cleared with the queue (screen blurred); nothing went wrong
+          if (isCanceledError(error)) return;
           console.error('Failed to refresh messages:', error);
           setState((prev) => ({
             ...prev,
@@ -37,7 +48,7 @@ export default function useChatRefresh(setMessages, executeSyncOperation) {
             connectionStatus: 'disconnected',
           }));
 
-          if (error?.response?.status !== 409) {
+          if (!isConflictError(error)) {
             Alert.alert(
               'Connection Error',
               'Unable to refresh messages. Please check your internet connection.',
@@ -54,7 +65,7 @@ export default function useChatRefresh(setMessages, executeSyncOperation) {
     } finally {
       setState((prev) => ({ ...prev, refreshing: false }));
     }
-  }, [state.refreshing, executeSyncOperation, setMessages]);
+  }, [state.refreshing, executeSyncOperation, mergeMessages]);
 
   const throttledRefresh = useMemo(
     () => throttle(performRefresh, REFRESH_THROTTLE_MS),
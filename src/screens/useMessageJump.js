@@ -0,0 +1,64 @@
+// src/screens/useMessageJump.js
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { Alert, AccessibilityInfo } from 'react-native';
+import useMessageStore from '../state/messageStore';
+
+const HIGHLIGHT_DURATION_MS = 2000;
+
+/**
+ * Scroll-to-message state for MessageList. `loadUntil` is used to fetch
+ * history when the target is not loaded yet.
+ */
+export default function useMessageJump(loadUntil) {
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const highlightTimeoutRef = useRef(null);
+
+  useEffect(
+    () => () => {
+      if (highlightTimeoutRef.current)
+        clearTimeout(highlightTimeoutRef.current);
+    },
+    []
+  );
+
+  const jumpToMessage = useCallback(
+    async (uuid) => {
+      if (!uuid) return false;
+
+      let target = useMessageStore.getState().getMessageByUuid(uuid);
+      if (!target && loadUntil) {
+        AccessibilityInfo.announceForAccessibility('Loading original message');
+        target = await loadUntil(uuid);
+      }
+
+      if (!target) {
+        Alert.alert(
+          'Message Unavailable',
+          'The original message could not be found.'
+        );
+        return false;
+      }
+
+      // New object every time so tapping the same message scrolls again
+      setJumpTarget({ uuid, requestedAt: Date.now() });
+      setHighlightedId(uuid);
+
+      if (highlightTimeoutRef.current)
+        clearTimeout(highlightTimeoutRef.current);
+      highlightTimeoutRef.current = setTimeout(() => {
+        setHighlightedId(null);
+        highlightTimeoutRef.current = null;
+      }, HIGHLIGHT_DURATION_MS);
+
+      return true;
+    },
+    [loadUntil]
+  );
+
+  return {
+    jumpTarget,
+    highlightedId,
+    jumpToMessage,
+  };
+}
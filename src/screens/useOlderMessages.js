@@ -0,0 +1,102 @@
+// src/screens/useOlderMessages.js
+import { useState, useCallback, useRef } from 'react';
+import { AccessibilityInfo } from 'react-native';
+import { fetchOlderMessages } from '../api/messages';
+import { isCanceledError } from '../api/errors';
+import useMessageStore from '../state/messageStore';
+import { PRIORITIES, requestQueue } from './requestQueue';
+
+// Upper bound on pages fetched while looking for one specific message
+const MAX_SEARCH_PAGES = 10;
+
+export default function useOlderMessages() {
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [olderError, setOlderError] = useState(null);
+  const loadingRef = useRef(false);
+
+  const hasMoreOlder = useMessageStore((state) => state.hasMoreOlder);
+  const mergeOlderMessages = useMessageStore(
+    (state) => state.mergeOlderMessages
+  );
+  const getOldestMessage = useMessageStore((state) => state.getOldestMessage);
+
+  const loadOlder = useCallback(async () => {
+    // Ref guard: onStartReached can fire several times before state updates
+    if (loadingRef.current || !hasMoreOlder) return;
+
+    const oldest = getOldestMessage();
+    if (!oldest) return;
+
+    loadingRef.current = true;
+    setLoadingOlder(true);
+    setOlderError(null);
+
+    try {
+      const older = await requestQueue.add(
+        (signal) => fetchOlderMessages(oldest.uuid, { signal }),
+        { priority: PRIORITIES.BACKGROUND }
+      );
+      const added = mergeOlderMessages(older);
+      if (added > 0) {
+        AccessibilityInfo.announceForAccessibility(
+          `Loaded ${added} older messages`
+        );
+      }
+    } catch (error) {
+      // Cut short by leaving the screen; nothing to report
+      if (isCanceledError(error)) return;
+      console.error('Failed to load older messages:', error);
+      setOlderError(error);
+    } finally {
+      loadingRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [hasMoreOlder, getOldestMessage, mergeOlderMessages]);
+
+  // Page back through history until `uuid` is loaded (e.g. a reply's original)
+  const loadUntil = useCallback(
+    async (uuid) => {
+      const { getMessageByUuid } = useMessageStore.getState();
+      if (getMessageByUuid(uuid)) return getMessageByUuid(uuid);
+      if (loadingRef.current) return null;
+
+      loadingRef.current = true;
+      setLoadingOlder(true);
+      setOlderError(null);
+
+      try {
+        for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+          const oldest = getOldestMessage();
+          if (!oldest || !useMessageStore.getState().hasMoreOlder) break;
+
+          const older = await requestQueue.add(
+            (signal) => fetchOlderMessages(oldest.uuid, { signal }),
+            { priority: PRIORITIES.BACKGROUND }
+          );
+          mergeOlderMessages(older);
+
+          const found = useMessageStore.getState().getMessageByUuid(uuid);
+          if (found) return found;
+        }
+      } catch (error) {
+        if (isCanceledError(error)) return null;
+        console.error('Failed to load message history:', error);
+        setOlderError(error);
+      } finally {
+        loadingRef.current = false;
+        setLoadingOlder(false);
+      }
+
+      return null;
+    },
+    [getOldestMessage, mergeOlderMessages]
+  );
+
+  return {
+    loadingOlder,
+    olderError,
+    hasMoreOlder,
+    loadOlder,
+    loadUntil,
+  };
+}
@@ -0,0 +1,22 @@
+// src/state/editStore.js
+import { create } from "zustand";
+import useReplyStore from "./replyStore";
+
+// Message currently being edited in MessageInput, started from any bubble
+const useEditStore = create((set) => ({
+  editing: null,
+
+  startEdit: (message) => {
+    if (!message || !message.uuid) {
+      console.error("startEdit: Invalid message object:", message);
+      return;
+    }
+    // Editing and replying share the input; editing wins
+    useReplyStore.getState().cancelReply();
+    set({ editing: message });
+  },
+
+  cancelEdit: () => set({ editing: null }),
+}));
+
+export default useEditStore;
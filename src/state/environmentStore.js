@@ -0,0 +1,44 @@
+// src/state/environmentStore.js
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { createPersistOptions } from "../utils/storage";
+import {
+  DEFAULT_ENVIRONMENT_ID,
+  ENVIRONMENTS,
+  getEnvironment,
+} from "../constants/environments";
+
+// Persisted schema version - bump and add a migration when the shape changes
+const ENVIRONMENT_STORE_VERSION = 1;
+
+/**
+ * Which server environment the app talks to. Use `switchEnvironment` from
+ * useEnvironment to change it; setting it directly skips the store resets.
+ */
+const useEnvironmentStore = create(
+  persist(
+    (set) => ({
+      environmentId: DEFAULT_ENVIRONMENT_ID,
+
+      setEnvironmentId: (environmentId) => {
+        if (!ENVIRONMENTS[environmentId]) {
+          console.error(
+            `setEnvironmentId: Unknown environment ${environmentId}`,
+          );
+          return;
+        }
+        set({ environmentId });
+      },
+    }),
+    createPersistOptions("environmentStore", {
+      version: ENVIRONMENT_STORE_VERSION,
+      partialize: ({ environmentId }) => ({ environmentId }),
+    }),
+  ),
+);
+
+// Read at request/connect time so a switch applies without a restart
+export const getActiveEnvironment = () =>
+  getEnvironment(useEnvironmentStore.getState().environmentId);
+
+export default useEnvironmentStore;
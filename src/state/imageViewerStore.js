@@ -0,0 +1,20 @@
+// src/state/imageViewerStore.js
+import { create } from "zustand";
+
+// Shared so any bubble can open the viewer that ChatScreen renders
+const useImageViewerStore = create((set) => ({
+  openMessageId: null,
+  openAttachmentIndex: 0,
+
+  openImage: (messageId, attachmentIndex = 0) => {
+    if (!messageId) {
+      console.error("openImage: messageId is required");
+      return;
+    }
+    set({ openMessageId: messageId, openAttachmentIndex: attachmentIndex });
+  },
+
+  closeImage: () => set({ openMessageId: null, openAttachmentIndex: 0 }),
+}));
+
+export default useImageViewerStore;
@@ -1,423 +1,909 @@
 // src/state/messageStore.js - Complete Updated Version
 import { create } from "zustand";
-import { subscribeWithSelector } from "zustand/middleware";
+import { subscribeWithSelector, persist } from "zustand/middleware";
+import { createPersistOptions } from "../utils/storage";
+import { toTimestamp } from "../utils/timestamps";
+import {
+  applyOptimisticReactions,
+  normalizeReactions,
+  reactionsFromServerResponse,
+} from "../utils/reactions";
+
+// Persisted schema version - bump and add a migration when the shape changes
+const MESSAGE_STORE_VERSION = 2;
+// Only the newest messages are written to disk to keep storage small
+export const MAX_PERSISTED_MESSAGES = 200;
+
+// Keep confirmed messages only; pending sends and optimistic state are transient.
+// Gaps are kept while both of their ends are, and retried after a restart
+export const partializeMessages = (state) => {
+  const messages = state.messages
+    .filter((m) => m.status !== "sending" && !m.uuid?.startsWith("temp-"))
+    .slice(0, MAX_PERSISTED_MESSAGES);
+  const kept = new Set(messages.map((m) => m.uuid));
+  return {
+    messages,
+    gaps: (state.gaps || [])
+      .filter((gap) => kept.has(gap.newerUuid) && kept.has(gap.olderUuid))
+      .map((gap) => ({ ...gap, status: "new" })),
+  };
+};
+
+// Messages point at their sender by `participantUuid`; the UI resolves it
+// through participantStore. `participant` is just the copy the server
+// embedded, shown until the participant list knows the sender
+const withParticipantRef = (msg, fallback) => {
+  const participant = {
+    name: "Unknown User",
+    ...fallback,
+    ...msg.participant,
+  };
+  const participantUuid = participant.uuid || msg.participantUuid || "unknown";
+  return {
+    ...msg,
+    participantUuid,
+    participant: { ...participant, uuid: participantUuid },
+  };
+};
+
+// Fill in defaults so every message in the store has the fields the UI needs
+const withMessageDefaults = (msg) => ({
+  ...withParticipantRef(msg),
+  // Ensure required fields have defaults
+  uuid: msg.uuid || `fallback-${Date.now()}-${Math.random()}`,
+  text: msg.text || "",
+  createdAt: msg.createdAt || new Date().toISOString(),
+  status: msg.status || "sent",
+  reactions: Array.isArray(msg.reactions) ? msg.reactions : [],
+});
+
+const isValidMessage = (msg) => {
+  if (!msg || typeof msg !== "object") {
+    console.warn("Invalid message object filtered out:", msg);
+    return false;
+  }
+  return true;
+};
+
+// The updates feed may flag deletions in any of these ways
+const isDeletedUpdate = (msg) =>
+  msg.deleted === true || !!msg.deletedAt || msg.status === "deleted";
+
+// Deleted messages stay in the list as a tombstone without their content
+const toTombstone = (msg) => ({
+  ...msg,
+  text: "",
+  image: null,
+  attachments: [],
+  reactions: [],
+  status: "deleted",
+});
+
+// Apply a server copy on top of what we have, keeping reactions when the
+// update leaves them out. The sender never changes, so its fallback copy is
+// simply refreshed with whatever the update carries
+const mergeMessageUpdate = (original, update) => {
+  const merged = {
+    ...withParticipantRef({ ...original, ...update }, original.participant),
+    reactions: Array.isArray(update.reactions)
+      ? update.reactions
+      : Array.isArray(original.reactions)
+        ? original.reactions
+        : [],
+  };
+
+  // Edits and deletes from others arrive through the updates feed
+  return isDeletedUpdate(update) ? toTombstone(merged) : merged;
+};
+
+// Merge newest-first `inserted` into newest-first `messages` without
+// reordering what's already there
+const insertByCreatedAt = (messages, inserted) => {
+  const result = [];
+  let next = 0;
+  messages.forEach((msg) => {
+    const time = toTimestamp(msg.createdAt);
+    while (
+      next < inserted.length &&
+      toTimestamp(inserted[next].createdAt) > time
+    ) {
+      result.push(inserted[next++]);
+    }
+    result.push(msg);
+  });
+  return result.concat(inserted.slice(next));
+};
 
 const useMessageStore = create(
-  subscribeWithSelector((set, get) => ({
-    messages: [],
-    optimisticMessages: new Map(),
-
-    // ✅ ENHANCED: Set messages with validation
-    setMessages: (msgs) => {
-      if (!Array.isArray(msgs)) {
-        console.error("setMessages: Expected array, received:", typeof msgs);
-        return;
-      }
+  subscribeWithSelector(
+    persist(
+      (set, get) => ({
+        messages: [],
+        optimisticMessages: new Map(),
+        // uuid -> message as it was before a local edit/delete still in flight
+        pendingChanges: new Map(),
+        // False once /messages/older returns nothing new
+        hasMoreOlder: true,
+        // Holes in history: `{ id, newerUuid, olderUuid, detectedAt, status }`,
+        // where messages between olderUuid and newerUuid may be missing.
+        // status: "new" (not backfilled yet), "loading", "idle" or "failed"
+        gaps: [],
+
+        // ✅ ENHANCED: Set messages with validation
+        setMessages: (msgs) => {
+          if (!Array.isArray(msgs)) {
+            console.error(
+              "setMessages: Expected array, received:",
+              typeof msgs,
+            );
+            return;
+          }
+
+          // Validate and sanitize each message
+          const validMessages = msgs
+            .filter(isValidMessage)
+            .map(withMessageDefaults);
+
+          console.log(`💾 Setting ${validMessages.length} messages in store`);
+          // A fresh latest window means older history can be paged again
+          set({ messages: validMessages, hasMoreOlder: true });
+        },
+
+        // ✅ NEW: Append a page of older history, skipping messages we already have
+        mergeOlderMessages: (olderMsgs) => {
+          if (!Array.isArray(olderMsgs)) {
+            console.error(
+              "mergeOlderMessages: Expected array, received:",
+              typeof olderMsgs,
+            );
+            return 0;
+          }
 
-      // Validate and sanitize each message
-      const validMessages = msgs
-        .filter((msg) => {
+          const { messages } = get();
+          const knownUuids = new Set(messages.map((m) => m.uuid));
+
+          // Store is newest-first, so older messages go at the end
+          const newMessages = olderMsgs
+            .filter(isValidMessage)
+            .filter((msg) => msg.uuid && !knownUuids.has(msg.uuid))
+            .filter(
+              (msg, index, list) =>
+                list.findIndex((m) => m.uuid === msg.uuid) === index,
+            )
+            .map(withMessageDefaults)
+            .sort(
+              (a, b) => toTimestamp(b.createdAt) - toTimestamp(a.createdAt),
+            );
+
+          console.log(`📜 Merged ${newMessages.length} older messages`);
+
+          set({
+            messages: [...messages, ...newMessages],
+            hasMoreOlder: newMessages.length > 0,
+          });
+
+          return newMessages.length;
+        },
+
+        // ✅ NEW: Oldest confirmed message, used as the paging cursor
+        getOldestMessage: () => {
+          const { messages } = get();
+          return messages.reduce((oldest, msg) => {
+            if (msg.uuid?.startsWith("temp-")) return oldest;
+            if (!oldest) return msg;
+            return toTimestamp(msg.createdAt) < toTimestamp(oldest.createdAt)
+              ? msg
+              : oldest;
+          }, null);
+        },
+
+        // ✅ ENHANCED: Add message with comprehensive validation
+        addMessage: (msg) => {
           if (!msg || typeof msg !== "object") {
-            console.warn("Invalid message object filtered out:", msg);
-            return false;
+            console.error("addMessage: Invalid message object:", msg);
+            return;
           }
-          return true;
-        })
-        .map((msg) => ({
-          ...msg,
-          // Ensure participant exists
-          participant: msg.participant || {
-            name: "Unknown User",
-            uuid: "unknown",
-          },
-          // Ensure required fields have defaults
-          uuid: msg.uuid || `fallback-${Date.now()}-${Math.random()}`,
-          text: msg.text || "",
-          createdAt: msg.createdAt || new Date().toISOString(),
-          status: msg.status || "sent",
-          reactions: Array.isArray(msg.reactions) ? msg.reactions : [],
-        }));
-
-      console.log(`💾 Setting ${validMessages.length} messages in store`);
-      set({ messages: validMessages });
-    },
 
-    // ✅ ENHANCED: Add message with comprehensive validation
-    addMessage: (msg) => {
-      if (!msg || typeof msg !== "object") {
-        console.error("addMessage: Invalid message object:", msg);
-        return;
-      }
+          if (!msg.uuid) {
+            console.error("addMessage: Message missing UUID:", msg);
+            return;
+          }
 
-      if (!msg.uuid) {
-        console.error("addMessage: Message missing UUID:", msg);
-        return;
-      }
+          const { messages } = get();
 
-      const { messages } = get();
+          // Check if message already exists
+          const exists = messages.some((m) => m.uuid === msg.uuid);
+          if (exists) {
+            console.warn(
+              `addMessage: Message with UUID ${msg.uuid} already exists`,
+            );
+            return;
+          }
 
-      // Check if message already exists
-      const exists = messages.some((m) => m.uuid === msg.uuid);
-      if (exists) {
-        console.warn(
-          `addMessage: Message with UUID ${msg.uuid} already exists`,
-        );
-        return;
-      }
+          const messageWithDefaults = {
+            ...withParticipantRef(msg),
+            text: msg.text || "",
+            createdAt: msg.createdAt || new Date().toISOString(),
+            status: msg.status || "sent",
+            reactions: Array.isArray(msg.reactions) ? msg.reactions : [],
+          };
+
+          console.log("✅ Adding message:", {
+            uuid: msg.uuid,
+            participant: messageWithDefaults.participant.name,
+            text: (msg.text || "").substring(0, 50) + "...",
+            status: messageWithDefaults.status,
+          });
+
+          set({ messages: [messageWithDefaults, ...messages] });
+        },
+
+        // ✅ ENHANCED: Update message with debugging
+        updateMessage: (updatedMsg) => {
+          if (!updatedMsg || typeof updatedMsg !== "object") {
+            console.error("updateMessage: Invalid message object:", updatedMsg);
+            return;
+          }
+
+          if (!updatedMsg.uuid) {
+            console.error("updateMessage: Message missing UUID:", updatedMsg);
+            return;
+          }
 
-      // ✅ ENSURE PARTICIPANT EXISTS AND IS VALID
-      const messageWithDefaults = {
-        ...msg,
-        participant: msg.participant || {
-          name: "Unknown User",
-          uuid: "unknown",
+          const { messages } = get();
+
+          // Find the message to update
+          const messageIndex = messages.findIndex(
+            (m) => m.uuid === updatedMsg.uuid,
+          );
+
+          if (messageIndex === -1) {
+            console.warn(
+              `updateMessage: Message with UUID ${updatedMsg.uuid} not found. Available messages:`,
+              messages.map((m) => ({
+                uuid: m.uuid,
+                participant: m.participant?.name || "No participant",
+                status: m.status || "no status",
+              })),
+            );
+            return;
+          }
+
+          const originalMessage = messages[messageIndex];
+          const finalMessage = mergeMessageUpdate(originalMessage, updatedMsg);
+
+          // Our own edit/delete is still in flight: keep showing it, but make
+          // sure a rollback lands on the latest server copy
+          const { pendingChanges } = get();
+          if (pendingChanges.has(updatedMsg.uuid)) {
+            const newPendingChanges = new Map(pendingChanges);
+            newPendingChanges.set(updatedMsg.uuid, finalMessage);
+            set({ pendingChanges: newPendingChanges });
+            return;
+          }
+
+          console.log("🔄 Updating message:", {
+            uuid: updatedMsg.uuid,
+            changes: Object.keys(updatedMsg),
+            participant: finalMessage.participant?.name || "No participant",
+            status: finalMessage.status || "no status",
+          });
+
+          const newMessages = [...messages];
+          newMessages[messageIndex] = finalMessage;
+
+          set({ messages: newMessages });
         },
-        text: msg.text || "",
-        createdAt: msg.createdAt || new Date().toISOString(),
-        status: msg.status || "sent",
-        reactions: Array.isArray(msg.reactions) ? msg.reactions : [],
-      };
-
-      // Additional participant validation
-      if (!messageWithDefaults.participant.name) {
-        messageWithDefaults.participant.name = "Unknown User";
-      }
-      if (!messageWithDefaults.participant.uuid) {
-        messageWithDefaults.participant.uuid = "unknown";
-      }
 
-      console.log("✅ Adding message:", {
-        uuid: msg.uuid,
-        participant: messageWithDefaults.participant.name,
-        text: (msg.text || "").substring(0, 50) + "...",
-        status: messageWithDefaults.status,
-      });
+        // ✅ NEW: Apply a batch from the updates feed in a single set():
+        // known messages are updated, unknown ones inserted by createdAt.
+        // Unknown messages older than the loaded window are left for
+        // older-message paging; inserting them would move its cursor past
+        // everything in between
+        upsertMessages: (msgs) => {
+          if (!Array.isArray(msgs)) {
+            console.error(
+              "upsertMessages: Expected array, received:",
+              typeof msgs,
+            );
+            return { added: 0, updated: 0 };
+          }
 
-      set({ messages: [messageWithDefaults, ...messages] });
-    },
+          const { messages, pendingChanges } = get();
+          const nextMessages = [...messages];
+          const indexByUuid = new Map(messages.map((m, i) => [m.uuid, i]));
+          const insertedByUuid = new Map();
+          const oldest = get().getOldestMessage();
+          const oldestTime = oldest ? toTimestamp(oldest.createdAt) : null;
+          let nextPendingChanges = pendingChanges;
+          let updated = 0;
+
+          msgs.filter(isValidMessage).forEach((msg) => {
+            if (!msg.uuid) {
+              console.warn("upsertMessages: Skipping message without UUID");
+              return;
+            }
+
+            const inserted = insertedByUuid.get(msg.uuid);
+            if (inserted) {
+              insertedByUuid.set(msg.uuid, mergeMessageUpdate(inserted, msg));
+              return;
+            }
+
+            const index = indexByUuid.get(msg.uuid);
+            if (index === undefined) {
+              // Nothing to show for a message deleted before we saw it
+              if (isDeletedUpdate(msg)) return;
+              if (
+                oldestTime !== null &&
+                msg.createdAt &&
+                toTimestamp(msg.createdAt) < oldestTime
+              ) {
+                return;
+              }
+              insertedByUuid.set(msg.uuid, withMessageDefaults(msg));
+              return;
+            }
+
+            const merged = mergeMessageUpdate(nextMessages[index], msg);
+            // Same rule as updateMessage for edits/deletes still in flight
+            if (nextPendingChanges.has(msg.uuid)) {
+              if (nextPendingChanges === pendingChanges) {
+                nextPendingChanges = new Map(pendingChanges);
+              }
+              nextPendingChanges.set(msg.uuid, merged);
+            } else {
+              nextMessages[index] = merged;
+            }
+            updated += 1;
+          });
+
+          const inserted = [...insertedByUuid.values()].sort(
+            (a, b) => toTimestamp(b.createdAt) - toTimestamp(a.createdAt),
+          );
+
+          if (inserted.length === 0 && updated === 0) {
+            return { added: 0, updated: 0 };
+          }
 
-    // ✅ ENHANCED: Update message with participant preservation and debugging
-    updateMessage: (updatedMsg) => {
-      if (!updatedMsg || typeof updatedMsg !== "object") {
-        console.error("updateMessage: Invalid message object:", updatedMsg);
-        return;
-      }
+          console.log(
+            `📥 Upserted messages: ${inserted.length} new, ${updated} updated`,
+          );
 
-      if (!updatedMsg.uuid) {
-        console.error("updateMessage: Message missing UUID:", updatedMsg);
-        return;
-      }
+          set({
+            messages: insertByCreatedAt(nextMessages, inserted),
+            pendingChanges: nextPendingChanges,
+          });
 
-      const { messages } = get();
-
-      // Find the message to update
-      const messageIndex = messages.findIndex(
-        (m) => m.uuid === updatedMsg.uuid,
-      );
-
-      if (messageIndex === -1) {
-        console.warn(
-          `updateMessage: Message with UUID ${updatedMsg.uuid} not found. Available messages:`,
-          messages.map((m) => ({
-            uuid: m.uuid,
-            participant: m.participant?.name || "No participant",
-            status: m.status || "no status",
-          })),
-        );
-        return;
-      }
+          return { added: inserted.length, updated };
+        },
 
-      const originalMessage = messages[messageIndex];
-
-      // ✅ CRITICAL FIX: Preserve participant and other essential data during updates
-      const updatedMessage = {
-        ...originalMessage, // Start with original message as base
-        ...updatedMsg, // Apply updates
-
-        // Always preserve participant unless explicitly overridden with valid data
-        participant:
-          updatedMsg.participant && updatedMsg.participant.name
-            ? updatedMsg.participant
-            : originalMessage.participant || {
-                name: "Unknown User",
-                uuid: "unknown",
-              },
-
-        // Ensure arrays are preserved correctly
-        reactions: Array.isArray(updatedMsg.reactions)
-          ? updatedMsg.reactions
-          : Array.isArray(originalMessage.reactions)
-            ? originalMessage.reactions
-            : [],
-      };
-
-      console.log("🔄 Updating message:", {
-        uuid: updatedMsg.uuid,
-        changes: Object.keys(updatedMsg),
-        participant: updatedMessage.participant?.name || "No participant",
-        status: updatedMessage.status || "no status",
-      });
-
-      const newMessages = [...messages];
-      newMessages[messageIndex] = updatedMessage;
-
-      set({ messages: newMessages });
-    },
+        // Merge a fresh /messages/latest window by uuid. Older pages, pending
+        // sends and local edits stay; a window that doesn't reach back to
+        // anything we had is recorded as a gap
+        mergeLatestMessages: (latestMsgs) => {
+          if (!Array.isArray(latestMsgs)) {
+            console.error(
+              "mergeLatestMessages: Expected array, received:",
+              typeof latestMsgs,
+            );
+            return { added: 0, updated: 0, gap: null };
+          }
 
-    // ✅ NEW: Remove message (useful for failed messages)
-    removeMessage: (uuid) => {
-      if (!uuid) {
-        console.error("removeMessage: UUID is required");
-        return;
-      }
+          const latest = latestMsgs.filter(
+            (msg) => isValidMessage(msg) && msg.uuid,
+          );
+          const confirmed = get().messages.filter(
+            (m) => !m.uuid?.startsWith("temp-"),
+          );
+          const knownUuids = new Set(confirmed.map((m) => m.uuid));
+          const byCreatedAt = (a, b) =>
+            toTimestamp(a.createdAt) - toTimestamp(b.createdAt);
+          const newestKnown = confirmed.reduce(
+            (newest, m) => (!newest || byCreatedAt(m, newest) > 0 ? m : newest),
+            null,
+          );
+          const oldestLatest = latest.reduce(
+            (oldest, m) => (!oldest || byCreatedAt(m, oldest) < 0 ? m : oldest),
+            null,
+          );
+
+          let gap = null;
+          if (
+            newestKnown &&
+            oldestLatest &&
+            !latest.some((m) => knownUuids.has(m.uuid)) &&
+            byCreatedAt(oldestLatest, newestKnown) > 0
+          ) {
+            gap = {
+              id: `gap-${newestKnown.uuid}`,
+              newerUuid: oldestLatest.uuid,
+              olderUuid: newestKnown.uuid,
+              // Kept so backfill knows where to stop even if that message
+              // is no longer loaded
+              olderCreatedAt: newestKnown.createdAt,
+              detectedAt: Date.now(),
+              status: "new",
+            };
+            console.warn(
+              `🕳️ Latest messages don't overlap the stored window - gap after ${newestKnown.uuid}`,
+            );
+          }
 
-      const { messages } = get();
-      const initialCount = messages.length;
-      const filteredMessages = messages.filter((m) => m.uuid !== uuid);
+          const result = get().upsertMessages(latest);
+          if (gap) {
+            set((state) => ({
+              gaps: [...state.gaps.filter((g) => g.id !== gap.id), gap],
+            }));
+          }
 
-      if (filteredMessages.length === initialCount) {
-        console.warn(`removeMessage: Message with UUID ${uuid} not found`);
-        return;
-      }
+          return { ...result, gap };
+        },
 
-      console.log(`🗑️ Removed message: ${uuid}`);
-      set({ messages: filteredMessages });
-    },
+        updateGap: (id, changes) => {
+          set((state) => ({
+            gaps: state.gaps.map((gap) =>
+              gap.id === id ? { ...gap, ...changes } : gap,
+            ),
+          }));
+        },
 
-    // ✅ NEW: Replace message (useful for temp -> real message transitions)
-    replaceMessage: (oldUuid, newMessage) => {
-      if (!oldUuid || !newMessage || !newMessage.uuid) {
-        console.error("replaceMessage: Invalid parameters", {
-          oldUuid,
-          newMessage,
-        });
-        return;
-      }
+        resolveGap: (id) => {
+          set((state) => ({ gaps: state.gaps.filter((gap) => gap.id !== id) }));
+        },
 
-      const { messages } = get();
-      const messageIndex = messages.findIndex((m) => m.uuid === oldUuid);
+        getGap: (id) => get().gaps.find((gap) => gap.id === id) || null,
 
-      if (messageIndex === -1) {
-        console.warn(`replaceMessage: Message with UUID ${oldUuid} not found`);
-        return;
-      }
+        // ✅ NEW: Optimistic edit; keeps the original for rollback
+        editMessageOptimistic: (uuid, text) => {
+          const trimmed = (text || "").trim();
+          if (!uuid || !trimmed) {
+            console.error("editMessageOptimistic: uuid and text are required");
+            return false;
+          }
 
-      const originalMessage = messages[messageIndex];
+          return get().applyPendingChange(uuid, (msg) => ({
+            ...msg,
+            text: trimmed,
+            editedAt: Date.now(),
+          }));
+        },
 
-      // Preserve important data from original message
-      const finalMessage = {
-        ...newMessage,
-        participant: newMessage.participant ||
-          originalMessage.participant || {
-            name: "Unknown User",
-            uuid: "unknown",
-          },
-        status: "sent",
-        reactions: Array.isArray(newMessage.reactions)
-          ? newMessage.reactions
-          : [],
-      };
+        // ✅ NEW: Optimistic delete; shows a tombstone until confirmed
+        deleteMessageOptimistic: (uuid) => {
+          if (!uuid) {
+            console.error("deleteMessageOptimistic: uuid is required");
+            return false;
+          }
 
-      console.log(`🔄 Replacing message ${oldUuid} with ${newMessage.uuid}`);
+          return get().applyPendingChange(uuid, toTombstone);
+        },
 
-      const newMessages = [...messages];
-      newMessages[messageIndex] = finalMessage;
+        applyPendingChange: (uuid, change) => {
+          const { messages, pendingChanges } = get();
+          const messageIndex = messages.findIndex((m) => m.uuid === uuid);
 
-      set({ messages: newMessages });
-    },
+          if (messageIndex === -1 || uuid.startsWith("temp-")) {
+            console.warn(`applyPendingChange: Message ${uuid} not editable`);
+            return false;
+          }
 
-    // ✅ ENHANCED: Optimistic reaction methods with better error handling
-    addReactionOptimistic: (messageId, emoji, participantId = "you") => {
-      if (!messageId || !emoji) {
-        console.error(
-          "addReactionOptimistic: messageId and emoji are required",
-        );
-        return null;
-      }
+          const original = messages[messageIndex];
+          const newPendingChanges = new Map(pendingChanges);
+          // Stacked changes roll back to the last confirmed state
+          if (!newPendingChanges.has(uuid)) {
+            newPendingChanges.set(uuid, original);
+          }
 
-      const { messages, optimisticMessages } = get();
+          const newMessages = [...messages];
+          newMessages[messageIndex] = change(original);
 
-      // Check if message exists
-      const messageExists = messages.some((m) => m.uuid === messageId);
-      if (!messageExists) {
-        console.warn(`addReactionOptimistic: Message ${messageId} not found`);
-        return null;
-      }
+          set({ messages: newMessages, pendingChanges: newPendingChanges });
+          return true;
+        },
 
-      // Create unique key for this optimistic update
-      const optimisticKey = `${messageId}-${emoji}-${Date.now()}-${Math.random()}`;
-
-      // Check if user already has this reaction (prevent duplicates)
-      const message = messages.find((m) => m.uuid === messageId);
-      if (
-        message?.reactions?.some(
-          (r) => r.emoji === emoji && r.participants?.includes(participantId),
-        )
-      ) {
-        console.log("User already has this reaction");
-        return null;
-      }
+        confirmMessageChange: (uuid, serverMessage) => {
+          const { pendingChanges } = get();
+          if (!pendingChanges.has(uuid)) {
+            console.warn(`confirmMessageChange: No pending change for ${uuid}`);
+            return;
+          }
 
-      const newOptimisticMessages = new Map(optimisticMessages);
-      newOptimisticMessages.set(optimisticKey, {
-        messageId,
-        emoji,
-        participantId,
-        type: "add",
-        timestamp: Date.now(),
-      });
+          const newPendingChanges = new Map(pendingChanges);
+          newPendingChanges.delete(uuid);
+          set({ pendingChanges: newPendingChanges });
 
-      console.log(`⚡ Adding optimistic reaction: ${emoji} to ${messageId}`);
+          // Prefer the server's copy when the response carries one
+          if (serverMessage?.uuid === uuid) {
+            get().updateMessage(serverMessage);
+          }
+          console.log(`✅ Confirmed change to message: ${uuid}`);
+        },
 
-      set({ optimisticMessages: newOptimisticMessages });
+        revertMessageChange: (uuid) => {
+          const { messages, pendingChanges } = get();
+          const original = pendingChanges.get(uuid);
+          if (!original) {
+            console.warn(`revertMessageChange: No pending change for ${uuid}`);
+            return;
+          }
 
-      return optimisticKey;
-    },
+          const newPendingChanges = new Map(pendingChanges);
+          newPendingChanges.delete(uuid);
 
-    confirmReaction: (optimisticKey) => {
-      if (!optimisticKey) {
-        console.error("confirmReaction: optimisticKey is required");
-        return;
-      }
+          console.log(`❌ Reverted change to message: ${uuid}`);
+          set({
+            messages: messages.map((m) => (m.uuid === uuid ? original : m)),
+            pendingChanges: newPendingChanges,
+          });
+        },
 
-      const { optimisticMessages } = get();
+        // ✅ NEW: Remove message (useful for failed messages)
+        removeMessage: (uuid) => {
+          if (!uuid) {
+            console.error("removeMessage: UUID is required");
+            return;
+          }
 
-      if (!optimisticMessages.has(optimisticKey)) {
-        console.warn(
-          `confirmReaction: Optimistic key ${optimisticKey} not found`,
-        );
-        return;
-      }
+          const { messages } = get();
+          const initialCount = messages.length;
+          const filteredMessages = messages.filter((m) => m.uuid !== uuid);
 
-      const newOptimisticMessages = new Map(optimisticMessages);
-      newOptimisticMessages.delete(optimisticKey);
+          if (filteredMessages.length === initialCount) {
+            console.warn(`removeMessage: Message with UUID ${uuid} not found`);
+            return;
+          }
 
-      console.log(`✅ Confirmed optimistic reaction: ${optimisticKey}`);
+          console.log(`🗑️ Removed message: ${uuid}`);
+          set({ messages: filteredMessages });
+        },
 
-      set({ optimisticMessages: newOptimisticMessages });
-    },
+        // ✅ NEW: Replace message (useful for temp -> real message transitions)
+        replaceMessage: (oldUuid, newMessage) => {
+          if (!oldUuid || !newMessage || !newMessage.uuid) {
+            console.error("replaceMessage: Invalid parameters", {
+              oldUuid,
+              newMessage,
+            });
+            return;
+          }
 
-    revertReaction: (optimisticKey) => {
-      if (!optimisticKey) {
-        console.error("revertReaction: optimisticKey is required");
-        return;
-      }
+          const { messages } = get();
+          const messageIndex = messages.findIndex((m) => m.uuid === oldUuid);
 
-      const { optimisticMessages } = get();
+          if (messageIndex === -1) {
+            console.warn(
+              `replaceMessage: Message with UUID ${oldUuid} not found`,
+            );
+            return;
+          }
 
-      if (!optimisticMessages.has(optimisticKey)) {
-        console.warn(
-          `revertReaction: Optimistic key ${optimisticKey} not found`,
-        );
-        return;
-      }
+          const originalMessage = messages[messageIndex];
 
-      const newOptimisticMessages = new Map(optimisticMessages);
-      newOptimisticMessages.delete(optimisticKey);
+          // Preserve important data from original message
+          const finalMessage = {
+            ...withParticipantRef(newMessage, originalMessage.participant),
+            status: "sent",
+            reactions: Array.isArray(newMessage.reactions)
+              ? newMessage.reactions
+              : [],
+          };
 
-      console.log(`❌ Reverted optimistic reaction: ${optimisticKey}`);
+          console.log(
+            `🔄 Replacing message ${oldUuid} with ${newMessage.uuid}`,
+          );
 
-      set({ optimisticMessages: newOptimisticMessages });
-    },
+          // The updates feed may have inserted the server copy already
+          const newMessages = messages
+            .map((m, i) => (i === messageIndex ? finalMessage : m))
+            .filter((m, i) => i === messageIndex || m.uuid !== newMessage.uuid);
 
-    // ✅ ENHANCED: Clear stale optimistic updates with better logging
-    clearStaleOptimisticUpdates: () => {
-      const { optimisticMessages } = get();
-      const now = Date.now();
-      const staleThreshold = 30000; // 30 seconds
-      let removedCount = 0;
+          set({ messages: newMessages });
+        },
 
-      const newOptimisticMessages = new Map();
+        // ✅ ENHANCED: Optimistic reaction methods with better error handling
+        addReactionOptimistic: (messageId, emoji, participantId = "you") => {
+          if (!messageId || !emoji) {
+            console.error(
+              "addReactionOptimistic: messageId and emoji are required",
+            );
+            return null;
+          }
 
-      for (const [tempId, data] of optimisticMessages.entries()) {
-        const timestamp = data.timestamp || parseInt(tempId.split("-").pop());
+          const { messages, optimisticMessages } = get();
 
-        if (now - timestamp > staleThreshold) {
-          removedCount++;
-          console.warn(`Removing stale optimistic update: ${tempId}`);
-        } else {
-          newOptimisticMessages.set(tempId, data);
-        }
-      }
+          // Check if message exists
+          const messageExists = messages.some((m) => m.uuid === messageId);
+          if (!messageExists) {
+            console.warn(
+              `addReactionOptimistic: Message ${messageId} not found`,
+            );
+            return null;
+          }
 
-      if (removedCount > 0) {
-        console.log(`🧹 Cleared ${removedCount} stale optimistic updates`);
-        set({ optimisticMessages: newOptimisticMessages });
-      }
-    },
+          // Create unique key for this optimistic update
+          const optimisticKey = `${messageId}-${emoji}-${Date.now()}-${Math.random()}`;
+
+          // Check if user already has this reaction, counting pending ones (prevent duplicates)
+          const [message] = applyOptimisticReactions(
+            messages.filter((m) => m.uuid === messageId),
+            optimisticMessages,
+          );
+          if (
+            normalizeReactions(message?.reactions, participantId).some(
+              (r) => r.emoji === emoji && r.isOwnReaction,
+            )
+          ) {
+            console.log("User already has this reaction");
+            return null;
+          }
 
-    // ✅ NEW: Clear all messages (useful for session resets)
-    clearMessages: () => {
-      console.log("🗑️ Clearing all messages and optimistic updates");
-      set({
-        messages: [],
-        optimisticMessages: new Map(),
-      });
-    },
+          const newOptimisticMessages = new Map(optimisticMessages);
+          newOptimisticMessages.set(optimisticKey, {
+            messageId,
+            emoji,
+            participantId,
+            type: "add",
+            timestamp: Date.now(),
+          });
 
-    // ✅ NEW: Get message by UUID (helper method)
-    getMessageByUuid: (uuid) => {
-      if (!uuid) return null;
+          console.log(
+            `⚡ Adding optimistic reaction: ${emoji} to ${messageId}`,
+          );
 
-      const { messages } = get();
-      return messages.find((m) => m.uuid === uuid) || null;
-    },
+          set({ optimisticMessages: newOptimisticMessages });
 
-    // ✅ NEW: Get messages by participant (helper method)
-    getMessagesByParticipant: (participantUuid) => {
-      if (!participantUuid) return [];
+          return optimisticKey;
+        },
 
-      const { messages } = get();
-      return messages.filter((m) => m.participant?.uuid === participantUuid);
-    },
+        removeReactionOptimistic: (messageId, emoji, participantId = "you") => {
+          if (!messageId || !emoji) {
+            console.error(
+              "removeReactionOptimistic: messageId and emoji are required",
+            );
+            return null;
+          }
 
-    // ✅ NEW: Get message count (helper method)
-    getMessageCount: () => {
-      const { messages } = get();
-      return messages.length;
-    },
+          const { messages, optimisticMessages } = get();
+
+          const [message] = applyOptimisticReactions(
+            messages.filter((m) => m.uuid === messageId),
+            optimisticMessages,
+          );
+          if (!message) {
+            console.warn(
+              `removeReactionOptimistic: Message ${messageId} not found`,
+            );
+            return null;
+          }
+
+          // Only our own reactions can be removed, counting pending ones
+          if (
+            !normalizeReactions(message.reactions, participantId).some(
+              (r) => r.emoji === emoji && r.isOwnReaction,
+            )
+          ) {
+            console.log("User has no such reaction to remove");
+            return null;
+          }
 
-    // ✅ NEW: Validate store integrity (debugging helper)
-    validateStoreIntegrity: () => {
-      const { messages } = get();
-      let issues = [];
+          const optimisticKey = `${messageId}-${emoji}-${Date.now()}-${Math.random()}`;
 
-      messages.forEach((msg, index) => {
-        if (!msg.uuid) {
-          issues.push(`Message at index ${index} missing UUID`);
-        }
+          const newOptimisticMessages = new Map(optimisticMessages);
+          newOptimisticMessages.set(optimisticKey, {
+            messageId,
+            emoji,
+            participantId,
+            type: "remove",
+            timestamp: Date.now(),
+          });
 
-        if (!msg.participant) {
-          issues.push(`Message ${msg.uuid} missing participant`);
-        } else {
-          if (!msg.participant.name) {
-            issues.push(`Message ${msg.uuid} participant missing name`);
+          console.log(
+            `⚡ Removing optimistic reaction: ${emoji} from ${messageId}`,
+          );
+
+          set({ optimisticMessages: newOptimisticMessages });
+
+          return optimisticKey;
+        },
+
+        // Move a pending reaction into the message using the server's reaction list
+        confirmReaction: (optimisticKey, serverResponse) => {
+          if (!optimisticKey) {
+            console.error("confirmReaction: optimisticKey is required");
+            return;
           }
-          if (!msg.participant.uuid) {
-            issues.push(`Message ${msg.uuid} participant missing UUID`);
+
+          const { messages, optimisticMessages } = get();
+
+          if (!optimisticMessages.has(optimisticKey)) {
+            console.warn(
+              `confirmReaction: Optimistic key ${optimisticKey} not found`,
+            );
+            return;
           }
-        }
 
-        if (!msg.text && msg.text !== "") {
-          issues.push(`Message ${msg.uuid} missing text`);
-        }
+          const change = optimisticMessages.get(optimisticKey);
+          const newOptimisticMessages = new Map(optimisticMessages);
+          newOptimisticMessages.delete(optimisticKey);
+
+          const newMessages = messages.map((m) =>
+            m.uuid === change.messageId
+              ? {
+                  ...m,
+                  reactions: reactionsFromServerResponse(
+                    m.reactions,
+                    serverResponse,
+                    change,
+                  ),
+                }
+              : m,
+          );
+
+          console.log(`✅ Confirmed optimistic reaction: ${optimisticKey}`);
+
+          // Single update so the chip never flickers between the two states
+          set({
+            messages: newMessages,
+            optimisticMessages: newOptimisticMessages,
+          });
+        },
 
-        if (!msg.createdAt) {
-          issues.push(`Message ${msg.uuid} missing createdAt`);
-        }
-      });
+        revertReaction: (optimisticKey) => {
+          if (!optimisticKey) {
+            console.error("revertReaction: optimisticKey is required");
+            return;
+          }
 
-      if (issues.length > 0) {
-        console.warn("Store integrity issues found:", issues);
-      } else {
-        console.log("✅ Store integrity check passed");
-      }
+          const { optimisticMessages } = get();
 
-      return issues;
-    },
-  })),
+          if (!optimisticMessages.has(optimisticKey)) {
+            console.warn(
+              `revertReaction: Optimistic key ${optimisticKey} not found`,
+            );
+            return;
+          }
+
+          const newOptimisticMessages = new Map(optimisticMessages);
+          newOptimisticMessages.delete(optimisticKey);
+
+          console.log(`❌ Reverted optimistic reaction: ${optimisticKey}`);
+
+          set({ optimisticMessages: newOptimisticMessages });
+        },
+
+        // ✅ ENHANCED: Clear stale optimistic updates with better logging
+        clearStaleOptimisticUpdates: () => {
+          const { optimisticMessages } = get();
+          const now = Date.now();
+          const staleThreshold = 30000; // 30 seconds
+          let removedCount = 0;
+
+          const newOptimisticMessages = new Map();
+
+          for (const [tempId, data] of optimisticMessages.entries()) {
+            const timestamp =
+              data.timestamp || parseInt(tempId.split("-").pop());
+
+            if (now - timestamp > staleThreshold) {
+              removedCount++;
+              console.warn(`Removing stale optimistic update: ${tempId}`);
+            } else {
+              newOptimisticMessages.set(tempId, data);
+            }
+          }
+
+          if (removedCount > 0) {
+            console.log(`🧹 Cleared ${removedCount} stale optimistic updates`);
+            set({ optimisticMessages: newOptimisticMessages });
+          }
+        },
+
+        // ✅ NEW: Clear all messages (useful for session resets)
+        clearMessages: () => {
+          console.log("🗑️ Clearing all messages and optimistic updates");
+          set({
+            messages: [],
+            optimisticMessages: new Map(),
+            pendingChanges: new Map(),
+            hasMoreOlder: true,
+            gaps: [],
+          });
+        },
+
+        // ✅ NEW: Get message by UUID (helper method)
+        getMessageByUuid: (uuid) => {
+          if (!uuid) return null;
+
+          const { messages } = get();
+          return messages.find((m) => m.uuid === uuid) || null;
+        },
+
+        // ✅ NEW: Get messages by participant (helper method)
+        getMessagesByParticipant: (participantUuid) => {
+          if (!participantUuid) return [];
+
+          const { messages } = get();
+          return messages.filter(
+            (m) =>
+              (m.participantUuid || m.participant?.uuid) === participantUuid,
+          );
+        },
+
+        // ✅ NEW: Get message count (helper method)
+        getMessageCount: () => {
+          const { messages } = get();
+          return messages.length;
+        },
+
+        // ✅ NEW: Validate store integrity (debugging helper)
+        validateStoreIntegrity: () => {
+          const { messages } = get();
+          let issues = [];
+
+          messages.forEach((msg, index) => {
+            if (!msg.uuid) {
+              issues.push(`Message at index ${index} missing UUID`);
+            }
+
+            if (!msg.participantUuid) {
+              issues.push(`Message ${msg.uuid} missing participantUuid`);
+            }
+
+            if (!msg.text && msg.text !== "") {
+              issues.push(`Message ${msg.uuid} missing text`);
+            }
+
+            if (!msg.createdAt) {
+              issues.push(`Message ${msg.uuid} missing createdAt`);
+            }
+          });
+
+          if (issues.length > 0) {
+            console.warn("Store integrity issues found:", issues);
+          } else {
+            console.log("✅ Store integrity check passed");
+          }
+
+          return issues;
+        },
+      }),
+      createPersistOptions("messageStore", {
+        version: MESSAGE_STORE_VERSION,
+        migrations: {
+          // v2: messages reference their sender by participantUuid
+          2: (state) => ({
+            ...state,
+            messages: (state.messages || []).map((m) => withParticipantRef(m)),
+          }),
+        },
+        partialize: partializeMessages,
+      }),
+    ),
+  ),
 );
 
+// Messages with pending optimistic reactions applied. Memoized on the two
+// inputs so components subscribing with it only re-render when they change.
+let lastMessages = null;
+let lastOptimisticMessages = null;
+let lastMessagesWithReactions = [];
+
+export const selectMessagesWithReactions = (state) => {
+  if (
+    state.messages !== lastMessages ||
+    state.optimisticMessages !== lastOptimisticMessages
+  ) {
+    lastMessages = state.messages;
+    lastOptimisticMessages = state.optimisticMessages;
+    lastMessagesWithReactions = applyOptimisticReactions(
+      state.messages,
+      state.optimisticMessages,
+    );
+  }
+  return lastMessagesWithReactions;
+};
+
 // ✅ SUBSCRIBE TO CHANGES FOR DEBUGGING (DEVELOPMENT ONLY)
 if (__DEV__) {
   useMessageStore.subscribe(
@@ -0,0 +1,340 @@
+// src/state/messageStore.test.js
+import useMessageStore, { selectMessagesWithReactions } from "./messageStore";
+
+describe("messageStore", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    useMessageStore.getState().clearMessages();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("mergeOlderMessages", () => {
+    it("appends older messages newest-first and skips duplicates", () => {
+      const { setMessages, mergeOlderMessages } = useMessageStore.getState();
+      setMessages([
+        { uuid: "3", createdAt: 3000 },
+        { uuid: "2", createdAt: 2000 },
+      ]);
+
+      const added = mergeOlderMessages([
+        { uuid: "0", createdAt: 500 },
+        { uuid: "2", createdAt: 2000 },
+        { uuid: "1", createdAt: 1000 },
+        { uuid: "1", createdAt: 1000 },
+      ]);
+
+      expect(added).toBe(2);
+      expect(useMessageStore.getState().messages.map((m) => m.uuid)).toEqual([
+        "3",
+        "2",
+        "1",
+        "0",
+      ]);
+      expect(useMessageStore.getState().hasMoreOlder).toBe(true);
+    });
+
+    it("stops paging when a page has nothing new", () => {
+      const { setMessages, mergeOlderMessages } = useMessageStore.getState();
+      setMessages([{ uuid: "1", createdAt: 1000 }]);
+
+      mergeOlderMessages([{ uuid: "1", createdAt: 1000 }]);
+
+      expect(useMessageStore.getState().hasMoreOlder).toBe(false);
+    });
+
+    it("uses the oldest confirmed message as the cursor", () => {
+      const { setMessages, getOldestMessage } = useMessageStore.getState();
+      setMessages([
+        { uuid: "temp-1", createdAt: 0, status: "sending" },
+        { uuid: "b", createdAt: 2000 },
+        { uuid: "a", createdAt: 1000 },
+      ]);
+
+      expect(getOldestMessage().uuid).toBe("a");
+    });
+  });
+
+  describe("upsertMessages", () => {
+    beforeEach(() => {
+      useMessageStore.getState().setMessages([
+        { uuid: "temp-1", text: "Sending", createdAt: 9000, status: "sending" },
+        { uuid: "m3", text: "Third", createdAt: 3000 },
+        { uuid: "m1", text: "First", createdAt: 1000 },
+      ]);
+    });
+
+    it("inserts unknown messages by createdAt and updates known ones", () => {
+      const result = useMessageStore.getState().upsertMessages([
+        { uuid: "m4", text: "Fourth", createdAt: 4000 },
+        { uuid: "m1", text: "First (edited)", editedAt: 5000 },
+        { uuid: "m2", text: "Second", createdAt: 2000 },
+        { uuid: "m0", deletedAt: 6000 },
+      ]);
+
+      expect(result).toEqual({ added: 2, updated: 1 });
+      const { messages, getMessageByUuid } = useMessageStore.getState();
+      expect(messages.map((m) => m.uuid)).toEqual([
+        "temp-1",
+        "m4",
+        "m3",
+        "m2",
+        "m1",
+      ]);
+      expect(getMessageByUuid("m1")).toMatchObject({
+        text: "First (edited)",
+        createdAt: 1000,
+      });
+      expect(getMessageByUuid("m2").participant.name).toBe("Unknown User");
+    });
+
+    it("leaves unknown messages older than the loaded window to paging", () => {
+      const result = useMessageStore.getState().upsertMessages([
+        { uuid: "m-old", text: "Edited long ago", createdAt: 500 },
+        { uuid: "m2", text: "Second", createdAt: 2000 },
+      ]);
+
+      expect(result).toEqual({ added: 1, updated: 0 });
+      const { messages, getOldestMessage } = useMessageStore.getState();
+      expect(messages.map((m) => m.uuid)).not.toContain("m-old");
+      expect(getOldestMessage().uuid).toBe("m1");
+    });
+
+    it("writes the whole batch with a single store update", () => {
+      const listener = jest.fn();
+      const unsubscribe = useMessageStore.subscribe(listener);
+
+      useMessageStore.getState().upsertMessages([
+        { uuid: "m2", text: "Second", createdAt: 2000 },
+        { uuid: "m5", text: "Fifth", createdAt: 5000 },
+        { uuid: "m3", text: "Third (edited)" },
+      ]);
+      useMessageStore.getState().upsertMessages([]);
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it("keeps a pending local edit and drops the server copy on confirm", () => {
+      const store = useMessageStore.getState();
+      store.editMessageOptimistic("m3", "Mine");
+      store.upsertMessages([
+        { uuid: "m3", text: "Theirs" },
+        { uuid: "m9", text: "Sent", createdAt: 9000 },
+      ]);
+      expect(store.getMessageByUuid("m3").text).toBe("Mine");
+
+      store.replaceMessage("temp-1", { uuid: "m9", text: "Sent" });
+      const uuids = useMessageStore.getState().messages.map((m) => m.uuid);
+      expect(uuids.filter((uuid) => uuid === "m9")).toHaveLength(1);
+      expect(uuids).not.toContain("temp-1");
+    });
+  });
+
+  describe("participant references", () => {
+    it("stores the sender uuid alongside the embedded copy", () => {
+      const store = useMessageStore.getState();
+      store.addMessage({
+        uuid: "m1",
+        text: "Hi",
+        participant: { uuid: "u1", name: "Ana" },
+      });
+      store.addMessage({ uuid: "m2", text: "Anon" });
+
+      expect(store.getMessageByUuid("m1")).toMatchObject({
+        participantUuid: "u1",
+        participant: { uuid: "u1", name: "Ana" },
+      });
+      expect(store.getMessageByUuid("m2")).toMatchObject({
+        participantUuid: "unknown",
+        participant: { uuid: "unknown", name: "Unknown User" },
+      });
+      expect(store.getMessagesByParticipant("u1")).toHaveLength(1);
+    });
+
+    it("takes the newest embedded copy from updates", () => {
+      const store = useMessageStore.getState();
+      store.setMessages([
+        {
+          uuid: "m1",
+          text: "Hi",
+          createdAt: 1000,
+          participant: { uuid: "u1", name: "Ana", avatarUrl: "a.png" },
+        },
+      ]);
+
+      store.updateMessage({
+        uuid: "m1",
+        participant: { uuid: "u1", name: "Ana B." },
+      });
+      expect(store.getMessageByUuid("m1").participant).toEqual({
+        uuid: "u1",
+        name: "Ana B.",
+        avatarUrl: "a.png",
+      });
+
+      store.updateMessage({ uuid: "m1", text: "Hi (edited)" });
+      expect(store.getMessageByUuid("m1")).toMatchObject({
+        participantUuid: "u1",
+        participant: { name: "Ana B." },
+      });
+    });
+  });
+
+  describe("mergeLatestMessages", () => {
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      useMessageStore.getState().setMessages([
+        { uuid: "temp-1", text: "Sending", createdAt: 9000, status: "sending" },
+        { uuid: "m3", text: "Third", createdAt: 3000 },
+        { uuid: "m2", text: "Second", createdAt: 2000 },
+        { uuid: "m1", text: "First", createdAt: 1000 },
+      ]);
+    });
+
+    it("keeps older pages, pending sends and local edits", () => {
+      const store = useMessageStore.getState();
+      store.editMessageOptimistic("m3", "Mine");
+
+      const result = store.mergeLatestMessages([
+        { uuid: "m4", text: "Fourth", createdAt: 4000 },
+        { uuid: "m3", text: "Third", createdAt: 3000 },
+      ]);
+
+      expect(result).toEqual({ added: 1, updated: 1, gap: null });
+      const { messages, gaps, getMessageByUuid } = useMessageStore.getState();
+      expect(messages.map((m) => m.uuid)).toEqual([
+        "temp-1",
+        "m4",
+        "m3",
+        "m2",
+        "m1",
+      ]);
+      expect(getMessageByUuid("m3").text).toBe("Mine");
+      expect(gaps).toEqual([]);
+    });
+
+    it("records a gap when the window doesn't reach the stored messages", () => {
+      const { gap } = useMessageStore.getState().mergeLatestMessages([
+        { uuid: "m9", text: "Ninth", createdAt: 9500 },
+        { uuid: "m8", text: "Eighth", createdAt: 8000 },
+      ]);
+
+      expect(gap).toMatchObject({ newerUuid: "m8", olderUuid: "m3" });
+      const { messages, gaps } = useMessageStore.getState();
+      expect(gaps).toEqual([gap]);
+      expect(messages.map((m) => m.uuid)).toEqual([
+        "m9",
+        "temp-1",
+        "m8",
+        "m3",
+        "m2",
+        "m1",
+      ]);
+    });
+  });
+
+  describe("edit and delete", () => {
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      useMessageStore
+        .getState()
+        .setMessages([{ uuid: "m1", text: "Original", createdAt: 1000 }]);
+    });
+
+    it("applies an edit optimistically and rolls it back", () => {
+      const store = useMessageStore.getState();
+      expect(store.editMessageOptimistic("m1", "Edited")).toBe(true);
+      expect(store.getMessageByUuid("m1").text).toBe("Edited");
+      expect(store.getMessageByUuid("m1").editedAt).toBeTruthy();
+
+      store.revertMessageChange("m1");
+      expect(useMessageStore.getState().getMessageByUuid("m1").text).toBe(
+        "Original",
+      );
+    });
+
+    it("shows a tombstone for optimistic deletes until confirmed", () => {
+      const store = useMessageStore.getState();
+      store.deleteMessageOptimistic("m1");
+      expect(store.getMessageByUuid("m1")).toMatchObject({
+        status: "deleted",
+        text: "",
+      });
+
+      store.confirmMessageChange("m1", { success: true });
+      expect(useMessageStore.getState().pendingChanges.size).toBe(0);
+      expect(store.getMessageByUuid("m1").status).toBe("deleted");
+    });
+
+    it("applies edits and deletions from the updates feed", () => {
+      const store = useMessageStore.getState();
+      store.updateMessage({ uuid: "m1", text: "Changed", editedAt: 2000 });
+      expect(store.getMessageByUuid("m1").text).toBe("Changed");
+
+      store.updateMessage({ uuid: "m1", deletedAt: 3000 });
+      expect(store.getMessageByUuid("m1").status).toBe("deleted");
+    });
+
+    it("keeps a pending local edit when the feed reports an older copy", () => {
+      const store = useMessageStore.getState();
+      store.editMessageOptimistic("m1", "Mine");
+      store.updateMessage({ uuid: "m1", text: "Theirs", editedAt: 2000 });
+      expect(store.getMessageByUuid("m1").text).toBe("Mine");
+
+      store.revertMessageChange("m1");
+      expect(store.getMessageByUuid("m1").text).toBe("Theirs");
+    });
+  });
+
+  describe("removing reactions", () => {
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      useMessageStore.getState().setMessages([
+        {
+          uuid: "m1",
+          text: "Hi",
+          createdAt: 1000,
+          reactions: [
+            { emoji: "👍", participants: ["you", "u1"] },
+            { emoji: "🎉", participants: ["u1"] },
+          ],
+        },
+      ]);
+    });
+
+    const reactionsOf = () =>
+      selectMessagesWithReactions(useMessageStore.getState())[0].reactions;
+
+    it("hides our reaction right away and keeps it gone once confirmed", () => {
+      const store = useMessageStore.getState();
+      const key = store.removeReactionOptimistic("m1", "👍");
+      expect(key).toBeTruthy();
+      expect(reactionsOf().find((r) => r.emoji === "👍")).toMatchObject({
+        count: 1,
+        isOwnReaction: false,
+      });
+
+      store.confirmReaction(key, { success: true, mock: true });
+      expect(useMessageStore.getState().optimisticMessages.size).toBe(0);
+      expect(reactionsOf().find((r) => r.emoji === "👍").count).toBe(1);
+    });
+
+    it("restores the reaction when the removal is reverted", () => {
+      const store = useMessageStore.getState();
+      store.revertReaction(store.removeReactionOptimistic("m1", "👍"));
+      expect(reactionsOf().find((r) => r.emoji === "👍").participants).toEqual([
+        "you",
+        "u1",
+      ]);
+    });
+
+    it("only removes reactions that are ours", () => {
+      const store = useMessageStore.getState();
+      expect(store.removeReactionOptimistic("m1", "🎉")).toBeNull();
+      expect(store.removeReactionOptimistic("m1", "🔥")).toBeNull();
+    });
+  });
+});
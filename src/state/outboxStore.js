@@ -0,0 +1,76 @@
+// src/state/outboxStore.js
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { createPersistOptions } from "../utils/storage";
+
+// Persisted schema version - bump and add a migration when the shape changes
+const OUTBOX_STORE_VERSION = 1;
+
+/**
+ * Messages waiting to be delivered. Each entry mirrors a `temp-` message in
+ * messageStore and survives restarts so nothing typed offline is lost.
+ *
+ * Entry: { tempId, text, replyTo, attachment, uploadedUrl, createdAt,
+ *          attempts, status, retryable }
+ *  - status: "pending" | "sending" | "failed"
+ *  - retryable: true when the last failure was a network error
+ *  - attachment: local image `{ uri, name, type }`; uploadedUrl is set once
+ *    its upload finishes so retries don't upload it again
+ */
+const useOutboxStore = create(
+  persist(
+    (set, get) => ({
+      entries: [],
+
+      enqueue: (entry) => {
+        if (!entry?.tempId) {
+          console.error("enqueue: Outbox entry missing tempId:", entry);
+          return;
+        }
+
+        const { entries } = get();
+        if (entries.some((e) => e.tempId === entry.tempId)) return;
+
+        set({
+          entries: [
+            ...entries,
+            { attempts: 0, status: "pending", retryable: true, ...entry },
+          ],
+        });
+      },
+
+      updateEntry: (tempId, changes) => {
+        const { entries } = get();
+        set({
+          entries: entries.map((e) =>
+            e.tempId === tempId ? { ...e, ...changes } : e,
+          ),
+        });
+      },
+
+      removeEntry: (tempId) => {
+        const { entries } = get();
+        set({ entries: entries.filter((e) => e.tempId !== tempId) });
+      },
+
+      getEntry: (tempId) => {
+        const { entries } = get();
+        return entries.find((e) => e.tempId === tempId) || null;
+      },
+
+      clearOutbox: () => set({ entries: [] }),
+    }),
+    createPersistOptions("outboxStore", {
+      version: OUTBOX_STORE_VERSION,
+      partialize: ({ entries }) => ({
+        // A send in flight when the app died may or may not have landed;
+        // retry it rather than leave it stuck as "sending"
+        entries: entries.map((e) =>
+          e.status === "sending" ? { ...e, status: "pending" } : e,
+        ),
+      }),
+    }),
+  ),
+);
+
+export default useOutboxStore;
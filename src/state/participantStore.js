@@ -1,85 +1,195 @@
 // src/state/participantStore.js
 import { create } from "zustand";
-
-const useParticipantStore = create((set, get) => ({
-  participants: [],
-  isLoaded: false,
-  lastUpdated: 0,
-
-  setParticipants: (list) => {
-    if (!Array.isArray(list)) {
-      console.error("setParticipants: Expected array, received:", typeof list);
-      return;
-    }
-
-    set({
-      participants: list,
-      isLoaded: true,
-      lastUpdated: Date.now(),
-    });
-  },
-
-  updateParticipant: (updatedParticipant) => {
-    if (!updatedParticipant || !updatedParticipant.uuid) {
-      console.error("Invalid participant object:", updatedParticipant);
-      return;
-    }
-
-    const { participants } = get();
-    const updated = participants.map((p) =>
-      p.uuid === updatedParticipant.uuid ? { ...p, ...updatedParticipant } : p,
-    );
-
-    set({ participants: updated, lastUpdated: Date.now() });
-  },
-
-  addParticipant: (participant) => {
-    if (!participant || !participant.uuid) {
-      console.error("Invalid participant object:", participant);
-      return;
-    }
-
-    const { participants } = get();
-    const exists = participants.some((p) => p.uuid === participant.uuid);
-
-    if (!exists) {
-      set({
-        participants: [...participants, participant],
-        lastUpdated: Date.now(),
-      });
-    }
-  },
-
-  findParticipant: (uuid) => {
-    const { participants } = get();
-    return participants.find((p) => p.uuid === uuid) || null;
-  },
-
-  searchParticipants: (searchTerm) => {
-    const { participants } = get();
-    if (!searchTerm) return participants;
-
-    const term = searchTerm.toLowerCase();
-    return participants.filter(
-      (p) =>
-        p.name?.toLowerCase().includes(term) ||
-        p.email?.toLowerCase().includes(term),
-    );
-  },
-
-  clearParticipants: () => {
-    set({ participants: [], isLoaded: false, lastUpdated: 0 });
-  },
-
-  getTimeSinceUpdate: () => {
-    const { lastUpdated } = get();
-    return lastUpdated ? Date.now() - lastUpdated : Infinity;
-  },
-
-  needsRefresh: (maxAge = 5 * 60 * 1000) => {
-    const { lastUpdated } = get();
-    return !lastUpdated || Date.now() - lastUpdated > maxAge;
-  },
-}));
+import { persist } from "zustand/middleware";
+import { createPersistOptions } from "../utils/storage";
+
+// Persisted schema version - bump and add a migration when the shape changes
+const PARTICIPANT_STORE_VERSION = 1;
+
+// The updates feed may mark someone leaving in any of these ways
+const isDeparture = (participant) =>
+  participant.deleted === true ||
+  !!participant.deletedAt ||
+  !!participant.leftAt ||
+  participant.status === "left";
+
+// uuid -> participant, rebuilt only when the list changes so every bubble
+// can look up its sender without scanning the whole list
+let lastParticipants = null;
+let lastParticipantIndex = new Map();
+
+export const selectParticipantIndex = (state) => {
+  if (state.participants !== lastParticipants) {
+    lastParticipants = state.participants;
+    lastParticipantIndex = new Map(state.participants.map((p) => [p.uuid, p]));
+  }
+  return lastParticipantIndex;
+};
+
+// Same record back until that participant changes, so subscribers to one
+// uuid don't re-render when someone else updates their profile
+export const selectParticipantByUuid = (state, uuid) =>
+  (uuid && selectParticipantIndex(state).get(uuid)) || null;
+
+const useParticipantStore = create(
+  persist(
+    (set, get) => ({
+      participants: [],
+      isLoaded: false,
+      lastUpdated: 0,
+
+      setParticipants: (list) => {
+        if (!Array.isArray(list)) {
+          console.error(
+            "setParticipants: Expected array, received:",
+            typeof list,
+          );
+          return;
+        }
+
+        set({
+          participants: list,
+          isLoaded: true,
+          lastUpdated: Date.now(),
+        });
+      },
+
+      updateParticipant: (updatedParticipant) => {
+        if (!updatedParticipant || !updatedParticipant.uuid) {
+          console.error("Invalid participant object:", updatedParticipant);
+          return;
+        }
+
+        const { participants } = get();
+        const updated = participants.map((p) =>
+          p.uuid === updatedParticipant.uuid
+            ? { ...p, ...updatedParticipant }
+            : p,
+        );
+
+        set({ participants: updated, lastUpdated: Date.now() });
+      },
+
+      /**
+       * Apply a batch from the updates feed in one store write. Unknown
+       * participants are added and leavers kept as `left: true` tombstones,
+       * so their old messages still resolve.
+       * @returns {{joined:Array<Object>, left:Array<Object>, updated:number}}
+       *   joined is empty until the full list has loaded once
+       */
+      upsertParticipants: (list) => {
+        const result = { joined: [], left: [], updated: 0 };
+        if (!Array.isArray(list)) {
+          console.error(
+            "upsertParticipants: Expected array, received:",
+            typeof list,
+          );
+          return result;
+        }
+
+        const { participants, isLoaded } = get();
+        const next = [...participants];
+        const indexByUuid = new Map(participants.map((p, i) => [p.uuid, i]));
+
+        list.forEach((update) => {
+          if (!update || !update.uuid) {
+            console.warn("upsertParticipants: Skipping invalid participant");
+            return;
+          }
+
+          const index = indexByUuid.get(update.uuid);
+          const existing = index === undefined ? null : next[index];
+
+          if (isDeparture(update)) {
+            // Nothing to keep for someone who left before we saw them
+            if (!existing) return;
+            next[index] = { ...existing, ...update, left: true };
+            if (!existing.left) result.left.push(next[index]);
+            else result.updated += 1;
+            return;
+          }
+
+          if (!existing) {
+            indexByUuid.set(update.uuid, next.length);
+            next.push({ ...update, left: false });
+            if (isLoaded) result.joined.push(update);
+            return;
+          }
+
+          next[index] = {
+            ...existing,
+            ...update,
+            left: false,
+            leftAt: null,
+            deletedAt: null,
+          };
+          if (existing.left) result.joined.push(next[index]);
+          else result.updated += 1;
+        });
+
+        const changed =
+          result.joined.length + result.left.length + result.updated;
+        if (changed > 0 || next.length !== participants.length) {
+          set({ participants: next, lastUpdated: Date.now() });
+        }
+        return result;
+      },
+
+      addParticipant: (participant) => {
+        if (!participant || !participant.uuid) {
+          console.error("Invalid participant object:", participant);
+          return;
+        }
+
+        const { participants } = get();
+        const exists = participants.some((p) => p.uuid === participant.uuid);
+
+        if (!exists) {
+          set({
+            participants: [...participants, participant],
+            lastUpdated: Date.now(),
+          });
+        }
+      },
+
+      findParticipant: (uuid) => selectParticipantByUuid(get(), uuid),
+
+      searchParticipants: (searchTerm) => {
+        const { participants } = get();
+        const active = participants.filter((p) => !p.left);
+        if (!searchTerm) return active;
+
+        const term = searchTerm.toLowerCase();
+        return active.filter(
+          (p) =>
+            p.name?.toLowerCase().includes(term) ||
+            p.email?.toLowerCase().includes(term),
+        );
+      },
+
+      clearParticipants: () => {
+        set({ participants: [], isLoaded: false, lastUpdated: 0 });
+      },
+
+      getTimeSinceUpdate: () => {
+        const { lastUpdated } = get();
+        return lastUpdated ? Date.now() - lastUpdated : Infinity;
+      },
+
+      needsRefresh: (maxAge = 5 * 60 * 1000) => {
+        const { lastUpdated } = get();
+        return !lastUpdated || Date.now() - lastUpdated > maxAge;
+      },
+    }),
+    createPersistOptions("participantStore", {
+      version: PARTICIPANT_STORE_VERSION,
+      partialize: ({ participants, isLoaded, lastUpdated }) => ({
+        participants,
+        isLoaded,
+        lastUpdated,
+      }),
+    }),
+  ),
+);
 
 export default useParticipantStore;
@@ -0,0 +1,103 @@
+// src/state/participantStore.test.js
+import useParticipantStore, {
+  selectParticipantByUuid,
+} from "./participantStore";
+import useSystemEventStore from "./systemEventStore";
+
+describe("participantStore", () => {
+  const ana = { uuid: "u1", name: "Ana" };
+  const ben = { uuid: "u2", name: "Ben" };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    useParticipantStore.getState().setParticipants([ana]);
+    useSystemEventStore.getState().clearSystemEvents();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("upsertParticipants", () => {
+    it("adds newcomers and patches known participants in one write", () => {
+      const listener = jest.fn();
+      const unsubscribe = useParticipantStore.subscribe(listener);
+
+      const result = useParticipantStore
+        .getState()
+        .upsertParticipants([{ uuid: "u1", name: "Ana B." }, ben]);
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ joined: [ben], left: [], updated: 1 });
+      const { participants } = useParticipantStore.getState();
+      expect(participants.map((p) => p.name)).toEqual(["Ana B.", "Ben"]);
+    });
+
+    it("keeps leavers as tombstones and reports each change once", () => {
+      const store = useParticipantStore.getState();
+      const first = store.upsertParticipants([
+        { uuid: "u1", deletedAt: 5000 },
+        { uuid: "u9", deleted: true },
+      ]);
+      const again = store.upsertParticipants([{ uuid: "u1", leftAt: 6000 }]);
+
+      expect(first.left).toEqual([
+        expect.objectContaining({ uuid: "u1", name: "Ana", left: true }),
+      ]);
+      expect(again.left).toEqual([]);
+      expect(store.findParticipant("u1")).toMatchObject({ left: true });
+      expect(store.findParticipant("u9")).toBeNull();
+      expect(store.searchParticipants("ana")).toEqual([]);
+
+      const back = store.upsertParticipants([{ uuid: "u1", name: "Ana" }]);
+      expect(back.joined).toHaveLength(1);
+      expect(store.findParticipant("u1").left).toBe(false);
+    });
+
+    it("adds silently before the full list has loaded", () => {
+      useParticipantStore.getState().clearParticipants();
+      const { joined } = useParticipantStore
+        .getState()
+        .upsertParticipants([ana, ben]);
+      expect(joined).toEqual([]);
+      expect(useParticipantStore.getState().participants).toHaveLength(2);
+    });
+  });
+
+  it("resolves by uuid and keeps untouched records stable", () => {
+    const store = useParticipantStore.getState();
+    store.upsertParticipants([ben]);
+    const before = selectParticipantByUuid(
+      useParticipantStore.getState(),
+      "u1",
+    );
+
+    store.upsertParticipants([{ uuid: "u2", name: "Benjamin" }]);
+    const state = useParticipantStore.getState();
+
+    expect(selectParticipantByUuid(state, "u1")).toBe(before);
+    expect(selectParticipantByUuid(state, "u2").name).toBe("Benjamin");
+    expect(selectParticipantByUuid(state, "missing")).toBeNull();
+    expect(store.findParticipant("u2").name).toBe("Benjamin");
+  });
+
+  it("turns joins and departures into ordered system events", () => {
+    useSystemEventStore.getState().addParticipantEvents({
+      joined: [{ ...ben, createdAt: 2000 }],
+      left: [{ ...ana, leftAt: 1000 }],
+    });
+    useSystemEventStore.getState().addParticipantEvents({
+      joined: [{ ...ben, createdAt: 2000 }],
+    });
+
+    const { events } = useSystemEventStore.getState();
+    expect(
+      events.map((e) => [e.type, e.participant.uuid, e.createdAt]),
+    ).toEqual([
+      ["left", "u1", 1000],
+      ["joined", "u2", 2000],
+    ]);
+  });
+});
@@ -0,0 +1,27 @@
+// src/state/rateLimitStore.js
+import { create } from "zustand";
+
+/**
+ * Server rate-limit window, written by the governor in api/rateLimit.
+ * `pausedUntil` (ms epoch) is when requests may go out again; the quota
+ * fields mirror the last `X-RateLimit-*` headers seen.
+ */
+const useRateLimitStore = create((set, get) => ({
+  pausedUntil: 0,
+  limit: null,
+  remaining: null,
+  resetAt: null,
+
+  // Windows only ever extend; an earlier reset never shortens a pause
+  pauseUntil: (time) => {
+    if (time > get().pausedUntil) set({ pausedUntil: time });
+  },
+
+  updateQuota: ({ limit, remaining, resetAt }) =>
+    set({ limit, remaining, resetAt }),
+
+  clearRateLimit: () =>
+    set({ pausedUntil: 0, limit: null, remaining: null, resetAt: null }),
+}));
+
+export default useRateLimitStore;
@@ -0,0 +1,19 @@
+// src/state/replyStore.js
+import { create } from "zustand";
+
+// Shared so any bubble can start a reply that MessageInput picks up
+const useReplyStore = create((set) => ({
+  replyTo: null,
+
+  startReply: (message) => {
+    if (!message || !message.uuid) {
+      console.error("startReply: Invalid message object:", message);
+      return;
+    }
+    set({ replyTo: message });
+  },
+
+  cancelReply: () => set({ replyTo: null }),
+}));
+
+export default useReplyStore;
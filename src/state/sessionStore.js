@@ -1,17 +1,45 @@
 // src/state/sessionStore.js
 import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { createPersistOptions } from "../utils/storage";
 
-const useSessionStore = create((set) => ({
-  sessionUuid: "",
-  apiVersion: 0,
-  lastUpdateTime: 0,
+// Persisted schema version - bump and add a migration when the shape changes
+const SESSION_STORE_VERSION = 1;
 
-  setSession: ({ sessionUuid, apiVersion }) => set({ sessionUuid, apiVersion }),
+const useSessionStore = create(
+  persist(
+    (set) => ({
+      sessionUuid: "",
+      apiVersion: 0,
+      // Sync cursor on the server's clock (see utils/syncCursor)
+      lastUpdateTime: 0,
+      // Server clock minus device clock in ms; null until /info reports a time
+      clockSkew: null,
 
-  setLastUpdateTime: (time) => set({ lastUpdateTime: time }),
+      setSession: ({ sessionUuid, apiVersion }) =>
+        set({ sessionUuid, apiVersion }),
 
-  clearSession: () =>
-    set({ sessionUuid: "", apiVersion: 0, lastUpdateTime: 0 }),
-}));
+      setLastUpdateTime: (time) => set({ lastUpdateTime: time }),
+
+      setClockSkew: (clockSkew) => set({ clockSkew }),
+
+      clearSession: () =>
+        set({
+          sessionUuid: "",
+          apiVersion: 0,
+          lastUpdateTime: 0,
+          clockSkew: null,
+        }),
+    }),
+    createPersistOptions("sessionStore", {
+      version: SESSION_STORE_VERSION,
+      partialize: ({ sessionUuid, apiVersion, lastUpdateTime }) => ({
+        sessionUuid,
+        apiVersion,
+        lastUpdateTime,
+      }),
+    }),
+  ),
+);
 
 export default useSessionStore;
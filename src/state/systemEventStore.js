@@ -0,0 +1,64 @@
+// src/state/systemEventStore.js
+import { create } from "zustand";
+
+import { toTimestamp } from "../utils/timestamps";
+
+// Oldest notices are dropped beyond this many
+export const MAX_SYSTEM_EVENTS = 50;
+
+// When it happened on the server, falling back to now
+const eventTime = (...values) =>
+  values.map(toTimestamp).find((time) => time > 0) || Date.now();
+
+/**
+ * "X joined" / "X left" notices shown inline in the message list. Kept
+ * apart from messageStore: the server doesn't know them, so they must
+ * never become paging cursors or sync input.
+ * Event: `{ id, type: "joined"|"left", participant, createdAt }`
+ */
+const useSystemEventStore = create((set) => ({
+  events: [],
+
+  addParticipantEvents: ({ joined = [], left = [] }) => {
+    const events = [
+      ...joined.map((participant) => ({
+        type: "joined",
+        participant,
+        createdAt: eventTime(
+          participant.joinedAt,
+          participant.createdAt,
+          participant.updatedAt,
+        ),
+      })),
+      ...left.map((participant) => ({
+        type: "left",
+        participant,
+        createdAt: eventTime(
+          participant.leftAt,
+          participant.deletedAt,
+          participant.updatedAt,
+        ),
+      })),
+    ].map((event) => ({
+      ...event,
+      id: `system-${event.type}-${event.participant.uuid}-${event.createdAt}`,
+    }));
+    if (events.length === 0) return;
+
+    events.forEach((event) =>
+      console.log(`👋 ${event.participant.name || "Someone"} ${event.type}`),
+    );
+    set((state) => {
+      const known = new Set(state.events.map((e) => e.id));
+      return {
+        events: [...state.events, ...events.filter((e) => !known.has(e.id))]
+          .sort((a, b) => a.createdAt - b.createdAt)
+          .slice(-MAX_SYSTEM_EVENTS),
+      };
+    });
+  },
+
+  clearSystemEvents: () => set({ events: [] }),
+}));
+
+export default useSystemEventStore;
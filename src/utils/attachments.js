@@ -0,0 +1,107 @@
+// src/utils/attachments.js
+
+// Cells in the bubble grid; anything beyond this shows as "+N"
+export const MAX_GRID_CELLS = 4;
+export const GRID_GAP = 2;
+
+const DEFAULT_ASPECT_RATIO = 4 / 3;
+
+const toDimension = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const toAttachment = (entry) => {
+  if (typeof entry === "string") {
+    return entry
+      ? { uuid: null, type: "image", url: entry, width: null, height: null }
+      : null;
+  }
+
+  const url = entry?.url || entry?.uri;
+  if (!url) return null;
+
+  return {
+    ...entry,
+    uuid: entry.uuid || null,
+    type: entry.type || "image",
+    url,
+    width: toDimension(entry.width),
+    height: toDimension(entry.height),
+  };
+};
+
+/**
+ * Attachments of a message as `{ uuid, type, url, width, height }`.
+ * The legacy single `image` string (also used for local previews while
+ * uploading) is folded in as the first attachment when it isn't listed.
+ */
+export const normalizeAttachments = (message) => {
+  if (!message) return [];
+
+  const attachments = (
+    Array.isArray(message.attachments) ? message.attachments : []
+  )
+    .map(toAttachment)
+    .filter(Boolean);
+
+  const legacy = toAttachment(message.image);
+  if (legacy && !attachments.some((a) => a.url === legacy.url)) {
+    attachments.unshift(legacy);
+  }
+
+  return attachments;
+};
+
+export const getImageAttachments = (message) =>
+  normalizeAttachments(message).filter((a) => a.type === "image");
+
+const aspectRatioOf = (attachment) =>
+  attachment?.width && attachment?.height
+    ? attachment.width / attachment.height
+    : DEFAULT_ASPECT_RATIO;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Pixel sizes for each visible cell of a `width`-wide grid, so the bubble
+ * has its final height before any image loads:
+ *  1 - full width at its own aspect ratio
+ *  2 - two squares side by side
+ *  3 - one wide image over two squares
+ *  4+ - 2x2 squares, the last one carrying the "+N" overlay
+ */
+export const getAttachmentGridLayout = (attachments, width) => {
+  const count = Math.min(attachments.length, MAX_GRID_CELLS);
+  const half = (width - GRID_GAP) / 2;
+
+  if (count === 0) return [];
+
+  if (count === 1) {
+    const height = clamp(
+      width / aspectRatioOf(attachments[0]),
+      width * 0.5,
+      width * 1.25,
+    );
+    return [{ index: 0, width, height }];
+  }
+
+  if (count === 3) {
+    const height = clamp(
+      width / aspectRatioOf(attachments[0]),
+      width * 0.4,
+      width * 0.75,
+    );
+    return [
+      { index: 0, width, height },
+      { index: 1, width: half, height: half },
+      { index: 2, width: half, height: half },
+    ];
+  }
+
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    width: half,
+    height: half,
+  }));
+};
@@ -0,0 +1,57 @@
+// src/utils/attachments.test.js
+import {
+  GRID_GAP,
+  getAttachmentGridLayout,
+  normalizeAttachments,
+} from "./attachments";
+
+describe("attachments", () => {
+  it("normalizes attachment entries and folds in the legacy image", () => {
+    expect(
+      normalizeAttachments({
+        image: "https://img/legacy.png",
+        attachments: [
+          { uuid: "a1", url: "https://img/a.png", width: "800", height: 600 },
+          { uuid: "a2", type: "file", url: "https://files/doc.pdf" },
+          { uuid: "a3" },
+        ],
+      }),
+    ).toEqual([
+      {
+        uuid: null,
+        type: "image",
+        url: "https://img/legacy.png",
+        width: null,
+        height: null,
+      },
+      {
+        uuid: "a1",
+        type: "image",
+        url: "https://img/a.png",
+        width: 800,
+        height: 600,
+      },
+      {
+        uuid: "a2",
+        type: "file",
+        url: "https://files/doc.pdf",
+        width: null,
+        height: null,
+      },
+    ]);
+  });
+
+  it("sizes a single image from its aspect ratio", () => {
+    const [cell] = getAttachmentGridLayout([{ width: 400, height: 200 }], 200);
+    expect(cell).toEqual({ index: 0, width: 200, height: 100 });
+  });
+
+  it("uses a 2x2 grid for four or more images", () => {
+    const layout = getAttachmentGridLayout(new Array(6).fill({}), 202);
+    const half = (202 - GRID_GAP) / 2;
+    expect(layout).toHaveLength(4);
+    expect(layout.every((c) => c.width === half && c.height === half)).toBe(
+      true,
+    );
+  });
+});
@@ -23,3 +23,7 @@ export const formatDate = (timestamp) => {
 export const isSameDay = (a, b) => {
   return dayjs(a).isSame(b, "day");
 };
+
+export const formatRelativeTime = (timestamp) => {
+  return dayjs(timestamp).fromNow();
+};
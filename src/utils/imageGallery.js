@@ -0,0 +1,37 @@
+// src/utils/imageGallery.js
+import { getImageAttachments } from "./attachments";
+import { toTimestamp } from "./timestamps";
+
+/**
+ * Every viewable image in the loaded conversation, oldest first, in the
+ * shape ImagePreviewModal expects. Deleted messages are skipped.
+ */
+export const buildImageGallery = (messages) => {
+  if (!Array.isArray(messages)) return [];
+
+  return messages
+    .filter((m) => m && m.status !== "deleted")
+    .sort((a, b) => toTimestamp(a.createdAt) - toTimestamp(b.createdAt))
+    .flatMap((m) =>
+      getImageAttachments(m).map((attachment, attachmentIndex) => ({
+        url: attachment.url,
+        width: attachment.width,
+        height: attachment.height,
+        messageId: m.uuid,
+        attachmentIndex,
+        senderName: m.participant?.name || "Unknown",
+        createdAt: m.createdAt,
+      })),
+    );
+};
+
+// Gallery position of one of a message's images, or 0 if it isn't there
+export const findGalleryIndex = (gallery, messageId, attachmentIndex = 0) =>
+  Math.max(
+    0,
+    gallery.findIndex(
+      (item) =>
+        item.messageId === messageId &&
+        item.attachmentIndex === attachmentIndex,
+    ),
+  );
@@ -0,0 +1,70 @@
+// src/utils/imageGallery.test.js
+import { buildImageGallery, findGalleryIndex } from "./imageGallery";
+
+describe("imageGallery", () => {
+  const messages = [
+    {
+      uuid: "m3",
+      image: "https://img/3.png",
+      createdAt: 3000,
+      participant: { name: "Bob" },
+    },
+    { uuid: "m2", text: "No image", createdAt: 2000 },
+    {
+      uuid: "m1",
+      image: "https://img/1.png",
+      createdAt: 1000,
+      participant: { name: "Alice" },
+    },
+    {
+      uuid: "m0",
+      image: "https://img/0.png",
+      createdAt: 500,
+      status: "deleted",
+    },
+  ];
+
+  it("lists images oldest first and skips deleted messages", () => {
+    expect(buildImageGallery(messages)).toEqual([
+      expect.objectContaining({
+        url: "https://img/1.png",
+        messageId: "m1",
+        attachmentIndex: 0,
+        senderName: "Alice",
+        createdAt: 1000,
+      }),
+      expect.objectContaining({
+        url: "https://img/3.png",
+        messageId: "m3",
+        senderName: "Bob",
+        createdAt: 3000,
+      }),
+    ]);
+  });
+
+  it("includes every attachment of a message in order", () => {
+    const gallery = buildImageGallery([
+      ...messages,
+      {
+        uuid: "m4",
+        createdAt: 4000,
+        attachments: [
+          { type: "image", url: "https://img/4a.png" },
+          { type: "image", url: "https://img/4b.png" },
+        ],
+      },
+    ]);
+
+    expect(gallery.map((item) => item.url).slice(-2)).toEqual([
+      "https://img/4a.png",
+      "https://img/4b.png",
+    ]);
+    expect(findGalleryIndex(gallery, "m4", 1)).toBe(3);
+  });
+
+  it("finds the opened message's position", () => {
+    const gallery = buildImageGallery(messages);
+    expect(findGalleryIndex(gallery, "m3")).toBe(1);
+    expect(findGalleryIndex(gallery, "missing")).toBe(0);
+  });
+});
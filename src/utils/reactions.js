@@ -0,0 +1,178 @@
+// src/utils/reactions.js
+
+// Reactions by the current user are stored under this participant id
+export const OWN_PARTICIPANT_ID = "you";
+
+/**
+ * Fill in `count` and `isOwnReaction` from `participants` where the server
+ * leaves them out, and drop empty entries.
+ */
+export const normalizeReactions = (reactions, ownId = OWN_PARTICIPANT_ID) => {
+  if (!Array.isArray(reactions)) return [];
+
+  return reactions
+    .filter((r) => r && r.emoji)
+    .map((r) => {
+      const participants = Array.isArray(r.participants) ? r.participants : [];
+      return {
+        ...r,
+        count: typeof r.count === "number" ? r.count : participants.length || 0,
+        isOwnReaction:
+          typeof r.isOwnReaction === "boolean"
+            ? r.isOwnReaction
+            : participants.includes(ownId),
+      };
+    })
+    .filter((r) => r.count > 0);
+};
+
+/**
+ * Apply one pending add/remove on top of a reaction list.
+ * Adding twice or removing a reaction we don't have is a no-op.
+ */
+export const applyReactionChange = (reactions, change) => {
+  const { emoji, type, participantId = OWN_PARTICIPANT_ID } = change;
+  const index = reactions.findIndex((r) => r.emoji === emoji);
+  const existing = index === -1 ? null : reactions[index];
+  const participants = existing?.participants || [];
+
+  if (type === "remove") {
+    if (!existing?.isOwnReaction) return reactions;
+
+    const updated = {
+      ...existing,
+      count: Math.max(0, existing.count - 1),
+      isOwnReaction: false,
+      participants: participants.filter((p) => p !== participantId),
+    };
+    return updated.count === 0
+      ? reactions.filter((_, i) => i !== index)
+      : reactions.map((r, i) => (i === index ? updated : r));
+  }
+
+  if (existing?.isOwnReaction) return reactions;
+
+  if (!existing) {
+    return [
+      ...reactions,
+      {
+        emoji,
+        count: 1,
+        isOwnReaction: true,
+        participants: [participantId],
+      },
+    ];
+  }
+
+  const updated = {
+    ...existing,
+    count: existing.count + 1,
+    isOwnReaction: true,
+    participants: [...participants, participantId],
+  };
+  return reactions.map((r, i) => (i === index ? updated : r));
+};
+
+/**
+ * Overlay pending optimistic reactions (Map of key -> change) onto messages.
+ * Messages without pending changes are returned as-is so memoized rows
+ * don't re-render.
+ */
+export const applyOptimisticReactions = (messages, optimisticMessages) => {
+  if (!optimisticMessages || optimisticMessages.size === 0) return messages;
+
+  const changesByMessage = new Map();
+  const pending = [...optimisticMessages.values()].sort(
+    (a, b) => (a.timestamp || 0) - (b.timestamp || 0),
+  );
+  for (const change of pending) {
+    if (!changesByMessage.has(change.messageId)) {
+      changesByMessage.set(change.messageId, []);
+    }
+    changesByMessage.get(change.messageId).push(change);
+  }
+
+  return messages.map((msg) => {
+    const changes = changesByMessage.get(msg.uuid);
+    if (!changes) return msg;
+
+    const reactions = changes.reduce(
+      applyReactionChange,
+      normalizeReactions(msg.reactions),
+    );
+    return { ...msg, reactions };
+  });
+};
+
+/**
+ * Reaction list to store once the server confirms `change`. Real responses
+ * carry the full list; the mock fallback (and responses without reactions)
+ * only tell us the change went through, so apply it locally.
+ */
+export const reactionsFromServerResponse = (
+  currentReactions,
+  response,
+  change,
+) => {
+  const serverReactions = response?.message?.reactions ?? response?.reactions;
+
+  if (!response?.mock && Array.isArray(serverReactions)) {
+    return normalizeReactions(serverReactions);
+  }
+
+  return applyReactionChange(normalizeReactions(currentReactions), change);
+};
+
+// A participant as listed in `participants`: a uuid or a participant object
+const toParticipantId = (participant) =>
+  typeof participant === "string"
+    ? participant
+    : participant?.uuid ||
+      participant?.participantUuid ||
+      participant?.participantId ||
+      null;
+
+// A per-reactor entry; its own `uuid` is the reaction's, not the reactor's
+const toReactorId = (entry) =>
+  entry.participant != null
+    ? toParticipantId(entry.participant)
+    : entry.participantUuid || entry.participantId || null;
+
+/**
+ * Turn a `getMessageReactions` response into
+ * `[{ emoji, participantIds, count }]`. Accepts grouped entries
+ * (`{ emoji, participants }`) or one entry per reactor
+ * (`{ emoji, participantUuid }`). When the server has no breakdown (e.g. the
+ * 404 fallback) the message's own reaction list is used instead; its
+ * entries may only carry a `count`, so that can exceed `participantIds`.
+ */
+export const toReactionBreakdown = (response, fallbackReactions = []) => {
+  const entries = Array.isArray(response) ? response : response?.reactions;
+  const source =
+    Array.isArray(entries) && entries.length > 0 ? entries : fallbackReactions;
+
+  const byEmoji = new Map();
+  for (const entry of source || []) {
+    if (!entry?.emoji) continue;
+    if (!byEmoji.has(entry.emoji)) {
+      byEmoji.set(entry.emoji, { ids: new Set(), reported: 0 });
+    }
+    const group = byEmoji.get(entry.emoji);
+
+    const ids = Array.isArray(entry.participants)
+      ? entry.participants.map(toParticipantId)
+      : [toReactorId(entry)];
+    ids.filter(Boolean).forEach((id) => group.ids.add(id));
+    if (typeof entry.count === "number") {
+      group.reported = Math.max(group.reported, entry.count);
+    }
+  }
+
+  return [...byEmoji.entries()]
+    .map(([emoji, { ids, reported }]) => ({
+      emoji,
+      participantIds: [...ids],
+      count: Math.max(ids.size, reported),
+    }))
+    .filter((r) => r.count > 0);
+};
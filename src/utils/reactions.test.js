@@ -0,0 +1,94 @@
+// src/utils/reactions.test.js
+import {
+  applyOptimisticReactions,
+  normalizeReactions,
+  reactionsFromServerResponse,
+  toReactionBreakdown,
+} from "./reactions";
+
+describe("reactions", () => {
+  const message = {
+    uuid: "m1",
+    reactions: [{ emoji: "👍", count: 2, participants: ["a", "b"] }],
+  };
+
+  it("derives isOwnReaction and count from participants", () => {
+    expect(
+      normalizeReactions([{ emoji: "🔥", participants: ["you", "a"] }]),
+    ).toEqual([
+      {
+        emoji: "🔥",
+        participants: ["you", "a"],
+        count: 2,
+        isOwnReaction: true,
+      },
+    ]);
+  });
+
+  it("overlays pending adds and removes onto messages", () => {
+    const pending = new Map([
+      ["k1", { messageId: "m1", emoji: "👍", type: "add", timestamp: 1 }],
+      ["k2", { messageId: "m1", emoji: "❤️", type: "add", timestamp: 2 }],
+    ]);
+    const [result] = applyOptimisticReactions([message], pending);
+
+    expect(result.reactions).toEqual([
+      expect.objectContaining({ emoji: "👍", count: 3, isOwnReaction: true }),
+      expect.objectContaining({ emoji: "❤️", count: 1, isOwnReaction: true }),
+    ]);
+
+    pending.set("k3", {
+      messageId: "m1",
+      emoji: "❤️",
+      type: "remove",
+      timestamp: 3,
+    });
+    const [toggled] = applyOptimisticReactions([message], pending);
+    expect(toggled.reactions.map((r) => r.emoji)).toEqual(["👍"]);
+  });
+
+  it("returns the same array when nothing is pending", () => {
+    const messages = [message];
+    expect(applyOptimisticReactions(messages, new Map())).toBe(messages);
+  });
+
+  it("uses the server list when present, else applies the change locally", () => {
+    const change = { messageId: "m1", emoji: "👍", type: "add" };
+    const server = { message: { reactions: [{ emoji: "😂", count: 1 }] } };
+    expect(
+      reactionsFromServerResponse(message.reactions, server, change),
+    ).toEqual([{ emoji: "😂", count: 1, isOwnReaction: false }]);
+
+    const mock = { mock: true, message: { reactions: [] } };
+    expect(
+      reactionsFromServerResponse(message.reactions, mock, change)[0],
+    ).toMatchObject({ emoji: "👍", count: 3, isOwnReaction: true });
+  });
+
+  it("groups reaction details by emoji and falls back to the message", () => {
+    expect(
+      toReactionBreakdown({
+        reactions: [
+          { uuid: "r1", emoji: "👍", participantUuid: "a" },
+          { uuid: "r2", emoji: "👍", participant: { uuid: "b" } },
+          { emoji: "🔥", participants: [{ uuid: "a" }] },
+        ],
+      }),
+    ).toEqual([
+      { emoji: "👍", participantIds: ["a", "b"], count: 2 },
+      { emoji: "🔥", participantIds: ["a"], count: 1 },
+    ]);
+
+    expect(
+      toReactionBreakdown(
+        { reactions: [], messageId: "m1" },
+        message.reactions,
+      ),
+    ).toEqual([{ emoji: "👍", participantIds: ["a", "b"], count: 2 }]);
+
+    // Fallback reactions may only know how many reacted
+    expect(toReactionBreakdown([], [{ emoji: "❤️", count: 3 }])).toEqual([
+      { emoji: "❤️", participantIds: [], count: 3 },
+    ]);
+  });
+});
@@ -7,6 +7,10 @@
  */
 
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { createJSONStorage } from "zustand/middleware";
+
+// Prefix for every persisted store key so they are easy to find and wipe
+export const STORAGE_KEY_PREFIX = "tribe-chat";
 
 export const createStorageAdapter = (storeName = "unknown") => {
   // Detect environment
@@ -147,3 +151,42 @@ export const createRobustStorageAdapter = (storeName = "unknown") => {
     },
   };
 };
+
+/**
+ * Build a persist migration hook from a map of `version -> migrate(state)`.
+ * Step `n` upgrades state saved at version `n - 1`. If any step on the way
+ * to `targetVersion` is missing, the persisted data is treated as stale and
+ * dropped so the store starts from its defaults.
+ */
+export const createMigrate =
+  (storeName = "unknown", migrations = {}, targetVersion = 1) =>
+  (persistedState, fromVersion) => {
+    let state = persistedState;
+
+    for (let v = fromVersion + 1; v <= targetVersion; v++) {
+      if (!state || typeof migrations[v] !== "function") {
+        console.warn(
+          `[${storeName}] No migration from v${fromVersion} to v${targetVersion}, dropping persisted state`,
+        );
+        return {};
+      }
+      state = migrations[v](state);
+    }
+
+    return state || {};
+  };
+
+/**
+ * Shared zustand `persist` options for the app stores.
+ * Uses the robust adapter so a broken storage backend never crashes the app.
+ */
+export const createPersistOptions = (
+  storeName,
+  { version = 1, migrations = {}, ...options } = {},
+) => ({
+  name: `${STORAGE_KEY_PREFIX}:${storeName}`,
+  storage: createJSONStorage(() => createRobustStorageAdapter(storeName)),
+  version,
+  migrate: createMigrate(storeName, migrations, version),
+  ...options,
+});
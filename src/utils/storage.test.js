@@ -0,0 +1,54 @@
+// src/utils/storage.test.js
+import { createMigrate, createMemoryStorage } from "./storage";
+import {
+  partializeMessages,
+  MAX_PERSISTED_MESSAGES,
+} from "../state/messageStore";
+
+describe("storage", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("memory storage round-trips values", async () => {
+    const storage = createMemoryStorage();
+    await storage.setItem("key", "value");
+    expect(await storage.getItem("key")).toBe("value");
+    await storage.removeItem("key");
+    expect(await storage.getItem("key")).toBeNull();
+  });
+
+  it("runs migration steps in order up to the target version", () => {
+    const migrate = createMigrate(
+      "test",
+      {
+        2: (state) => ({ ...state, items: state.list }),
+        3: (state) => ({ items: state.items.map((i) => i * 2) }),
+      },
+      3,
+    );
+    expect(migrate({ list: [1, 2] }, 1)).toEqual({ items: [2, 4] });
+  });
+
+  it("drops persisted state when a migration step is missing", () => {
+    const migrate = createMigrate("test", {}, 2);
+    expect(migrate({ messages: [{ uuid: "1" }] }, 1)).toEqual({});
+  });
+
+  it("persists only confirmed messages, capped to the newest ones", () => {
+    const messages = [
+      { uuid: "temp-1", status: "sending" },
+      ...Array.from({ length: MAX_PERSISTED_MESSAGES + 5 }, (_, i) => ({
+        uuid: `m${i}`,
+        status: "sent",
+      })),
+    ];
+    const persisted = partializeMessages({ messages });
+    expect(persisted.messages).toHaveLength(MAX_PERSISTED_MESSAGES);
+    expect(persisted.messages[0].uuid).toBe("m0");
+  });
+});
@@ -0,0 +1,76 @@
+// src/utils/syncCursor.js
+// The `since` cursor for /messages/updates and /participants/updates is kept
+// on the server's clock, so a device clock that is off can't skip updates.
+
+import { toTimestamp } from "./timestamps";
+
+// Re-ask for this much before the cursor; covers skew estimation error and
+// writes that commit with a slightly older timestamp
+export const SYNC_OVERLAP_MS = 5000;
+
+// Fields the server stamps when it changes a message or participant
+const SERVER_TIME_FIELDS = ["updatedAt", "deletedAt", "editedAt", "createdAt"];
+
+/** Newest server timestamp on any of `items` (0 when there is none) */
+export const getLatestServerTime = (items) =>
+  (Array.isArray(items) ? items : []).reduce(
+    (latest, item) =>
+      SERVER_TIME_FIELDS.reduce(
+        (max, field) => Math.max(max, toTimestamp(item?.[field])),
+        latest,
+      ),
+    0,
+  );
+
+/** Server time from /info, whichever name the server uses for it */
+export const getServerTime = (serverInfo) =>
+  toTimestamp(
+    serverInfo?.serverTime ?? serverInfo?.time ?? serverInfo?.now ?? null,
+  );
+
+/**
+ * Offset of the server clock from the device clock (server - device), taking
+ * the server's time to be from halfway through the request.
+ * @returns {number|null} null when the response carried no server time
+ */
+export const estimateClockSkew = (
+  serverTime,
+  requestStartedAt,
+  respondedAt,
+) => {
+  const server = toTimestamp(serverTime);
+  if (!server) return null;
+  return Math.round(server - (requestStartedAt + respondedAt) / 2);
+};
+
+/**
+ * Move the cursor forward after an updates batch: to the newest server
+ * timestamp in it, or, when the skew is known, to the server's time when
+ * the request went out. Never moves backwards.
+ */
+export const advanceCursor = (
+  cursor,
+  items,
+  { requestStartedAt, clockSkew = null } = {},
+) => {
+  const fromItems = getLatestServerTime(items);
+  const fromClock =
+    clockSkew !== null && requestStartedAt ? requestStartedAt + clockSkew : 0;
+  return Math.max(cursor || 0, fromItems, fromClock);
+};
+
+/** `since` to send for a cursor, reaching back by the overlap window */
+export const toSinceParam = (cursor, overlapMs = SYNC_OVERLAP_MS) =>
+  Math.max(0, Math.floor(cursor - overlapMs));
+
+/**
+ * Drop updates we already hold in exactly that version, so the overlap
+ * window doesn't cause store writes for nothing.
+ * @param {(uuid:string) => Object|null} getKnown
+ */
+export const dropSeenUpdates = (items, getKnown) =>
+  (Array.isArray(items) ? items : []).filter((item) => {
+    const known = item?.uuid ? getKnown(item.uuid) : null;
+    if (!known || !item.updatedAt) return true;
+    return toTimestamp(item.updatedAt) !== toTimestamp(known.updatedAt);
+  });
@@ -0,0 +1,67 @@
+// src/utils/syncCursor.test.js
+import {
+  SYNC_OVERLAP_MS,
+  advanceCursor,
+  dropSeenUpdates,
+  estimateClockSkew,
+  getLatestServerTime,
+  getServerTime,
+  toSinceParam,
+} from "./syncCursor";
+
+describe("sync cursor", () => {
+  it("takes the newest server timestamp from a batch", () => {
+    expect(
+      getLatestServerTime([
+        { uuid: "m1", createdAt: 1000, updatedAt: 5000 },
+        { uuid: "m2", createdAt: "1970-01-01T00:00:07.000Z" },
+        { uuid: "p1", name: "No timestamps" },
+      ]),
+    ).toBe(7000);
+    expect(getLatestServerTime([])).toBe(0);
+  });
+
+  it("estimates skew from the middle of the request", () => {
+    expect(estimateClockSkew(10_500, 1000, 2000)).toBe(9000);
+    expect(estimateClockSkew(undefined, 1000, 2000)).toBeNull();
+    expect(getServerTime({ serverTime: "1970-01-01T00:00:10.000Z" })).toBe(
+      10000,
+    );
+  });
+
+  it("advances on server time and never moves backwards", () => {
+    const batch = [{ uuid: "m1", updatedAt: 8000 }];
+    expect(advanceCursor(5000, batch)).toBe(8000);
+    expect(advanceCursor(9000, batch)).toBe(9000);
+    // A device clock 1h behind still lands on the server's time
+    expect(
+      advanceCursor(5000, [], {
+        requestStartedAt: 20_000,
+        clockSkew: 3_600_000,
+      }),
+    ).toBe(3_620_000);
+    // Without a skew estimate the device clock is never used
+    expect(advanceCursor(5000, [], { requestStartedAt: 20_000 })).toBe(5000);
+  });
+
+  it("asks for an overlap window before the cursor", () => {
+    expect(toSinceParam(60_000)).toBe(60_000 - SYNC_OVERLAP_MS);
+    expect(toSinceParam(1000)).toBe(0);
+  });
+
+  it("drops updates already held in the same version", () => {
+    const known = {
+      m1: { uuid: "m1", updatedAt: 5000 },
+      m2: { uuid: "m2", updatedAt: 5000 },
+    };
+    const fresh = dropSeenUpdates(
+      [
+        { uuid: "m1", updatedAt: 5000 },
+        { uuid: "m2", updatedAt: 6000 },
+        { uuid: "m3", updatedAt: 6000 },
+      ],
+      (uuid) => known[uuid] || null,
+    );
+    expect(fresh.map((m) => m.uuid)).toEqual(["m2", "m3"]);
+  });
+});
@@ -0,0 +1,13 @@
+// src/utils/timestamps.js
+
+/**
+ * Milliseconds since the epoch for a Date, ISO string or number; 0 when the
+ * value is missing or unparseable, so it sorts as the oldest.
+ * @param {Date|string|number|null|undefined} value
+ * @returns {number}
+ */
+export const toTimestamp = (value) => {
+  if (value === null || value === undefined || value === "") return 0;
+  const time = typeof value === "number" ? value : new Date(value).getTime();
+  return Number.isFinite(time) ? time : 0;
+};
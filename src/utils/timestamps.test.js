@@ -0,0 +1,16 @@
+// src/utils/timestamps.test.js
+import { toTimestamp } from "./timestamps";
+
+describe("toTimestamp", () => {
+  it("reads dates, ISO strings and epoch milliseconds", () => {
+    expect(toTimestamp(1700000000000)).toBe(1700000000000);
+    expect(toTimestamp("2023-11-14T22:13:20.000Z")).toBe(1700000000000);
+    expect(toTimestamp(new Date(1700000000000))).toBe(1700000000000);
+  });
+
+  it("treats missing or invalid values as 0", () => {
+    [null, undefined, "", "not a date", NaN, Infinity].forEach((value) => {
+      expect(toTimestamp(value)).toBe(0);
+    });
+  });
+});